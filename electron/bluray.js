@@ -0,0 +1,311 @@
+/**
+ * S-Player - 蓝光标题解析（MPLS / CLPI）
+ *
+ * 直接读取光盘上的播放列表文件，不依赖 MPV 的日志输出，播放前就能拿到标题列表：
+ * - BDMV/PLAYLIST/xxxxx.mpls：一个标题 = 一个播放列表，由若干片段（PlayItem）组成，
+ *   包含每个片段的入点 / 出点、音轨和字幕（STN 表）、章节标记（PlayListMark）
+ * - BDMV/CLIPINF/xxxxx.clpi：片段信息，包含片段大小和流的编码 / 语言
+ *
+ * 【过滤】
+ * - 太短的播放列表（菜单、片头、警告画面）
+ * - 片段完全相同的重复播放列表（保留编号最小的）
+ *
+ * 【文件来源】
+ * 读取文件通过 source 对象（见 disc.js），光盘文件夹和 ISO 镜像使用同样的解析逻辑：
+ * { list(dir) → 文件名数组, read(file) → Buffer }，路径相对于光盘根目录
+ *
+ * 格式参考：Blu-ray Disc Read-Only Format Part 3（时间单位为 45kHz）
+ */
+
+/** MPLS / CLPI 中的时间单位（每秒） */
+const TICKS_PER_SECOND = 45000;
+
+/** 短于这个时长（秒）的播放列表不显示 */
+const MIN_TITLE_SECONDS = 120;
+
+/** 流编码类型 → 显示名称 */
+const CODING_TYPES = {
+  0x01: 'MPEG-1', 0x02: 'MPEG-2', 0x1B: 'H.264', 0x20: 'H.264 MVC', 0xEA: 'VC-1', 0x24: 'HEVC',
+  0x03: 'MPEG-1 Audio', 0x04: 'MPEG-2 Audio',
+  0x80: 'LPCM', 0x81: 'AC3', 0x82: 'DTS', 0x83: 'TrueHD', 0x84: 'E-AC3',
+  0x85: 'DTS-HD', 0x86: 'DTS-HD MA', 0xA1: 'E-AC3', 0xA2: 'DTS-HD',
+  0x90: 'PGS', 0x91: 'IG', 0x92: 'TextST'
+};
+
+/**
+ * stream_entry 类型 → PID 在 entry 中的位置（从长度字节算起）
+ * - 1：正片中的流，PID 紧跟类型字节
+ * - 2、4：SubPath 中的流（SubPath_id、subClip_entry_id 之后）
+ * - 3：SubPath 中的流（SubPath_id 之后）
+ */
+const STREAM_PID_OFFSETS = { 1: 2, 2: 4, 3: 3, 4: 4 };
+
+/** 音频声道（格式字节的高 4 位） */
+const AUDIO_CHANNELS = { 1: '1.0', 3: '2.0', 6: '多声道', 12: '多声道' };
+
+/**
+ * 是否为音频编码
+ * @param {number} type - 流编码类型
+ */
+const isAudio = (type) => type === 0x03 || type === 0x04 || (type >= 0x80 && type <= 0x86) || type === 0xA1 || type === 0xA2;
+
+/**
+ * 读取 3 字节语言代码（如 'chi'、'eng'），无效时返回空字符串
+ * @param {Buffer} buf
+ * @param {number} pos
+ */
+function readLang(buf, pos) {
+  const lang = buf.toString('ascii', pos, pos + 3);
+  return /^[a-z]{3}$/i.test(lang) ? lang.toLowerCase() : '';
+}
+
+/**
+ * 读取流属性（MPLS 的 stream_attributes / CLPI 的 StreamCodingInfo，格式相同）
+ *
+ * @param {Buffer} buf
+ * @param {number} pos - 长度字节的位置
+ * @returns {{ codingType: number, codec: string, lang: string, channels?: string }}
+ */
+function readStreamAttributes(buf, pos) {
+  const codingType = buf[pos + 1];
+  const stream = { codingType, codec: CODING_TYPES[codingType] || `0x${codingType.toString(16)}`, lang: '' };
+
+  if (isAudio(codingType)) {
+    stream.channels = AUDIO_CHANNELS[buf[pos + 2] >> 4] || '';
+    stream.lang = readLang(buf, pos + 3);
+  } else if (codingType === 0x90 || codingType === 0x91) {
+    stream.lang = readLang(buf, pos + 2);
+  } else if (codingType === 0x92) {
+    stream.lang = readLang(buf, pos + 3);
+  }
+  return stream;
+}
+
+/**
+ * 解析 STN 表（片段可以播放的流），只取视频、音频、图形字幕
+ *
+ * @param {Buffer} buf
+ * @param {number} pos - STN_table 的位置
+ * @returns {{ video: Array, audio: Array, subtitles: Array }}
+ */
+function parseStnTable(buf, pos) {
+  const counts = [buf[pos + 4], buf[pos + 5], buf[pos + 6]];  // 视频、音频、PG 字幕
+  const groups = [[], [], []];
+  let q = pos + 16;
+
+  counts.forEach((count, group) => {
+    for (let i = 0; i < count; i++) {
+      // stream_entry：按类型取 PID 所在位置
+      const entryLength = buf[q];
+      const entryType = buf[q + 1];
+      const pidOffset = STREAM_PID_OFFSETS[entryType];
+      const pid = pidOffset ? buf.readUInt16BE(q + pidOffset) : null;
+
+      const attrPos = q + 1 + entryLength;
+      groups[group].push({ pid, ...readStreamAttributes(buf, attrPos) });
+      q = attrPos + 1 + buf[attrPos];
+    }
+  });
+
+  return { video: groups[0], audio: groups[1], subtitles: groups[2] };
+}
+
+/**
+ * 解析 MPLS 播放列表
+ *
+ * @param {Buffer} buf - 文件内容
+ * @returns {{ items: Array, marks: Array }}
+ *   items: [{ clip, inTime, outTime, angles, streams }]（时间单位 45kHz）
+ *   marks: [{ item, time }] 章节标记
+ */
+function parseMpls(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'MPLS') throw new Error('不是 MPLS 文件');
+  const playlistStart = buf.readUInt32BE(8);
+  const markStart = buf.readUInt32BE(12);
+
+  // PlayList：片段列表
+  const items = [];
+  const itemCount = buf.readUInt16BE(playlistStart + 6);
+  let pos = playlistStart + 10;
+  for (let i = 0; i < itemCount; i++) {
+    const length = buf.readUInt16BE(pos);
+    const p = pos + 2;
+    const isMultiAngle = (buf.readUInt16BE(p + 9) >> 4) & 1;
+    const item = {
+      clip: buf.toString('ascii', p, p + 5),
+      inTime: buf.readUInt32BE(p + 12),
+      outTime: buf.readUInt32BE(p + 16),
+      angles: 1
+    };
+
+    // 多角度片段后面跟着其他角度的片段名，跳过
+    let stnPos = p + 32;
+    if (isMultiAngle) {
+      item.angles = buf[stnPos];
+      stnPos += 2 + (item.angles - 1) * 10;
+    }
+    item.streams = parseStnTable(buf, stnPos);
+    items.push(item);
+    pos = p + length;
+  }
+
+  // PlayListMark：类型 1 为章节（entry mark）
+  const marks = [];
+  const markCount = buf.readUInt16BE(markStart + 4);
+  for (let i = 0; i < markCount; i++) {
+    const m = markStart + 6 + i * 14;
+    if (buf[m + 1] === 1) {
+      marks.push({ item: buf.readUInt16BE(m + 2), time: buf.readUInt32BE(m + 4) });
+    }
+  }
+
+  return { items, marks };
+}
+
+/**
+ * 解析 CLPI 片段信息
+ *
+ * @param {Buffer} buf - 文件内容
+ * @returns {{ size: number, streams: Array }} size 为片段文件（m2ts）大小（字节），streams 为 [{ pid, codec, lang }]
+ */
+function parseClpi(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'HDMV') throw new Error('不是 CLPI 文件');
+  const programStart = buf.readUInt32BE(12);
+
+  // ClipInfo：源包数量 × 192 字节
+  const size = buf.readUInt32BE(56) * 192;
+
+  // ProgramInfo：每个节目的流
+  const streams = [];
+  const programCount = buf[programStart + 5];
+  let q = programStart + 6;
+  for (let p = 0; p < programCount; p++) {
+    const streamCount = buf[q + 6];
+    q += 8;
+    for (let s = 0; s < streamCount; s++) {
+      const pid = buf.readUInt16BE(q);
+      streams.push({ pid, ...readStreamAttributes(buf, q + 2) });
+      q += 3 + buf[q + 2];
+    }
+  }
+
+  return { size, streams };
+}
+
+/**
+ * 格式化时长
+ * @param {number} seconds
+ * @returns {string} 如 '2:15:30'
+ */
+function formatDuration(seconds) {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 3600)}:${String(Math.floor((s % 3600) / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 读取光盘上的全部标题
+ *
+ * @param {Object} source - 文件来源 { list, read }（见 disc.js）
+ * @returns {Array} 按时长降序：[{
+ *   id, mpls, playlist, duration, durationSeconds, displayIndex, isMain,
+ *   chapters: [秒], clips: [{ name, duration, size }], size,
+ *   audio: [{ codec, lang, channels }], subtitles: [{ codec, lang }], angles
+ * }]，id 和 mpls 相同，为播放列表编号（如 800 表示 00800.mpls）
+ */
+function readTitles(source) {
+  const clipInfo = new Map();
+  const readClip = (name) => {
+    if (!clipInfo.has(name)) {
+      try {
+        clipInfo.set(name, parseClpi(source.read(`BDMV/CLIPINF/${name}.clpi`)));
+      } catch (e) {
+        clipInfo.set(name, null);
+      }
+    }
+    return clipInfo.get(name);
+  };
+
+  let names;
+  try {
+    names = source.list('BDMV/PLAYLIST').filter(n => /^\d{5}\.mpls$/i.test(n)).sort();
+  } catch (e) {
+    console.error('读取蓝光播放列表失败:', e.message);
+    return [];
+  }
+
+  const titles = [];
+  const seen = new Set();   // 片段完全相同的播放列表只保留一个
+  for (const name of names) {
+    let mpls;
+    try {
+      mpls = parseMpls(source.read(`BDMV/PLAYLIST/${name}`));
+    } catch (e) {
+      console.error(`解析 ${name} 失败:`, e.message);
+      continue;
+    }
+    if (mpls.items.length === 0) continue;
+
+    const key = mpls.items.map(i => `${i.clip}:${i.inTime}-${i.outTime}`).join(',');
+    if (seen.has(key)) continue;
+
+    // 每个片段在标题中的开始时间，用于计算章节位置
+    const starts = [];
+    let total = 0;
+    for (const item of mpls.items) {
+      starts.push(total);
+      total += (item.outTime - item.inTime) / TICKS_PER_SECOND;
+    }
+    if (total < MIN_TITLE_SECONDS) continue;
+    seen.add(key);
+
+    const clips = mpls.items.map(item => ({
+      name: item.clip,
+      duration: (item.outTime - item.inTime) / TICKS_PER_SECOND,
+      size: readClip(item.clip)?.size || 0
+    }));
+
+    // 流以第一个片段为准；STN 表中没有语言时用 CLPI 中同一 PID 的语言
+    const first = mpls.items[0];
+    const clipStreams = readClip(first.clip)?.streams || [];
+    const withLang = (stream) => ({
+      codec: stream.codec,
+      lang: stream.lang || clipStreams.find(s => s.pid === stream.pid)?.lang || '',
+      ...(stream.channels !== undefined && { channels: stream.channels })
+    });
+
+    const number = parseInt(name, 10);
+    titles.push({
+      id: number,
+      mpls: number,
+      playlist: name,
+      duration: formatDuration(total),
+      durationSeconds: total,
+      chapters: mpls.marks
+        .filter(m => m.item < mpls.items.length)
+        .map(m => starts[m.item] + (m.time - mpls.items[m.item].inTime) / TICKS_PER_SECOND),
+      clips,
+      // 同一个片段可能出现多次，大小只算一次
+      size: [...new Map(clips.map(c => [c.name, c.size])).values()].reduce((a, b) => a + b, 0),
+      audio: first.streams.audio.map(withLang),
+      subtitles: first.streams.subtitles.map(withLang),
+      angles: Math.max(...mpls.items.map(i => i.angles))
+    });
+  }
+
+  // 最长的是主标题
+  titles.sort((a, b) => b.durationSeconds - a.durationSeconds);
+  titles.forEach((t, i) => {
+    t.displayIndex = i + 1;
+    t.isMain = i === 0;
+  });
+  return titles;
+}
+
+module.exports = {
+  MIN_TITLE_SECONDS,
+  parseStnTable,
+  parseMpls,
+  parseClpi,
+  readTitles,
+  formatDuration
+};
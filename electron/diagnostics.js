@@ -0,0 +1,149 @@
+/**
+ * S-Player - 导出诊断信息
+ *
+ * 把排查问题需要的信息打包成一个 zip，方便附在问题反馈里：
+ * - mpv.log / mpv.1.log：MPV 日志（见 mpv-log.js）
+ * - mpv-args.txt：最近一次启动 MPV 的路径和参数
+ * - settings.json：当前设置
+ * - versions.json：程序、Electron、系统和 MPV 的版本
+ * - track-list.json：正在播放的文件的轨道列表（没有播放时为 null）
+ *
+ * zip 只用 Node 自带的 zlib 生成（deflate），不需要额外的依赖
+ */
+
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const mpvLog = require('./mpv-log');
+
+/** 获取 MPV 版本的超时（毫秒） */
+const VERSION_TIMEOUT = 5000;
+
+/** CRC-32 查找表（zip 文件要求） */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * 计算 CRC-32
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function crc32(buf) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 生成 zip 文件
+ *
+ * @param {Array<{ name: string, data: Buffer|string }>} files - 文件名（UTF-8）和内容
+ * @param {Date} [date] - 文件的修改时间
+ * @returns {Buffer}
+ */
+function createZip(files, date = new Date()) {
+  // DOS 格式的日期和时间
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    // 本地文件头和中央目录的公共部分：版本、标志（bit 11 = UTF-8 文件名）、压缩方法、时间、CRC、大小
+    const common = Buffer.alloc(26);
+    common.writeUInt16LE(20, 0);
+    common.writeUInt16LE(0x0800, 2);
+    common.writeUInt16LE(8, 4);
+    common.writeUInt16LE(dosTime, 6);
+    common.writeUInt16LE(dosDate, 8);
+    common.writeUInt32LE(crc, 10);
+    common.writeUInt32LE(compressed.length, 14);
+    common.writeUInt32LE(data.length, 18);
+    common.writeUInt16LE(name.length, 22);
+
+    const local = Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), common, name, compressed]);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);   // 创建版本
+    common.copy(central, 6);        // 注释长度、磁盘号、文件属性都为 0
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local);
+    centrals.push(Buffer.concat([central, name]));
+    offset += local.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * 获取 MPV 版本（mpv --version 的第一行）
+ * @param {string} mpvPath - MPV 可执行文件
+ * @returns {Promise<string|null>} 无法运行时返回 null
+ */
+function getMpvVersion(mpvPath) {
+  return new Promise((resolve) => {
+    execFile(mpvPath, ['--version'], { timeout: VERSION_TIMEOUT, windowsHide: true }, (err, stdout) => {
+      resolve(err ? null : stdout.split(/\r?\n/)[0].trim());
+    });
+  });
+}
+
+/**
+ * 导出诊断信息
+ *
+ * @param {string} filePath - 保存的 zip 文件路径
+ * @param {Object} info
+ * @param {string} info.mpvPath - MPV 可执行文件
+ * @param {string[]|null} info.args - 最近一次的启动参数（还没有播放过时为 null）
+ * @param {Object} info.settings - 当前设置
+ * @param {Array|null} info.trackList - 当前的轨道列表
+ */
+async function exportBundle(filePath, { mpvPath, args, settings, trackList }) {
+  mpvLog.flush();
+
+  const versions = {
+    app: `${app.getName()} ${app.getVersion()}`,
+    electron: process.versions.electron,
+    chrome: process.versions.chrome,
+    node: process.versions.node,
+    os: `${os.type()} ${os.release()} ${os.arch()}`,
+    mpv: await getMpvVersion(mpvPath)
+  };
+
+  const files = mpvLog.getFiles().map(file => ({ name: path.basename(file), data: fs.readFileSync(file) }));
+  files.push(
+    { name: 'mpv-args.txt', data: args ? `${mpvPath}\n${args.join('\n')}\n` : `${mpvPath}\n（本次还没有启动过 MPV）\n` },
+    { name: 'settings.json', data: JSON.stringify(settings, null, 2) },
+    { name: 'versions.json', data: JSON.stringify(versions, null, 2) },
+    { name: 'track-list.json', data: JSON.stringify(trackList, null, 2) }
+  );
+
+  fs.writeFileSync(filePath, createZip(files));
+}
+
+module.exports = {
+  createZip,
+  exportBundle
+};
@@ -0,0 +1,206 @@
+/**
+ * S-Player - 光盘结构检测
+ *
+ * 蓝光和 DVD 可以是 ISO 镜像，也可以是复制出来的文件夹：
+ * - 蓝光文件夹：根目录下有 BDMV/index.bdmv
+ * - DVD 文件夹：根目录下有 VIDEO_TS/VIDEO_TS.IFO
+ * 用户可能选中根目录，也可能直接选中 BDMV 或 VIDEO_TS，两种都能识别
+ *
+ * 识别出来后统一返回光盘根目录，MPV 通过 --bluray-device / --dvd-device 打开，
+ * 和 ISO 走同样的 bd:// / dvd:// 播放流程
+ *
+ * ISO 镜像同样按文件结构判断（读取镜像里的 UDF / ISO 9660，见 iso.js），
+ * 并返回卷标（ISO 文件名常常不是片名，卷标更适合用来搜索影片信息）
+ *
+ * 【文件来源】
+ * 解析光盘内的文件（如蓝光播放列表，见 bluray.js）通过统一的 source 对象：
+ * { list(dir) → 文件名数组, read(file) → Buffer, close() }，路径相对于光盘根目录、用 / 分隔
+ */
+
+const path = require('path');
+const fs = require('fs');
+const iso = require('./iso');
+
+/** 判断光盘类型用的标志文件（相对于光盘根目录） */
+const DISC_MARKERS = {
+  bluray: ['BDMV', 'index.bdmv'],
+  dvd: ['VIDEO_TS', 'VIDEO_TS.IFO']
+};
+
+/** 没有意义的卷标（刻录 / 制作工具的默认值，可以带编号），不能用来搜索影片 */
+const GENERIC_LABEL = /^(bd_?rom|blu_?ray|bdmv|dvd(_?video|_?rom)?|video_ts|cd_?rom|disc|disk|logical_?volume(_?id)?|new_?volume|untitled|volume|iso)[ _-]*\d*$/i;
+
+/**
+ * 不区分大小写查找文件（Linux 下文件名区分大小写，有的光盘复制出来是小写）
+ * @param {string} dir - 目录
+ * @param {string[]} parts - 相对路径
+ * @returns {string|null} 实际路径，不存在时返回 null
+ */
+function findIgnoreCase(dir, parts) {
+  let current = dir;
+  for (const part of parts) {
+    let names;
+    try {
+      names = fs.readdirSync(current);
+    } catch (e) {
+      return null;
+    }
+    const name = names.find(n => n.toLowerCase() === part.toLowerCase());
+    if (!name) return null;
+    current = path.join(current, name);
+  }
+  return current;
+}
+
+/**
+ * 检测文件夹是否为蓝光 / DVD 光盘结构
+ *
+ * @param {string} dir - 文件夹路径（光盘根目录、BDMV 或 VIDEO_TS）
+ * @returns {{ type: 'bluray'|'dvd', root: string }|null} 不是光盘文件夹时返回 null
+ *
+ * @example
+ * detectFolder('D:/Movies/Inception/BDMV') // { type: 'bluray', root: 'D:/Movies/Inception' }
+ */
+function detectFolder(dir) {
+  try {
+    if (!fs.statSync(dir).isDirectory()) return null;
+  } catch (e) {
+    return null;
+  }
+
+  // 选中的是 BDMV / VIDEO_TS 本身时，从上一级开始判断
+  const base = path.basename(dir).toLowerCase();
+  const root = base === 'bdmv' || base === 'video_ts' ? path.dirname(dir) : dir;
+
+  const type = detectType(openFolder(root));
+  return type ? { type, root } : null;
+}
+
+/**
+ * 根据标志文件判断光盘类型
+ * @param {Object} source - 文件来源
+ * @returns {'bluray'|'dvd'|null}
+ */
+function detectType(source) {
+  for (const [type, [dir, file]] of Object.entries(DISC_MARKERS)) {
+    try {
+      if (source.list(dir).some(n => n.toLowerCase() === file.toLowerCase())) return type;
+    } catch (e) {
+      // 没有这个文件夹
+    }
+  }
+  return null;
+}
+
+/**
+ * 光盘文件夹的文件来源
+ * @param {string} root - 光盘根目录
+ * @returns {{ list: Function, read: Function, close: Function }}
+ */
+function openFolder(root) {
+  const resolve = (relPath) => {
+    const file = findIgnoreCase(root, relPath.split('/').filter(Boolean));
+    if (!file) throw new Error(`文件不存在: ${relPath}`);
+    return file;
+  };
+  return {
+    list: (dir) => fs.readdirSync(resolve(dir)),
+    read: (file) => fs.readFileSync(resolve(file)),
+    close: () => {}
+  };
+}
+
+/**
+ * 打开光盘的文件来源（用完需要调用 close）
+ * @param {string} root - 光盘根目录或 ISO 路径
+ * @returns {{ list: Function, read: Function, close: Function }}
+ * @throws ISO 无法读取时
+ */
+function openSource(root) {
+  return path.extname(root).toLowerCase() === '.iso' ? iso.openIso(root) : openFolder(root);
+}
+
+/**
+ * 整理卷标：去掉末尾的碟号（如 _D1、DISC_2），默认卷标返回 null
+ * @param {string} label - 卷标
+ * @returns {string|null}
+ *
+ * @example
+ * normalizeLabel('INCEPTION_D1') // 'INCEPTION'
+ * normalizeLabel('BDROM')        // null
+ * normalizeLabel('1917')         // '1917'
+ */
+function normalizeLabel(label) {
+  const cleaned = (label || '').replace(/[ _-]+(d|disc|disk|cd)[ _-]?\d+$/i, '').trim();
+  // 纯数字的卷标可能就是片名（如 1917、300），保留
+  if (!cleaned || GENERIC_LABEL.test(cleaned)) return null;
+  return cleaned;
+}
+
+/**
+ * 按镜像里的文件结构判断 ISO 是蓝光还是 DVD
+ *
+ * 读不了文件系统（不支持的格式、镜像损坏）时才按大小猜测（单层 DVD 4.7GB，双层 8.5GB）
+ *
+ * @param {string} filePath - ISO 文件路径
+ * @returns {{ type: 'bluray'|'dvd', root: string, label: string|null }|null}
+ *   不是蓝光 / DVD 镜像或文件无法访问时返回 null
+ */
+function detectIso(filePath) {
+  let source;
+  try {
+    source = iso.openIso(filePath);
+  } catch (e) {
+    console.error('读取 ISO 文件结构失败:', e.message);
+    return detectIsoBySize(filePath);
+  }
+
+  try {
+    const type = detectType(source);
+    if (!type) {
+      console.log('ISO 中没有 BDMV / VIDEO_TS，不是蓝光或 DVD 镜像');
+      return null;
+    }
+    const label = normalizeLabel(source.label);
+    console.log(`检测到${type === 'bluray' ? '蓝光' : 'DVD'} ISO，卷标: ${source.label || '（无）'}`);
+    return { type, root: filePath, label };
+  } finally {
+    source.close();
+  }
+}
+
+/**
+ * 根据大小猜测 ISO 类型（无法读取文件结构时使用）
+ * @param {string} filePath - ISO 文件路径
+ * @returns {{ type: 'bluray'|'dvd', root: string, label: null }|null} 文件无法访问时返回 null
+ */
+function detectIsoBySize(filePath) {
+  try {
+    const sizeGB = fs.statSync(filePath).size / (1024 * 1024 * 1024);
+    const type = sizeGB > 10 ? 'bluray' : 'dvd';
+    console.log(`按大小判断为${type === 'bluray' ? '蓝光' : 'DVD'} ISO (${sizeGB.toFixed(1)}GB)`);
+    return { type, root: filePath, label: null };
+  } catch (e) {
+    console.error('无法访问 ISO:', e.message);
+    return null;
+  }
+}
+
+/**
+ * 检测要播放的路径是不是光盘（ISO 或光盘文件夹）
+ *
+ * @param {string} filePath - 文件或文件夹路径
+ * @returns {{ type: 'bluray'|'dvd', root: string, label?: string|null }|null} 普通视频文件返回 null
+ */
+function detect(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.iso') return detectIso(filePath);
+  return detectFolder(filePath);
+}
+
+module.exports = {
+  detectFolder,
+  openFolder,
+  openSource,
+  detectIso,
+  detect
+};
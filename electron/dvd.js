@@ -0,0 +1,205 @@
+/**
+ * S-Player - DVD 标题解析（IFO）
+ *
+ * 和蓝光一样直接读取光盘上的信息文件，播放前拿到标题列表：
+ * - VIDEO_TS/VIDEO_TS.IFO：标题表（TT_SRPT），每个标题的章节数、角度数、所在的 VTS
+ * - VIDEO_TS/VTS_xx_0.IFO：标题集信息，章节 → 程序链（PGC）、单元播放时间、音轨和字幕属性
+ *
+ * 标题按光盘上的顺序排列（剧集 DVD 的标题顺序就是集数），最长的标记为主标题；
+ * 太短的标题（片头、警告画面）不显示
+ *
+ * 【文件来源】
+ * 读取文件通过 source 对象（见 disc.js），光盘文件夹和 ISO 镜像使用同样的解析逻辑
+ *
+ * 格式参考：DVD-Video IFO 结构（http://dvd.sourceforge.net/dvdinfo/ifo.html）
+ */
+
+const { MIN_TITLE_SECONDS, formatDuration } = require('./bluray');
+
+/** IFO 中的地址以扇区为单位 */
+const SECTOR_SIZE = 2048;
+
+/** 音频编码（属性第一个字节的高 3 位） */
+const AUDIO_CODINGS = { 0: 'AC3', 2: 'MPEG-1 Audio', 3: 'MPEG-2 Audio', 4: 'LPCM', 6: 'DTS' };
+
+/** 声道数 → 显示名称 */
+const AUDIO_CHANNELS = { 1: '1.0', 2: '2.0', 6: '5.1', 8: '7.1' };
+
+/**
+ * 读取 BCD 数字
+ * @param {number} byte
+ */
+const bcd = (byte) => (byte >> 4) * 10 + (byte & 0x0F);
+
+/**
+ * 读取 BCD 编码的播放时间（时、分、秒、帧，帧字节高 2 位是帧率）
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @returns {number} 秒
+ */
+function readPlaybackTime(buf, pos) {
+  const fps = (buf[pos + 3] >> 6) === 1 ? 25 : 30000 / 1001;
+  return bcd(buf[pos]) * 3600 + bcd(buf[pos + 1]) * 60 + bcd(buf[pos + 2]) + bcd(buf[pos + 3] & 0x3F) / fps;
+}
+
+/**
+ * 读取 2 字节语言代码（DVD 使用 ISO 639-1，如 'en'、'zh'），没有语言时返回空字符串
+ * @param {Buffer} buf
+ * @param {number} pos - 属性开始位置
+ * @param {boolean} hasLang - 语言类型标志
+ */
+function readLang(buf, pos, hasLang) {
+  if (!hasLang) return '';
+  const lang = buf.toString('ascii', pos + 2, pos + 4);
+  return /^[a-z]{2}$/i.test(lang) ? lang.toLowerCase() : '';
+}
+
+/**
+ * 解析标题集信息（VTS_xx_0.IFO）
+ *
+ * @param {Buffer} buf - 文件内容
+ * @returns {{ buf: Buffer, pttStart: number, pgcitStart: number, audio: Array, subtitles: Array }}
+ */
+function parseVts(buf) {
+  if (buf.toString('ascii', 0, 12) !== 'DVDVIDEO-VTS') throw new Error('不是 VTS IFO 文件');
+
+  const audio = [];
+  for (let i = 0, count = Math.min(buf.readUInt16BE(0x202), 8); i < count; i++) {
+    const p = 0x204 + i * 8;
+    audio.push({
+      codec: AUDIO_CODINGS[buf[p] >> 5] || '未知',
+      lang: readLang(buf, p, ((buf[p] >> 2) & 3) === 1),
+      channels: AUDIO_CHANNELS[(buf[p + 1] & 7) + 1] || '多声道'
+    });
+  }
+
+  const subtitles = [];
+  for (let i = 0, count = Math.min(buf.readUInt16BE(0x254), 32); i < count; i++) {
+    const p = 0x256 + i * 6;
+    subtitles.push({ codec: 'VobSub', lang: readLang(buf, p, (buf[p] & 3) === 1) });
+  }
+
+  return {
+    buf,
+    pttStart: buf.readUInt32BE(0xC8) * SECTOR_SIZE,
+    pgcitStart: buf.readUInt32BE(0xCC) * SECTOR_SIZE,
+    audio,
+    subtitles
+  };
+}
+
+/**
+ * 解析程序链：每个程序（章节入口）的开始时间
+ *
+ * 角度块只计算第一个角度的单元，其他角度的单元时长相同、不会依次播放
+ *
+ * @param {Object} vts - parseVts 的结果
+ * @param {number} pgcn - 程序链编号（从 1 开始）
+ * @returns {{ duration: number, programStarts: number[] }} 秒
+ */
+function parsePgc(vts, pgcn) {
+  const { buf, pgcitStart } = vts;
+  const pgc = pgcitStart + buf.readUInt32BE(pgcitStart + 8 + (pgcn - 1) * 8 + 4);
+  const programCount = buf[pgc + 2];
+  const cellCount = buf[pgc + 3];
+  const programMap = pgc + buf.readUInt16BE(pgc + 0xE6);
+  const cellTable = pgc + buf.readUInt16BE(pgc + 0xE8);
+
+  // 每个单元的开始时间
+  const cellStarts = [];
+  let time = 0;
+  for (let c = 0; c < cellCount; c++) {
+    const cell = cellTable + c * 24;
+    cellStarts.push(time);
+    const blockMode = buf[cell] >> 6;
+    const isAngleBlock = ((buf[cell] >> 4) & 3) === 1;
+    if (!isAngleBlock || blockMode <= 1) time += readPlaybackTime(buf, cell + 4);
+  }
+
+  const programStarts = [];
+  for (let p = 0; p < programCount; p++) {
+    programStarts.push(cellStarts[buf[programMap + p] - 1] ?? 0);
+  }
+  return { duration: readPlaybackTime(buf, pgc + 4), programStarts };
+}
+
+/**
+ * 读取光盘上的全部标题
+ *
+ * @param {Object} source - 文件来源 { list, read }（见 disc.js）
+ * @returns {Array} 按光盘上的顺序：[{
+ *   id, duration, durationSeconds, displayIndex, isMain,
+ *   chapters: [秒], audio: [{ codec, lang, channels }], subtitles: [{ codec, lang }], angles
+ * }]，id 为标题号（从 1 开始）
+ */
+function readTitles(source) {
+  const vmg = source.read('VIDEO_TS/VIDEO_TS.IFO');
+  if (vmg.toString('ascii', 0, 12) !== 'DVDVIDEO-VMG') throw new Error('不是 VMG IFO 文件');
+
+  const vtsCache = new Map();
+  const readVts = (n) => {
+    if (!vtsCache.has(n)) {
+      try {
+        vtsCache.set(n, parseVts(source.read(`VIDEO_TS/VTS_${String(n).padStart(2, '0')}_0.IFO`)));
+      } catch (e) {
+        console.error(`读取 VTS ${n} 失败:`, e.message);
+        vtsCache.set(n, null);
+      }
+    }
+    return vtsCache.get(n);
+  };
+
+  const ttStart = vmg.readUInt32BE(0xC4) * SECTOR_SIZE;
+  const titles = [];
+  for (let i = 0, count = vmg.readUInt16BE(ttStart); i < count; i++) {
+    const e = ttStart + 8 + i * 12;
+    const vts = readVts(vmg[e + 6]);
+    if (!vts) continue;
+
+    try {
+      // 标题的章节（PTT）→ 程序链 + 程序；一个标题可能由多个程序链组成
+      const chapterCount = vmg.readUInt16BE(e + 2);
+      const { buf, pttStart } = vts;
+      const ptts = pttStart + buf.readUInt32BE(pttStart + 8 + (vmg[e + 7] - 1) * 4);
+      const pgcs = new Map();   // 程序链编号 → { offset, programStarts }
+      let total = 0;
+      const chapters = [];
+      for (let c = 0; c < chapterCount; c++) {
+        const pgcn = buf.readUInt16BE(ptts + c * 4);
+        const pgn = buf.readUInt16BE(ptts + c * 4 + 2);
+        if (!pgcs.has(pgcn)) {
+          const pgc = parsePgc(vts, pgcn);
+          pgcs.set(pgcn, { offset: total, programStarts: pgc.programStarts });
+          total += pgc.duration;
+        }
+        const { offset, programStarts } = pgcs.get(pgcn);
+        chapters.push(offset + (programStarts[pgn - 1] ?? 0));
+      }
+      if (total < MIN_TITLE_SECONDS) continue;
+
+      titles.push({
+        id: i + 1,
+        duration: formatDuration(total),
+        durationSeconds: total,
+        chapters,
+        audio: vts.audio,
+        subtitles: vts.subtitles,
+        angles: vmg[e + 1] || 1
+      });
+    } catch (err) {
+      console.error(`解析 DVD 标题 ${i + 1} 失败:`, err.message);
+    }
+  }
+
+  // 保持光盘上的顺序，最长的是主标题
+  const main = titles.reduce((a, b) => (b.durationSeconds > a.durationSeconds ? b : a), titles[0]);
+  titles.forEach(t => {
+    t.displayIndex = t.id;
+    t.isMain = t === main;
+  });
+  return titles;
+}
+
+module.exports = {
+  readTitles
+};
@@ -0,0 +1,208 @@
+/**
+ * S-Player - 剧集文件名解析与排序
+ *
+ * 【支持的命名格式】
+ * - Show.S01E02.1080p.mkv / s1e2 / S01.E02
+ * - Show.1x02.mkv
+ * - Show.EP02.mkv / Episode 2
+ * - [字幕组] 动画名 [02][1080p].mkv
+ * - 剧名.第2集.mp4 / 第十二话 / 第二季（中文数字）
+ *
+ * 【排序规则（自然排序）】
+ * 能解析出集数的文件按 (季, 集) 排序，S01E02 在 S01E10 前面；
+ * 解析不出集数的文件排在后面，按文件名自然排序（数字按大小比较）
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+/** 可作为剧集播放的视频扩展名 */
+const VIDEO_EXTENSIONS = ['mkv', 'mp4', 'avi', 'mov', 'm2ts', 'ts', 'wmv', 'flv', 'webm', 'rmvb'];
+
+/** 中文数字 */
+const CN_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CN_UNITS = { 十: 10, 百: 100 };
+
+/** 中文或阿拉伯数字 */
+const NUM = '([0-9０-９零〇一二两三四五六七八九十百]+)';
+
+/**
+ * 解析数字（支持阿拉伯数字、全角数字和中文数字）
+ *
+ * @param {string} str - 数字字符串
+ * @returns {number|null}
+ *
+ * @example
+ * parseNumber('12')     // 12
+ * parseNumber('十二')   // 12
+ * parseNumber('二十三') // 23
+ * parseNumber('一百零五') // 105
+ */
+function parseNumber(str) {
+  if (!str) return null;
+  // 全角数字转半角
+  const half = str.replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+  if (/^\d+$/.test(half)) return parseInt(half, 10);
+
+  let total = 0;
+  let digit = 0;
+  for (const ch of half) {
+    if (ch in CN_DIGITS) {
+      digit = CN_DIGITS[ch];
+    } else if (ch in CN_UNITS) {
+      // "十二" 开头的十省略了"一"
+      total += (digit || 1) * CN_UNITS[ch];
+      digit = 0;
+    } else {
+      return null;
+    }
+  }
+  return total + digit;
+}
+
+/**
+ * 从文件名（或文件夹名）中解析季和集
+ *
+ * @param {string} name - 文件名，不需要去掉扩展名
+ * @param {string} [folderName] - 所在文件夹名，文件名里没有季数时从这里取
+ * @returns {{ season: number|null, episode: number|null }}
+ */
+function parseEpisode(name, folderName = '') {
+  let season = null;
+  let episode = null;
+  let m;
+
+  if ((m = name.match(/(?:^|[^a-z0-9])S(\d{1,2})[ ._-]?E(\d{1,3})(?![0-9])/i))) {
+    season = parseInt(m[1], 10);
+    episode = parseInt(m[2], 10);
+  } else if ((m = name.match(/(?:^|[^a-z0-9])(\d{1,2})x(\d{2,3})(?![0-9])/i))) {
+    season = parseInt(m[1], 10);
+    episode = parseInt(m[2], 10);
+  } else {
+    if ((m = name.match(new RegExp(`第\\s*${NUM}\\s*[集话話回期]`)))) {
+      episode = parseNumber(m[1]);
+    } else if ((m = name.match(/(?:^|[^a-z])(?:EP?|Episode)[ ._-]?(\d{1,3})(?![0-9])/i))) {
+      episode = parseInt(m[1], 10);
+    } else if ((m = name.match(/\[(\d{1,3})(?:v\d)?\]/i))) {
+      // 动画字幕组格式：[02] / [02v2]
+      episode = parseInt(m[1], 10);
+    }
+    season = parseSeason(name);
+  }
+
+  if (season === null && folderName) {
+    season = parseSeason(folderName);
+  }
+  return { season, episode };
+}
+
+/**
+ * 解析季数：Season 2 / S02 / 第二季
+ * @param {string} name - 文件名或文件夹名
+ * @returns {number|null}
+ */
+function parseSeason(name) {
+  let m;
+  if ((m = name.match(new RegExp(`第\\s*${NUM}\\s*季`)))) return parseNumber(m[1]);
+  if ((m = name.match(/(?:^|[^a-z])Season[ ._-]?(\d{1,2})(?![0-9])/i))) return parseInt(m[1], 10);
+  if ((m = name.match(/(?:^|[^a-z0-9])S(\d{1,2})(?![0-9e])/i))) return parseInt(m[1], 10);
+  return null;
+}
+
+/**
+ * 自然排序比较（数字按大小比较，忽略大小写）
+ * @param {string} a
+ * @param {string} b
+ */
+function naturalCompare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * 剧集排序比较函数
+ * @param {string} a - 文件路径
+ * @param {string} b - 文件路径
+ */
+function compareEpisodes(a, b) {
+  const nameA = path.basename(a);
+  const nameB = path.basename(b);
+  const epA = parseEpisode(nameA);
+  const epB = parseEpisode(nameB);
+
+  // 有集数的排在前面
+  const hasA = epA.episode !== null;
+  const hasB = epB.episode !== null;
+  if (hasA !== hasB) return hasA ? -1 : 1;
+
+  if (hasA) {
+    const seasonDiff = (epA.season ?? 0) - (epB.season ?? 0);
+    if (seasonDiff !== 0) return seasonDiff;
+    const episodeDiff = epA.episode - epB.episode;
+    if (episodeDiff !== 0) return episodeDiff;
+  }
+  return naturalCompare(nameA, nameB);
+}
+
+/**
+ * 判断是否为视频文件
+ * @param {string} filePath - 文件路径
+ */
+function isVideoFile(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  return VIDEO_EXTENSIONS.includes(ext);
+}
+
+/**
+ * 扫描文件夹中的视频文件并按集数排序
+ * 只扫描一层，忽略隐藏文件和 sample 片段
+ *
+ * @param {string} dir - 文件夹路径
+ * @returns {string[]} 排序后的完整路径
+ */
+function scanFolder(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    console.error('读取文件夹失败:', e.message);
+    return [];
+  }
+
+  return names
+    .filter(name => !name.startsWith('.') && !/(^|[^a-z])sample([^a-z]|$)/i.test(name))
+    .map(name => path.join(dir, name))
+    .filter(file => {
+      try {
+        return fs.statSync(file).isFile() && isVideoFile(file);
+      } catch (e) {
+        return false;
+      }
+    })
+    .sort(compareEpisodes);
+}
+
+/**
+ * 格式化集数标签
+ * @param {{ season: number|null, episode: number|null }} info
+ * @returns {string} 如 'S01E02'、'E02'；没有集数时返回空字符串
+ *
+ * @example
+ * formatEpisode({ season: 1, episode: 2 }) // 'S01E02'
+ */
+function formatEpisode({ season, episode }) {
+  if (episode === null) return '';
+  const ep = `E${String(episode).padStart(2, '0')}`;
+  return season === null ? ep : `S${String(season).padStart(2, '0')}${ep}`;
+}
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  parseNumber,
+  parseEpisode,
+  parseSeason,
+  naturalCompare,
+  compareEpisodes,
+  isVideoFile,
+  scanFolder,
+  formatEpisode
+};
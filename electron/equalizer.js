@@ -0,0 +1,184 @@
+/**
+ * S-Player - 音频均衡器
+ *
+ * 10 段图示均衡器，通过 MPV 的音频滤镜（af）实现：
+ * 每一段是一个 lavfi equalizer 滤镜（倍频程带宽），串在一起作为一个滤镜
+ *
+ * 【和其他音频滤镜共存】
+ * 均衡器滤镜带标签 @eq，只通过 af remove / af add 修改这一个滤镜，
+ * 不会覆盖用户在 mpv.conf 或其他地方添加的音频滤镜
+ *
+ * 【预设】
+ * 和画质方案一样不单独保存"当前预设"，而是看当前增益和哪个预设完全一致；
+ * 自定义预设保存在 userData/equalizer.json
+ *
+ * 【注意】
+ * 音频直通（S/PDIF、HDMI 源码输出）时音频不经过滤镜，均衡器不起作用
+ */
+
+const { createStore } = require('./store');
+
+/** 各段中心频率（Hz） */
+const BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+/** 增益范围（dB） */
+const MIN_GAIN = -12;
+const MAX_GAIN = 12;
+
+/** MPV 滤镜标签 */
+const FILTER_LABEL = '@eq';
+
+/** 内置预设（增益顺序同 BANDS） */
+const BUILTIN_PRESETS = [
+  { id: 'flat', name: '平直', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { id: 'movie', name: '电影', gains: [4, 3, 1, 0, -1, 0, 1, 2, 2, 1] },
+  { id: 'dialogue', name: '人声', gains: [-4, -3, -2, 0, 2, 4, 4, 3, 1, -1] },
+  { id: 'bass', name: '低音增强', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] }
+];
+
+/** 自定义预设名称最大长度 */
+const MAX_NAME_LENGTH = 20;
+
+const store = createStore('equalizer', {
+  version: 1,
+  enabled: false,
+  gains: BUILTIN_PRESETS[0].gains,
+  custom: []
+});
+
+/**
+ * 校验增益（长度不对或不是数字时返回 null，超出范围时截断到范围内）
+ * @param {Array} gains - 各段增益（dB）
+ * @returns {number[]|null}
+ */
+function sanitizeGains(gains) {
+  if (!Array.isArray(gains) || gains.length !== BANDS.length) return null;
+  if (gains.some(g => typeof g !== 'number' || !Number.isFinite(g))) return null;
+  return gains.map(g => Math.round(Math.min(MAX_GAIN, Math.max(MIN_GAIN, g)) * 10) / 10);
+}
+
+/** 自定义预设 [{ id, name, gains }] */
+function getCustomPresets() {
+  const custom = store.get().custom;
+  return Array.isArray(custom) ? custom.filter(p => sanitizeGains(p.gains)) : [];
+}
+
+/** 当前增益 */
+function getGains() {
+  return sanitizeGains(store.get().gains) || BUILTIN_PRESETS[0].gains;
+}
+
+/**
+ * 获取均衡器状态
+ * @returns {{ bands, minGain, maxGain, enabled, gains, presets, activeId }}
+ * activeId 为 null 表示当前增益不属于任何预设
+ */
+function getState() {
+  const gains = getGains();
+  const presets = [
+    ...BUILTIN_PRESETS.map(p => ({ ...p, builtin: true })),
+    ...getCustomPresets().map(p => ({ ...p, builtin: false }))
+  ];
+  // 自定义预设可能和内置预设相同，优先显示后保存的
+  const active = [...presets].reverse().find(p => p.gains.every((g, i) => g === gains[i]));
+  return {
+    bands: BANDS,
+    minGain: MIN_GAIN,
+    maxGain: MAX_GAIN,
+    enabled: !!store.get().enabled,
+    gains,
+    presets,
+    activeId: active?.id ?? null
+  };
+}
+
+/**
+ * 修改均衡器
+ * @param {Object} patch
+ * @param {boolean} [patch.enabled] - 是否启用（false 为旁通）
+ * @param {number[]} [patch.gains] - 各段增益（dB）
+ */
+function update({ enabled, gains }) {
+  const validGains = gains !== undefined ? sanitizeGains(gains) : null;
+  store.update(data => {
+    if (typeof enabled === 'boolean') data.enabled = enabled;
+    if (validGains) data.gains = validGains;
+  });
+}
+
+/**
+ * 查找预设
+ * @param {string} id - 预设 ID
+ * @returns {Object|null}
+ */
+function find(id) {
+  return BUILTIN_PRESETS.find(p => p.id === id)
+    || getCustomPresets().find(p => p.id === id)
+    || null;
+}
+
+/**
+ * 把当前增益保存为自定义预设（同名时覆盖）
+ * @param {string} name - 预设名称
+ * @returns {{ preset?: Object, error?: string }}
+ */
+function saveCurrent(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return { error: '请输入预设名称' };
+  if (trimmed.length > MAX_NAME_LENGTH) return { error: `名称不能超过 ${MAX_NAME_LENGTH} 个字` };
+  if (BUILTIN_PRESETS.some(p => p.name === trimmed)) return { error: '不能和内置预设重名' };
+
+  const existing = getCustomPresets().find(p => p.name === trimmed);
+  const preset = {
+    id: existing?.id ?? `custom-${Date.now()}`,
+    name: trimmed,
+    gains: getGains()
+  };
+  store.update(data => {
+    data.custom = [...getCustomPresets().filter(p => p.id !== preset.id), preset];
+  });
+  return { preset };
+}
+
+/**
+ * 删除自定义预设
+ * @param {string} id - 预设 ID
+ */
+function remove(id) {
+  store.update(data => {
+    data.custom = getCustomPresets().filter(p => p.id !== id);
+  });
+}
+
+/**
+ * 生成 MPV 音频滤镜
+ *
+ * 有正增益时在前面整体降低音量（降低最大增益），避免削波失真
+ *
+ * @returns {string|null} 如 '@eq:lavfi=[volume=-6dB,equalizer=f=31:t=o:w=1:g=6,...]'，
+ *   旁通或全部为 0 时返回 null（不需要滤镜）
+ */
+function buildFilter() {
+  const { enabled, gains } = getState();
+  if (!enabled || gains.every(g => g === 0)) return null;
+
+  const filters = BANDS
+    .map((freq, i) => (gains[i] !== 0 ? `equalizer=f=${freq}:t=o:w=1:g=${gains[i]}` : null))
+    .filter(Boolean);
+  const peak = Math.max(...gains);
+  if (peak > 0) filters.unshift(`volume=-${peak}dB`);
+
+  return `${FILTER_LABEL}:lavfi=[${filters.join(',')}]`;
+}
+
+module.exports = {
+  BANDS,
+  FILTER_LABEL,
+  BUILTIN_PRESETS,
+  getState,
+  update,
+  find,
+  saveCurrent,
+  remove,
+  buildFilter
+};
@@ -0,0 +1,241 @@
+/**
+ * S-Player - 观看记录
+ *
+ * 保存在 userData/history.json，每个文件一条记录：
+ * { path, title, position, duration, aid, sid, secondarySid, discTitle, watched, subStyle, delays, subFiles, updatedAt }
+ * - position/duration: 上次播放位置和总时长（秒），用于"继续播放"
+ * - aid/sid: 上次选择的音轨/字幕 ID（sid 为 false 表示关闭字幕）
+ * - secondarySid: 上次选择的第二字幕 ID（false 表示关闭）
+ * - discTitle: 光盘标题 ID（蓝光为播放列表编号，如 800 表示 00800.mpls；DVD 为标题号）
+ * - subStyle: 只对这个文件生效的字幕样式（见 subtitle-style.js）
+ * - delays: 每个音轨/字幕的延迟（秒），如 { 'audio:1': 0.2, 'sub:3': -1.5 }
+ * - subFiles: 手动加载的外挂字幕路径（按加载顺序，下次播放时重新加载，字幕 ID 保持不变）
+ *
+ * 【文件标识】
+ * 用 "路径 + 文件大小 + 修改时间" 作为 key：
+ * 同一路径被替换成另一个文件（如重新下载了更好的版本）时，旧记录不会误用
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { createStore } = require('./store');
+
+const store = createStore('history', { version: 1, entries: {} });
+
+/** 最多保存的记录数，超过时删除最旧的 */
+const MAX_ENTRIES = 500;
+
+/** 播放不到这么多秒时不记录位置（不提示继续播放） */
+const RESUME_MIN_SECONDS = 10;
+
+/** 播放到总时长的这个比例视为看完 */
+const FINISHED_RATIO = 0.95;
+
+/**
+ * 删除最旧的记录，保持在 MAX_ENTRIES 以内
+ * @param {Object} entries - 全部记录
+ */
+function prune(entries) {
+  const keys = Object.keys(entries);
+  if (keys.length <= MAX_ENTRIES) return;
+  keys
+    .sort((a, b) => (entries[a].updatedAt || 0) - (entries[b].updatedAt || 0))
+    .slice(0, keys.length - MAX_ENTRIES)
+    .forEach(key => delete entries[key]);
+}
+
+/**
+ * 生成文件标识
+ * @param {string} filePath - 文件路径
+ * @returns {string} 如 'D:\\Movies\\a.mkv|123456|1700000000000'；无法读取时只用路径
+ */
+function getFileKey(filePath) {
+  const resolved = path.resolve(filePath);
+  try {
+    const stats = fs.statSync(resolved);
+    return `${resolved}|${stats.size}|${Math.floor(stats.mtimeMs)}`;
+  } catch (e) {
+    return resolved;
+  }
+}
+
+/**
+ * 获取某个文件的观看记录
+ * @param {string} filePath - 文件路径
+ * @returns {Object|null}
+ */
+function getEntry(filePath) {
+  return store.get().entries[getFileKey(filePath)] || null;
+}
+
+/**
+ * 是否已看完
+ * @param {string} filePath - 文件路径
+ */
+function isWatched(filePath) {
+  return !!getEntry(filePath)?.watched;
+}
+
+/**
+ * 标记为已看完 / 未看完
+ * @param {string} filePath - 文件路径
+ * @param {boolean} watched - 是否已看完
+ */
+function markWatched(filePath, watched = true) {
+  const key = getFileKey(filePath);
+  store.update(data => {
+    const entry = {
+      ...data.entries[key],
+      path: filePath,
+      title: path.basename(filePath),
+      watched,
+      updatedAt: Date.now()
+    };
+    // 看完后下次从头播放
+    if (watched) entry.position = 0;
+    data.entries[key] = entry;
+  });
+}
+
+/**
+ * 保存播放进度
+ *
+ * @param {string} filePath - 文件路径
+ * @param {Object} progress
+ * @param {number} progress.position - 当前位置（秒）
+ * @param {number} progress.duration - 总时长（秒）
+ * @param {number|boolean} [progress.aid] - 音轨 ID
+ * @param {number|boolean} [progress.sid] - 字幕 ID（false 表示关闭）
+ * @param {number|boolean} [progress.secondarySid] - 第二字幕 ID（false 表示关闭）
+ * @param {number|null} [progress.discTitle] - 光盘标题 ID
+ */
+function saveProgress(filePath, { position, duration, aid, sid, secondarySid, discTitle }) {
+  if (!duration || typeof position !== 'number') return;
+
+  const finished = position >= duration * FINISHED_RATIO;
+  const key = getFileKey(filePath);
+
+  store.update(data => {
+    const old = data.entries[key] || {};
+    data.entries[key] = {
+      ...old,
+      path: filePath,
+      title: path.basename(filePath),
+      position: finished || position < RESUME_MIN_SECONDS ? 0 : position,
+      duration,
+      aid: aid ?? old.aid,
+      sid: sid ?? old.sid,
+      secondarySid: secondarySid ?? old.secondarySid,
+      discTitle: discTitle ?? old.discTitle ?? null,
+      watched: old.watched || finished,
+      updatedAt: Date.now()
+    };
+    prune(data.entries);
+  });
+}
+
+/**
+ * 保存只对这个文件生效的字幕样式
+ * @param {string} filePath - 文件路径
+ * @param {Object|null} style - 和默认样式不同的项，null 表示使用默认样式
+ */
+function setSubStyle(filePath, style) {
+  const key = getFileKey(filePath);
+  store.update(data => {
+    const entry = {
+      ...data.entries[key],
+      path: filePath,
+      title: path.basename(filePath),
+      updatedAt: data.entries[key]?.updatedAt || Date.now()
+    };
+    if (style && Object.keys(style).length > 0) {
+      entry.subStyle = style;
+    } else {
+      delete entry.subStyle;
+    }
+    data.entries[key] = entry;
+    prune(data.entries);
+  });
+}
+
+/**
+ * 保存某个音轨/字幕的延迟
+ * @param {string} filePath - 文件路径
+ * @param {string} trackKey - 如 'audio:1'、'sub:3'
+ * @param {number} delay - 延迟（秒），0 表示删除
+ */
+function setDelay(filePath, trackKey, delay) {
+  const key = getFileKey(filePath);
+  store.update(data => {
+    const entry = {
+      ...data.entries[key],
+      path: filePath,
+      title: path.basename(filePath),
+      updatedAt: data.entries[key]?.updatedAt || Date.now()
+    };
+    const delays = { ...entry.delays };
+    if (delay) {
+      delays[trackKey] = delay;
+    } else {
+      delete delays[trackKey];
+    }
+    entry.delays = delays;
+    data.entries[key] = entry;
+    prune(data.entries);
+  });
+}
+
+/**
+ * 记录手动加载的外挂字幕
+ * @param {string} filePath - 视频文件路径
+ * @param {string} subPath - 字幕文件路径
+ */
+function addSubFile(filePath, subPath) {
+  const key = getFileKey(filePath);
+  store.update(data => {
+    const entry = {
+      ...data.entries[key],
+      path: filePath,
+      title: path.basename(filePath),
+      updatedAt: data.entries[key]?.updatedAt || Date.now()
+    };
+    const subFiles = entry.subFiles || [];
+    if (!subFiles.includes(subPath)) entry.subFiles = [...subFiles, subPath];
+    data.entries[key] = entry;
+    prune(data.entries);
+  });
+}
+
+/**
+ * 获取最近播放的记录（按时间倒序，只返回文件仍然存在的）
+ * @param {number} limit - 最多返回条数
+ * @returns {Array}
+ */
+function getRecent(limit = 10) {
+  return Object.values(store.get().entries)
+    .filter(entry => entry.path && entry.duration && fs.existsSync(entry.path))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .slice(0, limit);
+}
+
+/**
+ * 删除某个文件的记录
+ * @param {string} filePath - 文件路径
+ */
+function removeEntry(filePath) {
+  const key = getFileKey(filePath);
+  store.update(data => { delete data.entries[key]; });
+}
+
+module.exports = {
+  getFileKey,
+  getEntry,
+  isWatched,
+  markWatched,
+  saveProgress,
+  setSubStyle,
+  setDelay,
+  addSubFile,
+  getRecent,
+  removeEntry
+};
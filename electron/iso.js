@@ -0,0 +1,368 @@
+/**
+ * S-Player - ISO 镜像读取（UDF / ISO 9660）
+ *
+ * 不挂载镜像，直接读取镜像里的文件系统：
+ * - 蓝光 ISO 是 UDF 2.50，目录等元数据放在 Metadata 分区里，通常没有 ISO 9660
+ * - DVD ISO 是 UDF 1.02 + ISO 9660 双文件系统（UDF Bridge）
+ * 优先读取 UDF，没有 UDF 时读取 ISO 9660
+ *
+ * 返回的文件来源和光盘文件夹相同（见 disc.js），另外带卷标：
+ * { label, list(dir), read(file), close() }
+ *
+ * 【限制】
+ * 只实现读取光盘结构需要的部分：不支持虚拟分区（VAT）、备用分区（Sparable）、
+ * 多区段 ISO 9660 文件；不用来读取视频文件本身（见 MAX_READ_SIZE）
+ *
+ * 格式参考：ECMA-167 / OSTA UDF 2.50、ECMA-119
+ */
+
+const fs = require('fs');
+
+const SECTOR_SIZE = 2048;
+
+/** 一次最多读取的文件大小（播放列表、片段信息等都很小，避免误读视频文件） */
+const MAX_READ_SIZE = 64 * 1024 * 1024;
+
+/** UDF 描述符标签 */
+const TAG = {
+  PRIMARY_VOLUME: 1,
+  ANCHOR: 2,
+  PARTITION: 5,
+  LOGICAL_VOLUME: 6,
+  TERMINATOR: 8,
+  FILE_SET: 256,
+  FILE_ID: 257,
+  FILE_ENTRY: 261,
+  EXTENDED_FILE_ENTRY: 266
+};
+
+/**
+ * 读取镜像中的一段数据
+ * @param {number} fd - 文件描述符
+ * @param {number} position - 字节位置
+ * @param {number} length - 长度
+ * @returns {Buffer}
+ */
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buf, 0, length, position);
+  if (bytesRead < length) throw new Error('读取位置超出镜像末尾');
+  return buf;
+}
+
+/**
+ * 读取扇区
+ * @param {number} fd - 文件描述符
+ * @param {number} sector - 起始扇区
+ * @param {number} [count=1] - 扇区数
+ */
+const readSectors = (fd, sector, count = 1) => readAt(fd, sector * SECTOR_SIZE, count * SECTOR_SIZE);
+
+/**
+ * 解码 UDF 字符串（OSTA 压缩 Unicode：第一个字节 8 为单字节字符，16 为 UTF-16BE）
+ * @param {Buffer} buf
+ */
+function decodeOsta(buf) {
+  if (buf.length === 0) return '';
+  const data = buf.subarray(1);
+  if (buf[0] === 16) {
+    return Buffer.from(data.subarray(0, data.length & ~1)).swap16().toString('utf16le');
+  }
+  return data.toString('latin1');
+}
+
+/**
+ * 解码 UDF 定长字段中的字符串（dstring：最后一个字节是实际长度）
+ * @param {Buffer} buf
+ */
+const decodeDstring = (buf) => decodeOsta(buf.subarray(0, buf[buf.length - 1])).trim();
+
+// ==================== UDF ====================
+
+/**
+ * 解析 UDF 文件项（File Entry / Extended File Entry）
+ *
+ * @param {Buffer} buf - 文件项所在的块
+ * @param {number} ref - 文件项所在的分区（short_ad 使用同一分区）
+ * @returns {{ isDir: boolean, size: number, extents?: Array, embedded?: Buffer }}
+ *   extents: [{ ref, lbn, length, recorded }]；数据很小时直接嵌在文件项里（embedded）
+ */
+function parseFileEntry(buf, ref) {
+  const tag = buf.readUInt16LE(0);
+  let pos;
+  if (tag === TAG.FILE_ENTRY) pos = 168;
+  else if (tag === TAG.EXTENDED_FILE_ENTRY) pos = 208;
+  else throw new Error('不是 UDF 文件项');
+
+  const isDir = buf[27] === 4;
+  const size = Number(buf.readBigUInt64LE(56));
+  const adType = buf.readUInt16LE(34) & 7;
+  const adStart = pos + 8 + buf.readUInt32LE(pos);
+  const ads = buf.subarray(adStart, adStart + buf.readUInt32LE(pos + 4));
+
+  if (adType === 3) return { isDir, size, embedded: ads.subarray(0, size) };
+  if (adType > 1) throw new Error('不支持的 UDF 分配描述符');
+
+  // short_ad（8 字节，同一分区）/ long_ad（16 字节，带分区号）
+  const step = adType === 0 ? 8 : 16;
+  const extents = [];
+  for (let i = 0; i + step <= ads.length; i += step) {
+    const raw = ads.readUInt32LE(i);
+    const length = raw & 0x3FFFFFFF;
+    const type = raw >>> 30;
+    // 长度为 0 是结束；类型 3 表示后面的描述符在另一个块里（目录和小文件用不到）
+    if (length === 0 || type === 3) break;
+    extents.push({
+      ref: adType === 0 ? ref : ads.readUInt16LE(i + 8),
+      lbn: ads.readUInt32LE(i + 4),
+      length,
+      recorded: type === 0
+    });
+  }
+  return { isDir, size, extents };
+}
+
+/**
+ * 打开 UDF 文件系统
+ * @param {number} fd - 文件描述符
+ * @returns {Object|null} 卷（见 createSource），没有 UDF 时返回 null
+ */
+function openUdf(fd) {
+  // 锚点固定在第 256 扇区，指向卷描述符序列
+  if (fs.fstatSync(fd).size < 257 * SECTOR_SIZE) return null;
+  const anchor = readSectors(fd, 256);
+  if (anchor.readUInt16LE(0) !== TAG.ANCHOR || anchor.readUInt32LE(12) !== 256) return null;
+  const vdsSectors = Math.min(Math.ceil(anchor.readUInt32LE(16) / SECTOR_SIZE), 64);
+  const vds = readSectors(fd, anchor.readUInt32LE(20), vdsSectors);
+
+  const partitions = new Map();  // 分区号 → 起始扇区
+  let volumeLabel = '';
+  let lvd = null;
+  for (let i = 0; i < vdsSectors; i++) {
+    const d = vds.subarray(i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE);
+    const tag = d.readUInt16LE(0);
+    if (tag === TAG.TERMINATOR) break;
+    if (tag === TAG.PRIMARY_VOLUME) volumeLabel = decodeDstring(d.subarray(24, 56));
+    if (tag === TAG.PARTITION) partitions.set(d.readUInt16LE(22), d.readUInt32LE(188));
+    if (tag === TAG.LOGICAL_VOLUME) lvd = d;
+  }
+  if (!lvd || partitions.size === 0) return null;
+  if (lvd.readUInt32LE(212) !== SECTOR_SIZE) throw new Error('不支持的 UDF 块大小');
+
+  // 分区映射：普通分区（类型 1）和元数据分区（类型 2，UDF 2.50）
+  const maps = [];
+  let p = 440;
+  for (let i = 0, count = lvd.readUInt32LE(268); i < count; i++) {
+    const type = lvd[p];
+    if (type === 1) {
+      maps.push({ start: partitions.get(lvd.readUInt16LE(p + 4)) });
+    } else if (type === 2 && lvd.toString('latin1', p + 5, p + 28).startsWith('*UDF Metadata Partition')) {
+      maps.push({ start: partitions.get(lvd.readUInt16LE(p + 38)), metadataFile: lvd.readUInt32LE(p + 40) });
+    } else {
+      maps.push(null);
+    }
+    p += lvd[p + 1];
+  }
+
+  /** 分区内的块 → 扇区（元数据分区要先通过元数据文件的区段换算） */
+  const toSector = (ref, lbn) => {
+    const map = maps[ref];
+    if (!map || map.start === undefined) throw new Error('不支持的 UDF 分区类型');
+    if (!map.extents) return map.start + lbn;
+    let rest = lbn;
+    for (const e of map.extents) {
+      if (rest < e.blocks) return map.start + e.start + rest;
+      rest -= e.blocks;
+    }
+    throw new Error('超出 UDF 元数据分区');
+  };
+
+  for (const map of maps) {
+    if (!map?.metadataFile) continue;
+    const entry = parseFileEntry(readSectors(fd, map.start + map.metadataFile), 0);
+    map.extents = (entry.extents || []).map(e => ({ start: e.lbn, blocks: Math.ceil(e.length / SECTOR_SIZE) }));
+  }
+
+  /** 读取文件项的数据（按块换算，元数据分区的区段不一定连续） */
+  const readData = (entry) => {
+    if (entry.size > MAX_READ_SIZE) throw new Error('文件太大');
+    if (entry.embedded) return Buffer.from(entry.embedded);
+    const chunks = [];
+    let remaining = entry.size;
+    for (const e of entry.extents) {
+      for (let offset = 0; offset < e.length && remaining > 0; offset += SECTOR_SIZE) {
+        const length = Math.min(SECTOR_SIZE, e.length - offset, remaining);
+        chunks.push(e.recorded
+          ? readAt(fd, toSector(e.ref, e.lbn + offset / SECTOR_SIZE) * SECTOR_SIZE, length)
+          : Buffer.alloc(length));
+        remaining -= length;
+      }
+    }
+    return Buffer.concat(chunks);
+  };
+
+  const readEntry = ({ ref, lbn }) => parseFileEntry(readSectors(fd, toSector(ref, lbn)), ref);
+
+  // 文件集描述符 → 根目录
+  const fsdRef = lvd.readUInt16LE(256);
+  const fsd = readSectors(fd, toSector(fsdRef, lvd.readUInt32LE(252)));
+  if (fsd.readUInt16LE(0) !== TAG.FILE_SET) throw new Error('找不到 UDF 文件集');
+
+  return {
+    // Windows / macOS 显示的是逻辑卷名
+    label: decodeDstring(lvd.subarray(84, 212)) || volumeLabel,
+    root: { name: '', isDir: true, ref: fsd.readUInt16LE(408), lbn: fsd.readUInt32LE(404) },
+
+    /** 目录中的文件（跳过已删除项和上级目录） */
+    list(dir) {
+      const data = readData(readEntry(dir));
+      const entries = [];
+      let pos = 0;
+      while (pos + 38 <= data.length && data.readUInt16LE(pos) === TAG.FILE_ID) {
+        const characteristics = data[pos + 18];
+        const nameLength = data[pos + 19];
+        const nameStart = pos + 38 + data.readUInt16LE(pos + 36);
+        if (!(characteristics & 0x0C)) {
+          entries.push({
+            name: decodeOsta(data.subarray(nameStart, nameStart + nameLength)),
+            isDir: !!(characteristics & 0x02),
+            ref: data.readUInt16LE(pos + 28),
+            lbn: data.readUInt32LE(pos + 24)
+          });
+        }
+        pos = Math.ceil((nameStart + nameLength) / 4) * 4;
+      }
+      return entries;
+    },
+
+    read: (file) => readData(readEntry(file))
+  };
+}
+
+// ==================== ISO 9660 ====================
+
+/**
+ * 解析 ISO 9660 目录记录
+ * @param {Buffer} buf
+ * @param {number} pos
+ */
+function parseDirRecord(buf, pos) {
+  const nameLength = buf[pos + 32];
+  return {
+    // 去掉版本号（;1）和没有扩展名时末尾的点
+    name: buf.toString('latin1', pos + 33, pos + 33 + nameLength).replace(/;\d+$/, '').replace(/\.$/, ''),
+    isDir: !!(buf[pos + 25] & 0x02),
+    extent: buf.readUInt32LE(pos + 2),
+    size: buf.readUInt32LE(pos + 10)
+  };
+}
+
+/**
+ * 打开 ISO 9660 文件系统
+ * @param {number} fd - 文件描述符
+ * @returns {Object|null} 卷（见 createSource），没有 ISO 9660 时返回 null
+ */
+function openIso9660(fd) {
+  // 卷描述符从第 16 扇区开始，类型 1 为主卷描述符，255 为结束
+  let pvd = null;
+  for (let sector = 16; sector < 32 && !pvd; sector++) {
+    const d = readSectors(fd, sector);
+    if (d.toString('ascii', 1, 6) !== 'CD001' || d[0] === 255) return null;
+    if (d[0] === 1) pvd = d;
+  }
+  if (!pvd) return null;
+
+  const readFile = (entry) => {
+    if (entry.size > MAX_READ_SIZE) throw new Error('文件太大');
+    return readAt(fd, entry.extent * SECTOR_SIZE, entry.size);
+  };
+
+  return {
+    label: pvd.toString('latin1', 40, 72).trim(),
+    root: parseDirRecord(pvd, 156),
+
+    /** 目录中的文件（跳过 . 和 ..，记录不会跨扇区，扇区末尾用 0 填充） */
+    list(dir) {
+      const data = readFile(dir);
+      const entries = [];
+      let pos = 0;
+      while (pos < data.length) {
+        if (data[pos] === 0) {
+          pos = (Math.floor(pos / SECTOR_SIZE) + 1) * SECTOR_SIZE;
+          continue;
+        }
+        const entry = parseDirRecord(data, pos);
+        if (data[pos + 32] !== 1 || data[pos + 33] > 1) entries.push(entry);
+        pos += data[pos];
+      }
+      return entries;
+    },
+
+    read: readFile
+  };
+}
+
+// ==================== 文件来源 ====================
+
+/**
+ * 把卷包装成文件来源（路径不区分大小写）
+ * @param {number} fd - 文件描述符
+ * @param {Object} volume - { label, root, list(dirEntry), read(fileEntry) }
+ */
+function createSource(fd, volume) {
+  const resolve = (relPath) => {
+    let entry = volume.root;
+    for (const part of relPath.split('/').filter(Boolean)) {
+      const found = entry.isDir && volume.list(entry).find(e => e.name.toLowerCase() === part.toLowerCase());
+      if (!found) throw new Error(`文件不存在: ${relPath}`);
+      entry = found;
+    }
+    return entry;
+  };
+
+  return {
+    label: volume.label,
+    list: (dir) => {
+      const entry = resolve(dir);
+      if (!entry.isDir) throw new Error(`不是文件夹: ${dir}`);
+      return volume.list(entry).map(e => e.name);
+    },
+    read: (file) => volume.read(resolve(file)),
+    close: () => fs.closeSync(fd)
+  };
+}
+
+/**
+ * 打开 ISO 镜像（用完需要调用 close）
+ *
+ * @param {string} filePath - ISO 文件路径
+ * @returns {{ label: string, list: Function, read: Function, close: Function }}
+ * @throws 无法读取或无法识别文件系统时
+ *
+ * @example
+ * const source = openIso('D:/Movies/Inception.iso');
+ * source.label                 // 'INCEPTION'
+ * source.list('BDMV/PLAYLIST') // ['00000.mpls', '00800.mpls', ...]
+ * source.close();
+ */
+function openIso(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let volume = null;
+    try {
+      volume = openUdf(fd);
+    } catch (e) {
+      console.error('读取 UDF 失败，尝试 ISO 9660:', e.message);
+    }
+    volume = volume || openIso9660(fd);
+    if (!volume) throw new Error('无法识别镜像的文件系统');
+    return createSource(fd, volume);
+  } catch (e) {
+    fs.closeSync(fd);
+    throw e;
+  }
+}
+
+module.exports = {
+  openIso
+};
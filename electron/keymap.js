@@ -0,0 +1,43 @@
+/**
+ * S-Player - 快捷键（主进程部分）
+ *
+ * 操作列表和默认按键在 src/keymap.js（界面使用），主进程只保存用户自定义的按键
+ * （userData/keymap.json）。保存前检查渲染进程发来的数据，只保留认识的操作，
+ * 避免把任意内容写进文件
+ */
+
+/** 可绑定的操作 id（和 src/keymap.js 的 ACTIONS 一致） */
+const ACTION_IDS = [
+  'togglePlay', 'seekBack', 'seekForward', 'stop', 'chapterPrev', 'chapterNext',
+  'playlistPrev', 'playlistNext', 'speedDown', 'speedUp', 'speedReset', 'abLoop',
+  'volumeUp', 'volumeDown', 'toggleMute', 'cycleAudio', 'audioDelayDown', 'audioDelayUp', 'popupEqualizer',
+  'cycleSub', 'popupSubStyle', 'subDelayDown', 'subDelayUp', 'subSyncNow', 'popupSync',
+  'screenshot', 'popupGallery',
+  'fullscreen', 'exitFullscreen', 'openFile',
+  'popupAudio', 'popupSub', 'popupChapter', 'popupTitle', 'popupPlaylist', 'popupQuality',
+  'toggleInfo', 'showShortcuts', 'openSettings'
+];
+
+/**
+ * 整理用户自定义按键：只保留已知操作，按键必须是字符串数组（空数组表示不绑定）
+ *
+ * @param {*} overrides - 渲染进程发来的 { actionId: ['Key', ...] }
+ * @returns {Object} 可以保存的 overrides
+ *
+ * @example
+ * sanitizeOverrides({ fullscreen: ['F'], unknown: ['X'], stop: 'S' }) // { fullscreen: ['F'] }
+ */
+function sanitizeOverrides(overrides) {
+  const result = {};
+  if (!overrides || typeof overrides !== 'object') return result;
+  for (const id of ACTION_IDS) {
+    const keys = overrides[id];
+    if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) result[id] = [...keys];
+  }
+  return result;
+}
+
+module.exports = {
+  ACTION_IDS,
+  sanitizeOverrides
+};
@@ -17,39 +17,77 @@
  * - 创建透明无边框窗口
  * - 启动 MPV 播放器作为子进程
  * - 通过 IPC 管道与 MPV 通信
- * - 处理蓝光碟片的标题解析
+ * - 处理蓝光 / DVD 光盘的标题解析
+ * - 打开拖放 / 命令行传入的文件（单实例，第二次启动时交给已有窗口）
  * - 响应渲染进程的各种请求
  */
 
 // ==================== 导入依赖 ====================
 
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, clipboard } = require('electron');
 const path = require('path');      // 路径处理
 const { spawn } = require('child_process');  // 启动子进程
 const net = require('net');        // 网络通信（用于 IPC 管道）
-const os = require('os');          // 操作系统信息
 const fs = require('fs');          // 文件系统操作
+const platform = require('./platform');  // 平台适配（IPC 路径、mpv 路径、音频输出等）
+const { createMpvClient } = require('./mpv-client');  // MPV JSON IPC 客户端
+const playlist = require('./playlist');  // 播放列表（队列）
+const history = require('./history');    // 观看记录
+const episode = require('./episode');    // 剧集文件名解析与排序
+const { createStore } = require('./store');  // userData 下的 JSON 存储
+const settings = require('./settings');  // 播放器设置（生成 MPV 参数）
+const profiles = require('./profiles');  // 画质方案
+const screenshot = require('./screenshot');  // 截图
+const subtitleStyle = require('./subtitle-style');  // 字幕样式
+const equalizer = require('./equalizer');  // 音频均衡器
+const keymap = require('./keymap');        // 快捷键（保存前检查）
+const disc = require('./disc');  // 光盘结构检测（ISO / BDMV / VIDEO_TS）
+const bluray = require('./bluray');  // 蓝光播放列表解析（MPLS / CLPI）
+const dvd = require('./dvd');        // DVD 标题解析（IFO）
+const playbackError = require('./playback-error');  // 播放错误分类
+const mpvLog = require('./mpv-log');                // MPV 日志文件
+const diagnostics = require('./diagnostics');       // 导出诊断信息
+const thumbnails = require('./thumbnails');         // 进度条预览缩略图
+const { createEndTracker } = require('./playback-end');  // 播放结束检测
 
 // ==================== 常量定义 ====================
 
 /**
  * MPV IPC 管道路径
  * Windows 使用命名管道，格式为 \\.\pipe\名称
+ * Linux/macOS 使用 Unix 域套接字
  * 用于与 MPV 播放器进行双向通信
  */
-const IPC_PIPE = '\\\\.\\pipe\\s-player-mpv';
+const IPC_PIPE = platform.getIpcPath();
 
 /** 是否为开发模式（未打包） */
 const isDev = !app.isPackaged;
 
+/** 用户自定义快捷键（只保存和默认值不同的部分，默认表在 src/keymap.js） */
+const keymapStore = createStore('keymap', { version: 1, overrides: {} });
+
 // ==================== 全局变量 ====================
 
 let mainWindow = null;        // 主窗口实例
 let mpvProcess = null;        // MPV 子进程
-let ipcClient = null;         // IPC 客户端连接
-let blurayTitles = [];        // 蓝光标题列表
-let currentBlurayDevice = null;  // 当前蓝光设备路径
+let ipcClient = null;         // IPC 客户端连接（原始套接字）
+const mpv = createMpvClient(); // MPV 请求/响应客户端（负责协议解析）
+let discTitles = [];          // 光盘标题列表（蓝光 / DVD）
+let currentDisc = null;          // 当前光盘 { type, root }（普通视频文件为 null）
 let isPlayingContent = false;    // 是否正在播放内容
+const playbackEnd = createEndTracker();  // 当前文件是否已播放结束（防止重复自动切换、不保存进度）
+let currentFilePath = null;      // 当前播放的文件路径
+let currentTitleId = null;       // 当前光盘标题 ID（蓝光为播放列表编号，DVD 为标题号；null 表示最长的标题）
+let playbackState = {};          // 最近的播放状态 { 'time-pos', duration, aid, sid, volume, ... }（用于保存进度和崩溃恢复）
+let pendingResume = null;        // 等待用户确认的"继续播放"记录 { position, duration, sent }
+let lastProgressSave = 0;        // 上次保存进度的时间（定期保存，防止异常退出丢失）
+let rendererReady = false;       // 渲染进程是否已注册好事件监听（之前收到的文件先暂存）
+let pendingOpenPaths = [];       // 等待渲染进程就绪后打开的路径（命令行参数、macOS open-file）
+let crashTimes = [];             // 最近几次 MPV 崩溃的时间（用于限制自动重启次数）
+let restartTimer = null;         // 崩溃后自动重启的定时器
+let recentMpvLog = [];           // MPV 最近的输出（用于判断错误类型和错误详情）
+let mpvLogViaIpc = false;        // 日志已改为通过 IPC 接收（不再记录终端输出，避免重复）
+let lastMpvArgs = null;          // 最近一次启动 MPV 的参数（用于导出诊断信息）
 
 // ==================== 窗口创建 ====================
 
@@ -66,7 +104,7 @@ function createWindow() {
   const initialSize = { width: 1000, height: 600 };
   
   mainWindow = new BrowserWindow({
-    icon: path.join(__dirname, '../icon.ico'), // 设置窗口图标
+    icon: path.join(__dirname, platform.isWindows ? '../icon.ico' : '../logo.png'), // 设置窗口图标
     width: initialSize.width,
     height: initialSize.height,
     minWidth: 800,      // 最小宽度，防止窗口太小
@@ -82,9 +120,12 @@ function createWindow() {
     }
   });
   
-  // 允许拖放文件到窗口
+  // 拖放文件到窗口时阻止页面跳转到该文件（拖放由渲染进程处理，见 open-paths）
   mainWindow.webContents.on('will-navigate', (e) => e.preventDefault());
   
+  // 页面重新加载时等待渲染进程再次就绪
+  mainWindow.webContents.on('did-start-loading', () => { rendererReady = false; });
+  
   // 禁用默认菜单
   mainWindow.setMenuBarVisibility(false);
 
@@ -127,25 +168,12 @@ function createWindow() {
 
 // ==================== MPV 控制 ====================
 
-/**
- * 获取 MPV 可执行文件路径
- * 开发模式：项目根目录
- * 打包后：resources 目录
- */
-function findMpv() {
-  if (isDev) {
-    return path.join(__dirname, '../mpv.exe');
-  } else {
-    // 打包后 mpv.exe 在 resources 目录
-    return path.join(process.resourcesPath, 'mpv.exe');
-  }
-}
-
 /**
  * 启动 MPV 播放器
  * 
- * @param {string} filePath - 要播放的文件/文件夹路径
- * @param {number|null} titleEdition - 蓝光标题编号（切换标题时使用）
+ * @param {string} filePath - 要播放的文件、ISO 或光盘文件夹路径
+ * @param {Object|null} recovery - 崩溃后恢复 { titleId, position, volume, mute, speed, pause }：
+ *   沿用同一个标题和播放状态，直接从 position 继续（不询问"继续播放"）
  * 
  * 【工作流程】
  * 1. 关闭旧的 MPV 进程和 IPC 连接
@@ -153,35 +181,48 @@ function findMpv() {
  * 3. 启动 MPV 子进程
  * 4. 等待 MPV 启动完成后连接 IPC
  */
-async function startMpv(filePath, titleEdition = null) {
+async function startMpv(filePath, recovery = null) {
+  // 保存上一个文件（或上一个标题）的进度
+  saveProgress();
+  
+  clearTimeout(restartTimer);
+  restartTimer = null;
+  // 打开新文件时重新计算崩溃次数
+  if (!recovery) crashTimes = [];
+  
   // 关闭旧的 IPC 连接
+  mpv.detach();
   if (ipcClient) {
     try { ipcClient.destroy(); } catch (e) { /* 忽略错误 */ }
     ipcClient = null;
   }
   
-  // 如果是切换标题，通知前端显示加载提示
-  if (titleEdition !== null) {
-    mainWindow?.webContents.send('switching-title');
-  }
-  
-  // 关闭旧的 MPV 进程
+  // 关闭旧的 MPV 进程和缩略图生成
   killMpv();
-  
-  // 切换标题时等待更长时间，确保旧进程完全退出
-  if (titleEdition !== null) {
-    await new Promise(resolve => setTimeout(resolve, 500));
-  }
+  thumbnails.close();
+  playbackEnd.reset();
+  playbackState = {};
+  pendingResume = null;
   
   if (!mainWindow) return;
 
-  const mpvPath = findMpv();
+  // 文件不存在或没有权限时不启动 MPV
+  try {
+    fs.accessSync(filePath, fs.constants.R_OK);
+  } catch (e) {
+    reportError('file-unreadable', { file: filePath, error: e.message });
+    stopPlayback();
+    return;
+  }
+
+  const mpvPath = getMpvPath();
 
   // 获取窗口句柄，让 MPV 嵌入到我们的窗口中
-  const hwnd = mainWindow.getNativeWindowHandle();
-  const wid = os.endianness() === 'LE' 
-    ? hwnd.readInt32LE(0) 
-    : hwnd.readInt32BE(0);
+  // Windows 为 HWND，Linux 为 X11 窗口 ID，macOS 为 NSView 指针
+  const wid = platform.getWindowId(mainWindow);
+
+  // 清理上次残留的 Unix 域套接字
+  platform.cleanupIpcPath(IPC_PIPE);
 
   // ==================== MPV 启动参数 ====================
   const args = [
@@ -192,71 +233,40 @@ async function startMpv(filePath, titleEdition = null) {
     '--no-osd-bar',                     // 禁用 OSD 进度条
     '--keep-open=yes',                  // 播放完毕保持打开
     
-    // ==================== GPU 硬件解码（使用显卡替代CPU） ====================
-    '--hwdec=auto-safe',                // 自动选择安全的硬解模式
-    '--vo=gpu',                         // 使用GPU视频输出
-    '--gpu-api=auto',                   // 自动选择GPU API (d3d11/vulkan)
+    // ==================== GPU 与音频输出 ====================
     '--gpu-context=auto',               // 自动GPU上下文
     '--hwdec-codecs=all',               // 所有编解码器启用硬解
-    
-    // ==================== 画质增强 ====================
-    '--scale=ewa_lanczossharp',         // 放大算法（高质量）
-    '--cscale=ewa_lanczossharp',        // 色度放大算法
-    '--dscale=mitchell',                // 缩小算法
-    '--correct-downscaling=yes',        // 正确的缩小处理
-    '--linear-downscaling=yes',         // 线性缩小
-    '--sigmoid-upscaling=yes',          // Sigmoid 放大（减少振铃）
-    '--deband=yes',                     // 去色带
-    '--deband-iterations=2',            // 去色带迭代次数
-    '--deband-threshold=48',            // 去色带阈值
-    '--deband-range=16',                // 去色带范围
-    '--deband-grain=48',                // 去色带颗粒
-    '--interpolation=yes',              // 帧插值（运动补偿）
-    '--video-sync=display-resample',    // 视频同步模式
-    '--tscale=oversample',              // 时间插值算法
-    
-    // ==================== 音频输出（Windows 使用 wasapi） ====================
-    '--ao=wasapi',                      // 使用 Windows 音频会话 API
-    '--audio-exclusive=no',             // 禁用独占模式
+    // Windows: wasapi / Linux: pipewire,pulse,alsa / macOS: coreaudio
+    ...platform.getAudioOutputArgs(),
     '--audio-fallback-to-null=yes',     // 音频失败时使用空输出（不阻塞播放）
-    
-    '--sub-auto=fuzzy',                             // 模糊匹配外部字幕
-    '--sub-visibility=yes',                         // 显示字幕
-    
-    // ==================== 语言优选（中文优先） ====================
-    // 音频语言优先级：简体中文、繁体中文、粤语、普通话、英语、日语
-    '--alang=chi,zho,zh,cmn,chs,cht,sc,tc,cn,tw,yue,cantonese,mandarin,chinese,eng,en,jpn,ja',
-    // 字幕语言优先级：简体中文、繁体中文、中文、英语
-    '--slang=chi,zho,zh,cmn,chs,cht,sc,tc,cn,tw,chinese,eng,en',
+    '--sub-visibility=yes',             // 显示字幕
     
     // ==================== 窗口与缓存 ====================
-    '--force-window=immediate',                     // 立即创建窗口
-    '--cache=yes',                                  // 启用缓存
+    '--force-window=immediate',         // 立即创建窗口
+    '--cache=yes',                      // 启用缓存
     
-    // ==================== 动态预加载配置 ====================
-    // 注意：预加载大小会根据文件大小动态调整（见下方代码）
-    '--demuxer-max-bytes=150M',                     // 最大缓存 150MB（默认值，会动态调整）
-    '--demuxer-readahead-secs=20',                  // 预读20秒
+    // ==================== HDR 和杜比视界（需HDR显示器） ====================
+    '--target-trc=auto',                // 自动色调响应曲线
+    '--target-prim=auto',               // 自动色域匹配
     
-    // ==================== 音频配置 ====================
-    // 注释掉音频透传，先测试基本播放
-    // '--audio-spdif=ac3,dts,eac3,truehd,dts-hd',     // 支持透传的音频格式
-    '--audio-channels=auto',                        // 自动音频声道配置
+    // ==================== 用户设置 ====================
+    // 硬解、画质、色调映射、音频、语言优先级、缓存大小等（见 settings.js）
+    ...settings.buildMpvArgs(),
     
-    // ==================== HDR 和杜比视界（需HDR显示器） ====================
-    '--target-trc=auto',                            // 自动色调响应曲线
-    '--tone-mapping=hable',                         // Hable色调映射算法（适合HDR到SDR）
-    '--hdr-compute-peak=yes',                       // 动态计算HDR峰值亮度
-    '--target-prim=auto',                           // 自动色域匹配
+    // ==================== 日志 ====================
+    // 终端输出带模块前缀（连接 IPC 之前的日志只有终端输出，见 mpv-log.js）
+    '--msg-module',
+    '--msg-color=no',
+    `--msg-level=${getMsgLevel()}`,
   ];
   
   // ==================== 文件类型检测 ====================
-  const lower = filePath.toLowerCase();
-  const isIso = lower.endsWith('.iso');
+  // ISO 镜像或蓝光 / DVD 文件夹（discInfo 为 null 表示普通视频文件）
+  const discInfo = disc.detect(filePath);
   
   // ==================== 缓冲优化（防卡顿） ====================
-  // 检测文件大小，为大文件和网络文件增加预加载缓存
-  if (!isIso) {
+  // 开启"自动调整缓存"时检测文件大小，为大文件增加预加载缓存（覆盖设置中的缓存大小）
+  if (!discInfo && settings.getAll().cacheAuto) {
     try {
       const stats = fs.statSync(filePath);
       const fileSizeGB = stats.size / (1024 * 1024 * 1024);
@@ -283,52 +293,68 @@ async function startMpv(filePath, titleEdition = null) {
   
   // 通用缓冲优化参数（适用于所有文件）
   args.push(
-    '--cache-pause=yes',                // 缓冲不足时暂停播放
-    '--cache-pause-wait=3',             // 暂停后等待3秒缓冲
+    '--cache-pause=yes',                // 缓冲不足时暂停播放（等待时间见设置）
     '--cache-pause-initial=yes',        // 初始缓冲时暂停
     '--demuxer-seekable-cache=yes'      // 允许在缓存范围内seek
   );
   
-  if (isIso) {
-    // ISO 文件通过大小判断是蓝光还是DVD
-    try {
-      const stats = fs.statSync(filePath);
-      const sizeGB = stats.size / (1024 * 1024 * 1024);
-      
-      if (sizeGB > 10) {
-        // 蓝光ISO（>10GB）
-        console.log(`检测到蓝光ISO (${sizeGB.toFixed(1)}GB)`);
-        // 只在初次打开时清空标题列表，切换标题时保留
-        if (titleEdition === null) {
-          blurayTitles = [];
-        }
-        currentBlurayDevice = filePath;
-        args.push(`--bluray-device=${filePath}`);
-        if (titleEdition !== null) {
-          args.push(`--edition=${titleEdition}`);
-        }
-        args.push('bd://longest');
-      } else {
-        // DVD ISO
-        console.log(`检测到DVD ISO (${sizeGB.toFixed(1)}GB)`);
-        currentBlurayDevice = null;
-        args.push(`--dvd-device=${filePath}`);
-        args.push('dvd://longest');
-      }
-    } catch (e) {
-      // 无法判断，当作蓝光处理
-      console.log('无法获取ISO大小，默认蓝光模式');
-      currentBlurayDevice = filePath;
-      args.push(`--bluray-device=${filePath}`);
-      if (titleEdition !== null) {
-        args.push(`--edition=${titleEdition}`);
-      }
-      args.push('bd://longest');
+  // ==================== 恢复观看记录 ====================
+  // 恢复上次的光盘标题、音轨和字幕，
+  // 有播放位置时先暂停，等用户在"继续播放"提示中选择（崩溃恢复时直接从崩溃前的位置继续）
+  const resumeEntry = history.getEntry(filePath);
+  
+  if (resumeEntry) {
+    if (resumeEntry.aid != null) {
+      args.push(`--aid=${resumeEntry.aid === false ? 'no' : resumeEntry.aid}`);
+    }
+    if (resumeEntry.sid != null) {
+      args.push(`--sid=${resumeEntry.sid === false ? 'no' : resumeEntry.sid}`);
+    }
+    if (resumeEntry.secondarySid != null) {
+      args.push(`--secondary-sid=${resumeEntry.secondarySid === false ? 'no' : resumeEntry.secondarySid}`);
+    }
+    // 上次手动加载的外挂字幕（按原来的顺序加载，字幕 ID 和上次一样）
+    for (const subFile of resumeEntry.subFiles || []) {
+      if (fs.existsSync(subFile)) args.push(`--sub-file=${subFile}`);
+    }
+    if (resumeEntry.position > 0 && !recovery) {
+      args.push('--pause=yes');
+      pendingResume = { position: resumeEntry.position, duration: resumeEntry.duration, sent: false };
+    }
+  }
+  
+  if (recovery) {
+    if (recovery.position > 0) args.push(`--start=${recovery.position}`);
+    if (typeof recovery.volume === 'number') args.push(`--volume=${recovery.volume}`);
+    if (recovery.mute) args.push('--mute=yes');
+    if (typeof recovery.speed === 'number') args.push(`--speed=${recovery.speed}`);
+    if (recovery.pause) args.push('--pause=yes');
+  }
+  
+  currentFilePath = filePath;
+  currentDisc = discInfo;
+  currentTitleId = null;
+  
+  if (discInfo) {
+    // 蓝光 / DVD（ISO 或文件夹）
+    // 读取标题列表（直接解析光盘上的 MPLS / IFO；蓝光读取失败时从 MPV 输出中获取，见 parseBlurayLog）
+    // 崩溃恢复时沿用之前的列表
+    if (!recovery) {
+      discTitles = readDiscTitles(discInfo);
+    }
+    // 从 MPV 输出获取蓝光标题时需要 cplayer 的 info 级别输出（覆盖前面的 --msg-level）
+    if (discInfo.type === 'bluray' && discTitles.length === 0) {
+      args.push(`--msg-level=${getMsgLevel(true)}`);
     }
+    args.push(discDeviceArg(discInfo));
+    
+    // 崩溃前的标题 → 上次看的标题 → 主标题（最长的）；都没有时由 MPV 选择最长的
+    const known = (id) => id != null && (discTitles.length === 0 || discTitles.some(t => t.id === id));
+    currentTitleId = [recovery?.titleId, resumeEntry?.discTitle, discTitles.find(t => t.isMain)?.id].find(known) ?? null;
+    args.push(discTitleUrl(discInfo.type, currentTitleId));
   } else {
     // 普通视频文件
     console.log(`播放文件: ${filePath}`);
-    currentBlurayDevice = null;
     args.push(filePath);
   }
 
@@ -337,87 +363,221 @@ async function startMpv(filePath, titleEdition = null) {
     stdio: ['ignore', 'pipe', 'pipe']  // 忽略 stdin，捕获 stdout/stderr
   });
   isPlayingContent = true;
+  lastMpvArgs = args;
+  mpvLogViaIpc = false;
+  mpvLog.startSession(filePath, args);
   
-  // 用于解析蓝光标题的缓冲区
-  let stdoutBuffer = '';
-  let stderrBuffer = '';
+  if (discTitles.length > 0) {
+    mainWindow?.webContents.send('disc-titles', discTitles, currentTitleId);
+  }
   
-  // 监听 stdout，解析蓝光标题信息
-  mpvProcess.stdout.on('data', (data) => {
-    stdoutBuffer += data.toString();
-    parseBlurayTitles(stdoutBuffer);
-  });
+  // ISO 卷标（比文件名更适合搜索影片信息）
+  if (discInfo?.label) {
+    mainWindow?.webContents.send('disc-label', discInfo.label);
+  }
   
-  // 监听 stderr，同样可能包含标题信息
-  mpvProcess.stderr.on('data', (data) => {
-    stderrBuffer += data.toString();
-    parseBlurayTitles(stderrBuffer);
-  });
+  // 持续读取 MPV 输出（不读取的话管道写满后 MPV 会卡住）
+  // 只保留最近的几十行（出错时用来判断原因）和最后一行不完整的内容，不累积整个输出；
+  // 没有解析到标题列表的蓝光从输出中获取标题
+  const parseLog = discInfo?.type === 'bluray' && discTitles.length === 0;
+  const pending = { stdout: '', stderr: '' };
+  recentMpvLog = [];
+  for (const name of ['stdout', 'stderr']) {
+    mpvProcess[name].on('data', (data) => {
+      const lines = (pending[name] + data.toString()).split(/\r?\n/);
+      pending[name] = lines.pop();
+      const output = lines.filter(Boolean);
+      recentMpvLog = recentMpvLog.concat(output).slice(-playbackError.LOG_LINES);
+      if (!mpvLogViaIpc) output.forEach(mpvLog.writeTerminal);
+      if (parseLog) parseBlurayLog(lines);
+    });
+  }
 
-  // MPV 启动失败
-  mpvProcess.on('error', (err) => {
+  // MPV 启动失败（找不到可执行文件、没有执行权限）
+  // 这种情况下不一定会触发 exit 事件，直接停止播放
+  const proc = mpvProcess;
+  proc.on('error', (err) => {
+    if (mpvProcess !== proc) return;
     console.error('MPV 启动失败:', err.message);
-    mainWindow?.webContents.send('mpv-error', err.message);
+    mpvProcess = null;
+    const missing = err.code === 'ENOENT' || err.code === 'EACCES';
+    reportError(missing ? 'mpv-missing' : 'unknown', { error: `${err.message}\nMPV 路径: ${mpvPath}` });
+    stopPlayback();
   });
 
   // MPV 进程退出
-  mpvProcess.on('exit', () => {
+  // killMpv() 会先把 mpvProcess 置空（或已经换成新进程），这时是主动关闭，不需要处理
+  proc.on('exit', (code, signal) => {
+    if (mpvProcess !== proc) return;
     mpvProcess = null;
+    mpv.detach();
     if (ipcClient) {
       ipcClient.destroy();
       ipcClient = null;
     }
+    handleMpvExit(code, signal);
   });
 
   // 等待 MPV 启动完成后连接 IPC
-  const waitTime = titleEdition !== null ? 800 : 600;
-  setTimeout(() => connectIpc(), waitTime);
+  setTimeout(() => connectIpc(), 600);
+}
+
+/**
+ * MPV 可执行文件（设置中的路径优先，留空或无效时自动查找，见 platform.findMpv）
+ * @returns {string}
+ */
+function getMpvPath() {
+  return platform.findMpv({ isDev, customPath: settings.getAll().mpvPath });
 }
 
 /**
- * 解析蓝光标题信息
+ * 生成 --msg-level 的值（级别见设置）
+ * @param {boolean} [keepTitles] - 需要从输出获取蓝光标题（cplayer 至少保留 info 级别）
+ * @returns {string} 如 'all=warn,cplayer=info'
+ */
+function getMsgLevel(keepTitles = false) {
+  const level = settings.getAll().logLevel;
+  const belowInfo = mpvLog.LEVELS.indexOf(level) < mpvLog.LEVELS.indexOf('info');
+  return keepTitles && belowInfo ? `all=${level},cplayer=info` : `all=${level}`;
+}
+
+/**
+ * 通过 IPC 接收日志（带模块和级别，见 mpv-log.js），之后不再记录终端输出
+ */
+function requestLogMessages() {
+  sendCmd(['request_log_messages', settings.getAll().logLevel]);
+  mpvLogViaIpc = true;
+}
+
+/**
+ * 读取光盘标题列表（直接解析光盘文件夹 / ISO 里的 MPLS / IFO）
+ * @param {{ type: 'bluray'|'dvd', root: string }} discInfo - 光盘
+ * @returns {Array} 标题列表（见 bluray.readTitles / dvd.readTitles），读取失败时返回空数组
+ */
+function readDiscTitles(discInfo) {
+  let source;
+  try {
+    source = disc.openSource(discInfo.root);
+    const titles = discInfo.type === 'bluray' ? bluray.readTitles(source) : dvd.readTitles(source);
+    console.log(`${discInfo.type === 'bluray' ? '蓝光' : 'DVD'}标题: ${titles.length} 个（已过滤 ${bluray.MIN_TITLE_SECONDS} 秒以下的标题）`);
+    return titles;
+  } catch (e) {
+    console.error('读取光盘标题失败:', e.message);
+    return [];
+  } finally {
+    source?.close();
+  }
+}
+
+/**
+ * 光盘设备参数
+ * @param {{ type: 'bluray'|'dvd', root: string }} discInfo - 光盘
+ * @returns {string} 如 '--bluray-device=D:/Movies/Inception'
+ */
+function discDeviceArg(discInfo) {
+  return discInfo.type === 'bluray' ? `--bluray-device=${discInfo.root}` : `--dvd-device=${discInfo.root}`;
+}
+
+/**
+ * 光盘标题的 MPV 地址
+ * @param {'bluray'|'dvd'} type - 光盘类型
+ * @param {number|null} id - 标题 ID，null 表示最长的标题
+ * @returns {string} 如 'bd://mpls/800'、'dvd://0'
+ */
+function discTitleUrl(type, id) {
+  // bd://mpls/N 按播放列表文件选择标题
+  if (type === 'bluray') return id !== null ? `bd://mpls/${id}` : 'bd://longest';
+  // MPV 的 DVD 标题从 0 开始
+  return id !== null ? `dvd://${id - 1}` : 'dvd://longest';
+}
+
+/**
+ * 切换光盘标题（在正在运行的 MPV 中 loadfile，不重启进程）
+ *
+ * 音量、字幕样式、音频滤镜、窗口状态都保留在 MPV 中；
+ * 音轨 / 字幕按当前选择的语言在新标题中重新选择（不同标题的轨道 ID 不一定相同）
+ *
+ * @param {number} id - 标题 ID（蓝光为播放列表编号，DVD 为标题号）
+ * @returns {Promise<boolean>} 是否开始切换
+ */
+async function switchDiscTitle(id) {
+  const title = discTitles.find(t => t.id === id);
+  if (!currentDisc || !title || !mpv.isConnected()) return false;
+  
+  mainWindow?.webContents.send('switching-title');
+  saveProgress();
+  
+  // 当前音轨 / 字幕的语言，排在语言优先级最前面
+  const tracks = await mpv.getProperty('track-list').catch(() => []);
+  const langOf = (type, trackId) => tracks.find(t => t.type === type && t.id === trackId)?.lang;
+  const audioLang = langOf('audio', playbackState.aid);
+  const subLang = langOf('sub', playbackState.sid);
+  const { alang, slang } = settings.getAll();
+  const setOption = (name, value) => mpv.setProperty(name, value).catch(err => {
+    console.error(`设置 ${name} 失败:`, err.message);
+  });
+  
+  await Promise.all([
+    setOption('alang', audioLang ? `${audioLang},${alang}` : alang),
+    setOption('slang', subLang ? `${subLang},${slang}` : slang),
+    setOption('aid', 'auto'),
+    // 关闭了字幕时新标题也不显示字幕
+    setOption('sid', playbackState.sid === false ? 'no' : 'auto')
+  ]);
+  
+  playbackEnd.reset();
+  playbackState = {};
+  pendingResume = null;
+  currentTitleId = id;
+  
+  const url = discTitleUrl(currentDisc.type, id);
+  console.log(`切换光盘标题: ${url}`);
+  try {
+    await mpv.request(['loadfile', url, 'replace']);
+  } catch (err) {
+    console.error('切换标题失败:', err.message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 从 MPV 输出中解析蓝光标题（无法直接读取播放列表时使用）
  * 
  * MPV 输出格式示例：
  * --edition=0 'title: 1 (2:15:30) (00001.mpls)'
  * 
- * @param {string} buffer - MPV 输出的文本
+ * @param {string[]} lines - MPV 输出的完整行
  */
-function parseBlurayTitles(buffer) {
-  const regex = /--edition=(\d+)\s+'title:\s*(\d+)\s*\(([^)]+)\)\s*\(([^)]+\.mpls)\)'/g;
-  let match;
+function parseBlurayLog(lines) {
+  const regex = /--edition=\d+\s+'title:\s*\d+\s*\(([^)]+)\)\s*\((\d+\.mpls)\)'/;
   let found = false;
   
-  while ((match = regex.exec(buffer)) !== null) {
-    const edition = parseInt(match[1], 10);   // 标题编号
-    const titleNum = parseInt(match[2], 10);  // 显示编号
-    const duration = match[3];                 // 时长
-    const playlist = match[4];                 // 播放列表文件
+  for (const line of lines) {
+    const match = regex.exec(line);
+    if (!match) continue;
+    const [, duration, playlist] = match;
+    const mpls = parseInt(playlist, 10);
     
     // 避免重复添加
-    if (!blurayTitles.find(t => t.edition === edition)) {
-      blurayTitles.push({ edition, titleNum, duration, playlist });
+    if (!discTitles.find(t => t.mpls === mpls)) {
+      const durationSeconds = duration.split(':').reduce((acc, t) => acc * 60 + parseFloat(t), 0);
+      discTitles.push({ id: mpls, mpls, playlist, duration, durationSeconds });
       found = true;
     }
   }
   
   // 如果找到新标题，排序并通知前端
-  if (found && blurayTitles.length > 0) {
-    // 按时长降序排序（最长的在前面）
-    blurayTitles.sort((a, b) => {
-      const toSec = (d) => d.split(':').reduce((acc, t) => acc * 60 + parseFloat(t), 0);
-      return toSec(b.duration) - toSec(a.duration);
-    });
-    
-    // 添加显示索引、主标题标记和秒数
-    blurayTitles.forEach((t, i) => {
+  if (found) {
+    // 按时长降序排序，最长的是主标题
+    discTitles.sort((a, b) => b.durationSeconds - a.durationSeconds);
+    discTitles.forEach((t, i) => {
       t.displayIndex = i + 1;
-      t.isMain = i === 0;  // 最长的是主标题
-      // 将时长字符串转换为秒数
-      t.durationSeconds = t.duration.split(':').reduce((acc, time) => acc * 60 + parseFloat(time), 0);
+      t.isMain = i === 0;
     });
     
     // 通知前端更新标题列表
-    mainWindow?.webContents.send('bluray-titles', blurayTitles);
+    mainWindow?.webContents.send('disc-titles', discTitles, currentTitleId);
   }
 }
 
@@ -426,6 +586,7 @@ function parseBlurayTitles(buffer) {
  * 清理 IPC 连接和子进程
  */
 function killMpv() {
+  mpv.detach();
   if (ipcClient) {
     try { ipcClient.destroy(); } catch (e) { /* 忽略 */ }
     ipcClient = null;
@@ -437,18 +598,159 @@ function killMpv() {
   }
 }
 
+// ==================== 崩溃恢复 ====================
+
+/** 统计崩溃次数的时间窗口（毫秒） */
+const CRASH_WINDOW = 2 * 60 * 1000;
+
+/** 时间窗口内最多自动重启的次数，超过后等用户手动重启 */
+const MAX_AUTO_RESTARTS = 3;
+
+/** 第一次自动重启前等待的时间（毫秒），之后每次加倍 */
+const RESTART_BASE_DELAY = 1000;
+
+/** MPV 因为播放失败而退出的退出码（1 初始化失败，2 / 3 有文件无法播放） */
+const PLAYBACK_ERROR_CODES = [1, 2, 3];
+
+/**
+ * MPV 不是由我们关闭而退出
+ *
+ * - 退出码 0 / 4：在 MPV 里退出（如按 q），当作停止播放
+ * - 退出码 1 / 2 / 3：文件无法播放，重启也没有用，报告错误后停止播放
+ * - 其他（被信号终止、系统异常码）：崩溃，保存进度后自动重启，
+ *   短时间内反复崩溃时等待时间加倍，超过次数后不再自动重启，由用户决定
+ *
+ * @param {number|null} code - 退出码
+ * @param {string|null} signal - 终止信号（如 'SIGSEGV'）
+ */
+function handleMpvExit(code, signal) {
+  if (code === 0 || code === 4) {
+    console.log('MPV 已退出');
+    stopPlayback();
+    return;
+  }
+  
+  if (PLAYBACK_ERROR_CODES.includes(code)) {
+    reportPlaybackFailure(`MPV 退出码 ${code}`);
+    return;
+  }
+  
+  console.error(`MPV 异常退出（退出码 ${code}，信号 ${signal}）`);
+  saveProgress();
+  
+  const now = Date.now();
+  crashTimes = crashTimes.filter(t => now - t < CRASH_WINDOW).concat(now);
+  const attempt = crashTimes.length;
+  const restarting = attempt <= MAX_AUTO_RESTARTS;
+  const delay = RESTART_BASE_DELAY * 2 ** (attempt - 1);
+  
+  mainWindow?.webContents.send('mpv-crashed', {
+    code,
+    signal,
+    attempt,
+    maxAttempts: MAX_AUTO_RESTARTS,
+    restarting,
+    delay: restarting ? delay : null
+  });
+  
+  if (restarting) {
+    console.log(`${delay}ms 后重启 MPV（第 ${attempt} 次）`);
+    restartTimer = setTimeout(restartAfterCrash, delay);
+  }
+}
+
+/**
+ * 崩溃后重新启动 MPV，从崩溃前的位置继续
+ * 还没回答"继续播放"提示时按正常打开处理（再次询问）
+ * @returns {boolean} 是否重新启动
+ */
+function restartAfterCrash() {
+  clearTimeout(restartTimer);
+  restartTimer = null;
+  if (!currentFilePath || mpvProcess) return false;
+  
+  const recovery = pendingResume ? null : {
+    titleId: currentTitleId,
+    position: playbackState['time-pos'] ?? 0,
+    volume: playbackState.volume,
+    mute: playbackState.mute,
+    speed: playbackState.speed,
+    pause: playbackState.pause
+  };
+  startMpv(currentFilePath, recovery);
+  return true;
+}
+
 /**
  * 停止播放
  * 关闭 MPV 并重置状态
  */
 function stopPlayback() {
+  saveProgress();
+  clearTimeout(restartTimer);
+  restartTimer = null;
+  currentFilePath = null;
   isPlayingContent = false;
   killMpv();
-  blurayTitles = [];
-  currentBlurayDevice = null;
+  thumbnails.close();
+  discTitles = [];
+  currentDisc = null;
   mainWindow?.webContents.send('mpv-closed');
 }
 
+// ==================== 错误报告 ====================
+
+/**
+ * 把错误发给界面（显示错误对话框）
+ * @param {string} type - 错误类型（见 playback-error.js）
+ * @param {Object} [info] - { file, error }，默认为当前文件、附带 MPV 最近的输出
+ */
+function reportError(type, info = {}) {
+  const error = playbackError.create(type, { file: currentFilePath, log: recentMpvLog, ...info });
+  console.error(`播放错误 [${type}]:`, info.error || '');
+  mainWindow?.webContents.send('mpv-error', error);
+}
+
+/**
+ * 当前文件无法播放：根据 MPV 的输出判断原因，报告错误后停止播放
+ * @param {string} reason - MPV 给出的原因（end-file 的 file_error 或退出码）
+ */
+function reportPlaybackFailure(reason) {
+  const type = playbackError.classify({ fileError: reason, log: recentMpvLog, isDisc: !!currentDisc });
+  reportError(type, { error: reason });
+  stopPlayback();
+}
+
+// ==================== 观看记录 ====================
+
+/** 需要记录到观看记录的属性 */
+const PROGRESS_PROPS = ['time-pos', 'duration', 'aid', 'sid', 'secondary-sid'];
+
+/** 崩溃后重启时需要恢复的其他属性（见 restartAfterCrash） */
+const RECOVERY_PROPS = ['volume', 'mute', 'speed', 'pause'];
+
+/** 定期保存进度的间隔（毫秒） */
+const PROGRESS_SAVE_INTERVAL = 30000;
+
+/**
+ * 保存当前文件的播放进度、音轨、字幕和光盘标题
+ * 在切换文件、停止、退出时调用，播放过程中也会定期调用
+ */
+function saveProgress() {
+  // 停在末尾（已标记为看完）或还在等待"继续播放"确认时不保存，避免覆盖记录
+  if (!currentFilePath || playbackEnd.isFinished() || pendingResume) return;
+  
+  history.saveProgress(currentFilePath, {
+    position: playbackState['time-pos'],
+    duration: playbackState.duration,
+    aid: playbackState.aid,
+    sid: playbackState.sid,
+    secondarySid: playbackState['secondary-sid'],
+    discTitle: currentTitleId
+  });
+  lastProgressSave = Date.now();
+}
+
 // ==================== IPC 通信 ====================
 
 /**
@@ -459,8 +761,13 @@ function stopPlayback() {
  * MPV 启动需要时间，所以需要重试机制
  */
 function connectIpc(retries = 0) {
+  // MPV 已经退出（退出时另有处理）
+  if (!mpvProcess) return;
+  
   if (retries > 40) {
     console.error('IPC 连接失败：超过重试次数');
+    reportError('ipc-failed', { error: `无法连接 ${IPC_PIPE}` });
+    stopPlayback();
     return;
   }
   
@@ -477,8 +784,62 @@ function connectIpc(retries = 0) {
   });
 }
 
-/** IPC 数据缓冲区 */
-let buffer = '';
+/**
+ * 处理 MPV 推送的事件
+ * 
+ * @param {Object} msg - 事件消息，如 { event: 'property-change', name, data }
+ */
+function handleMpvEvent(msg) {
+  // 日志
+  if (msg.event === 'log-message') {
+    mpvLog.writeMessage(msg);
+    return;
+  }
+  
+  // 属性变化事件 - 转发给前端
+  if (msg.event === 'property-change') {
+    mainWindow?.webContents.send('mpv-prop', msg.name, msg.data);
+    
+    // 记录播放状态，定期保存进度
+    if (PROGRESS_PROPS.includes(msg.name) || RECOVERY_PROPS.includes(msg.name)) {
+      playbackState[msg.name] = msg.data;
+      if (msg.name === 'time-pos' && Date.now() - lastProgressSave > PROGRESS_SAVE_INTERVAL) {
+        saveProgress();
+      }
+    }
+    
+    // 切换音轨/字幕时恢复这条轨道上次的延迟
+    if (msg.name === 'aid' || msg.name === 'sid') {
+      restoreTrackDelay(msg.name === 'aid' ? 'audio' : 'sub', msg.data);
+    }
+  }
+  // 文件加载完成事件
+  else if (msg.event === 'file-loaded' || msg.event === 'playback-restart') {
+    mainWindow?.webContents.send('mpv-ready');
+    
+    // 有上次的播放位置：询问是否继续播放
+    if (msg.event === 'file-loaded' && pendingResume && !pendingResume.sent) {
+      pendingResume.sent = true;
+      mainWindow?.webContents.send('resume-prompt', {
+        position: pendingResume.position,
+        duration: pendingResume.duration
+      });
+    }
+  }
+
+  // 文件无法播放（打不开、无法解码）
+  if (msg.event === 'end-file' && msg.reason === 'error') {
+    reportPlaybackFailure(msg.file_error || 'end-file error');
+    return;
+  }
+
+  // 播放结束（eof-reached 或 end-file，见 playback-end.js），切换到下一个；
+  // 往回拖离开末尾后再次结束时会重新切换
+  const end = playbackEnd.handleEvent(msg);
+  if (end) handlePlaybackEnd(end);
+}
+
+mpv.on('event', handleMpvEvent);
 
 /**
  * 设置 IPC 通信
@@ -487,63 +848,271 @@ let buffer = '';
  * - 使用 JSON 格式通信
  * - 每条消息以换行符分隔
  * - 可以发送命令、监听属性变化
+ * 协议细节由 mpv-client.js 处理，这里只负责绑定连接和注册属性监听
  */
 function setupIpc() {
-  buffer = '';
-  
-  // 监听 MPV 发来的数据
-  ipcClient.on('data', (data) => {
-    buffer += data.toString();
-    const lines = buffer.split('\n');
-    buffer = lines.pop();  // 保留不完整的行
-    
-    for (const line of lines) {
-      if (!line) continue;
-      try {
-        const msg = JSON.parse(line);
-        
-        // 属性变化事件 - 转发给前端
-        if (msg.event === 'property-change') {
-          mainWindow?.webContents.send('mpv-prop', msg.name, msg.data);
-        } 
-        // get_property 命令的返回值
-        else if (msg.error === 'success' && msg.data !== undefined && msg.request_id) {
-          mainWindow?.webContents.send('mpv-prop', msg.request_id, msg.data);
-        }
-        // 文件加载完成事件
-        else if (msg.event === 'file-loaded' || msg.event === 'playback-restart') {
-          mainWindow?.webContents.send('mpv-ready');
-        }
-      } catch (e) { /* 忽略解析错误 */ }
-    }
-  });
+  mpv.attach(ipcClient);
 
   // 注册属性监听
   const props = [
     'time-pos', 'duration', 'pause', 'volume', 'mute',
     'track-list', 'chapter-list', 'chapter',
     'video-params', 'audio-codec-name', 'video-codec',
-    'video-bitrate', 'audio-bitrate', 'aid', 'sid',
-    'paused-for-cache', 'cache-buffering-state'
+    'video-bitrate', 'audio-bitrate', 'aid', 'sid', 'secondary-sid',
+    'paused-for-cache', 'cache-buffering-state', 'eof-reached',
+    'audio-delay', 'sub-delay', 'speed', 'ab-loop-a', 'ab-loop-b', 'angle',
+    'demuxer-cache-state'
   ];
   props.forEach((p, i) => sendCmd(['observe_property', i + 1, p]));
+  
+  // 日志
+  requestLogMessages();
+  
+  // 字幕样式（默认样式 + 这个文件的样式）
+  applySubStyle();
+  
+  // 音频均衡器
+  applyEqualizer();
 }
 
 /**
- * 发送命令给 MPV
+ * 发送命令给 MPV（不等待回复）
  * @param {Array} cmd - 命令数组
  */
 function sendCmd(cmd) {
-  if (ipcClient && !ipcClient.destroyed) {
-    ipcClient.write(JSON.stringify({ command: cmd }) + '\n');
-    return true;
+  return mpv.send(cmd);
+}
+
+// ==================== 播放列表 ====================
+
+/** 通知前端播放列表已变化（附带每一项是否已看完） */
+function sendPlaylist() {
+  const state = playlist.getState();
+  state.items.forEach(item => { item.watched = history.isWatched(item.path); });
+  mainWindow?.webContents.send('playlist-update', state);
+}
+
+/**
+ * 播放列表中的某一项
+ * @param {Object|null} item - playlist 返回的列表项
+ */
+function playItem(item) {
+  sendPlaylist();
+  if (item) startMpv(item.path);
+  return !!item;
+}
+
+/**
+ * 当前文件播放结束，按循环模式自动切换到下一个
+ * 列表已结束时保持在最后一帧（与 --keep-open 行为一致）
+ * @param {{ markWatched: boolean }} end - playbackEnd.handleEvent() 的结果
+ */
+function handlePlaybackEnd({ markWatched }) {
+  // 记录为已看完（打开文件夹时从第一个未看的开始），每个文件只记录一次
+  const finished = playlist.current();
+  if (finished && markWatched) history.markWatched(finished.path);
+
+  const item = playlist.next({ auto: true });
+  if (item) {
+    console.log(`自动播放下一个: ${item.title}`);
+    playItem(item);
   }
-  return false;
+}
+
+// ==================== 打开文件（拖放 / 命令行） ====================
+
+/** 外挂字幕扩展名 */
+const SUBTITLE_EXTENSIONS = ['srt', 'ass', 'ssa', 'sup', 'sub', 'idx', 'vtt'];
+
+/**
+ * 是否为外挂字幕文件
+ * @param {string} filePath - 文件路径
+ */
+function isSubtitleFile(filePath) {
+  return SUBTITLE_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+/**
+ * 是否为可以直接播放的文件（视频文件或 ISO 镜像）
+ * @param {string} filePath - 文件路径
+ */
+function isPlayableFile(filePath) {
+  return episode.isVideoFile(filePath) || path.extname(filePath).toLowerCase() === '.iso';
+}
+
+/**
+ * 展开文件夹：光盘文件夹作为一项（光盘根目录），其他文件夹展开为其中的视频
+ * @param {string} dir - 文件夹路径
+ * @returns {string[]}
+ */
+function expandFolder(dir) {
+  const discFolder = disc.detectFolder(dir);
+  return discFolder ? [discFolder.root] : episode.scanFolder(dir);
+}
+
+/**
+ * 从命令行参数中取出要打开的路径
+ * 
+ * 开发模式下 argv 为 [electron, '.', ...]，打包后为 [S-Player.exe, ...]；
+ * 以 - 开头的是 Chromium / Electron 的开关，忽略
+ * 
+ * @param {string[]} argv - 命令行参数
+ * @param {string} [cwd] - 启动时的工作目录（用于解析相对路径）
+ * @returns {string[]} 存在的绝对路径
+ */
+function getArgvPaths(argv, cwd = process.cwd()) {
+  return argv
+    .slice(process.defaultApp ? 2 : 1)
+    .filter(arg => arg && !arg.startsWith('-'))
+    .map(arg => path.resolve(cwd, arg))
+    .filter(p => fs.existsSync(p));
+}
+
+/**
+ * 播放文件夹
+ * - 蓝光 / DVD 文件夹（根目录、BDMV 或 VIDEO_TS）：作为光盘播放
+ * - 其他文件夹：作为一季剧集，按集数自然排序，从第一个未看完的开始
+ * @param {string} dir - 文件夹路径
+ * @returns {boolean} 文件夹中是否有视频文件
+ */
+function playFolder(dir) {
+  const discFolder = disc.detectFolder(dir);
+  if (discFolder) {
+    console.log(`打开${discFolder.type === 'bluray' ? '蓝光' : 'DVD'}文件夹: ${discFolder.root}`);
+    return playItem(playlist.replace([discFolder.root]));
+  }
+
+  const files = episode.scanFolder(dir);
+  if (files.length === 0) return false;
+
+  const firstUnwatched = files.findIndex(f => !history.isWatched(f));
+  const start = firstUnwatched === -1 ? 0 : firstUnwatched;
+  console.log(`打开文件夹: ${dir}，共 ${files.length} 个视频，从第 ${start + 1} 个开始`);
+
+  return playItem(playlist.replace(files, start, path.basename(dir)));
+}
+
+/**
+ * 给正在播放的文件加载外挂字幕（MPV sub-add），并记到观看记录里
+ * 第一个字幕加载后立即选中
+ *
+ * @param {string[]} files - 字幕文件路径
+ * @returns {Promise<{ added: number, error?: string }>}
+ */
+async function addSubtitles(files) {
+  if (!mpv.isConnected() || !currentFilePath) {
+    return { added: 0, error: '没有正在播放的视频' };
+  }
+
+  let added = 0;
+  for (const file of files) {
+    try {
+      await mpv.request(['sub-add', file, added === 0 ? 'select' : 'auto']);
+      history.addSubFile(currentFilePath, file);
+      added++;
+    } catch (err) {
+      console.error(`加载字幕失败: ${file}`, err.message);
+    }
+  }
+  return added > 0 ? { added } : { added, error: '字幕文件无法加载' };
+}
+
+/**
+ * 把和视频一起打开的字幕记到对应视频的观看记录里，播放时通过 --sub-file 加载
+ * - 只有一个视频：字幕都属于它
+ * - 多个视频：字幕文件名以视频文件名（不含扩展名）开头的属于这个视频
+ *
+ * @param {string[]} videos - 视频文件路径
+ * @param {string[]} subs - 字幕文件路径
+ */
+function attachSubtitles(videos, subs) {
+  for (const sub of subs) {
+    const subName = path.basename(sub).toLowerCase();
+    const video = videos.length === 1 ? videos[0] : videos.find(v => (
+      subName.startsWith(path.basename(v, path.extname(v)).toLowerCase())
+    ));
+    if (video) history.addSubFile(video, sub);
+  }
+}
+
+/**
+ * 打开一组路径（拖放、命令行、第二个实例传来的文件）
+ * - 只有一个文件夹：作为光盘或一季剧集播放（见 playFolder）
+ * - 只有字幕文件：加载到正在播放的视频
+ * - 其他情况：文件夹展开为其中的视频（光盘文件夹作为一项），和文件一起替换播放列表，
+ *   一起打开的字幕文件跟着对应的视频加载
+ * 
+ * @param {string[]} paths - 文件或文件夹路径
+ * @returns {boolean} 是否开始播放（或加载了字幕）
+ */
+function openPaths(paths) {
+  const subs = paths.filter(isSubtitleFile);
+  const targets = paths.filter(p => !isSubtitleFile(p));
+  if (targets.length === 0 && subs.length > 0) {
+    addSubtitles(subs);
+    return mpv.isConnected();
+  }
+
+  const stats = targets
+    .map(p => {
+      try {
+        return { path: p, isDir: fs.statSync(p).isDirectory() };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  if (stats.length === 1 && stats[0].isDir) {
+    return playFolder(stats[0].path);
+  }
+
+  const files = stats.flatMap(s => (s.isDir ? expandFolder(s.path) : [s.path]))
+    .filter(f => isPlayableFile(f) || disc.detectFolder(f));
+  if (files.length === 0) {
+    console.log('没有可播放的文件:', paths);
+    return false;
+  }
+  attachSubtitles(files, subs);
+  return playItem(playlist.replace(files));
+}
+
+/**
+ * 打开路径；渲染进程还没就绪时（刚启动）先暂存，就绪后再打开
+ * 否则渲染进程收不到 playlist-update，界面不会切换到播放状态
+ * @param {string[]} paths - 文件或文件夹路径
+ */
+function openWhenReady(paths) {
+  if (paths.length === 0) return;
+  if (rendererReady) {
+    openPaths(paths);
+  } else {
+    pendingOpenPaths = paths;
+  }
+}
+
+/** 把窗口调到最前面（第二次启动时） */
+function focusMainWindow() {
+  if (!mainWindow) return;
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
 }
 
 // ==================== IPC 处理器 ====================
 // 这些处理器响应来自渲染进程（React）的请求
 
+/** 渲染进程已注册事件监听，打开启动时传入的文件 */
+ipcMain.handle('renderer-ready', () => {
+  rendererReady = true;
+  const paths = pendingOpenPaths;
+  pendingOpenPaths = [];
+  if (paths.length > 0) openPaths(paths);
+});
+
+/** 打开拖放到窗口的文件 / 文件夹 */
+ipcMain.handle('open-paths', (_, paths) => openPaths(paths));
+
 /** 打开文件对话框 */
 ipcMain.handle('open-file', async () => {
   const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
@@ -556,22 +1125,552 @@ ipcMain.handle('open-file', async () => {
   return canceled ? null : filePaths[0];
 });
 
-/** 播放文件 */
-ipcMain.handle('play', (_, filePath) => startMpv(filePath));
+/** 打开文件对话框（多选，用于添加到播放列表） */
+ipcMain.handle('open-files', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile', 'multiSelections'],
+    filters: [{ 
+      name: 'Videos', 
+      extensions: ['mkv', 'mp4', 'avi', 'mov', 'iso', 'm2ts'] 
+    }]
+  });
+  return canceled ? [] : filePaths;
+});
+
+/** 打开文件夹对话框 */
+ipcMain.handle('open-folder', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory']
+  });
+  return canceled ? null : filePaths[0];
+});
+
+/**
+ * 选择外挂字幕文件并加载到正在播放的视频
+ * @returns {Promise<{ added: number, error?: string }|null>} 取消时返回 null
+ */
+ipcMain.handle('open-subtitle', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile', 'multiSelections'],
+    filters: [{ 
+      name: 'Subtitles', 
+      extensions: SUBTITLE_EXTENSIONS 
+    }]
+  });
+  return canceled ? null : addSubtitles(filePaths);
+});
+
+/** 播放文件（替换当前播放列表） */
+ipcMain.handle('play', (_, filePath) => playItem(playlist.replace([filePath])));
+
+/** 播放文件夹（光盘文件夹作为光盘，其他作为一季剧集），返回文件夹中是否有视频文件 */
+ipcMain.handle('play-folder', (_, dir) => playFolder(dir));
+
+/**
+ * 回答"继续播放"提示
+ * @param {boolean} resume - true 从上次位置继续，false 从头播放
+ */
+ipcMain.handle('resume-playback', (_, resume) => {
+  if (!pendingResume) return;
+  if (resume) {
+    sendCmd(['seek', pendingResume.position, 'absolute']);
+  }
+  sendCmd(['set_property', 'pause', false]);
+  pendingResume = null;
+});
+
+/** 获取最近播放记录 */
+ipcMain.handle('history-recent', (_, limit) => history.getRecent(limit));
+
+/** 删除一条播放记录 */
+ipcMain.handle('history-remove', (_, filePath) => history.removeEntry(filePath));
+
+/** 标记为已看完 / 未看完 */
+ipcMain.handle('history-mark-watched', (_, filePath, watched) => {
+  history.markWatched(filePath, watched);
+  sendPlaylist();
+});
+
+// -------------------- 播放列表 --------------------
+
+/** 获取播放列表 */
+ipcMain.handle('playlist-get', () => playlist.getState());
+
+/** 添加文件到播放列表末尾（列表为空时直接开始播放） */
+ipcMain.handle('playlist-add', (_, filePaths) => {
+  const wasEmpty = !playlist.current();
+  const added = playlist.add(filePaths);
+  if (wasEmpty && added.length > 0 && !mpvProcess) {
+    const index = playlist.getState().items.findIndex(item => item.id === added[0].id);
+    return playItem(playlist.select(index));
+  }
+  sendPlaylist();
+  return true;
+});
+
+/** 从播放列表删除 */
+ipcMain.handle('playlist-remove', (_, id) => {
+  playlist.remove(id);
+  sendPlaylist();
+});
+
+/** 调整播放列表顺序 */
+ipcMain.handle('playlist-move', (_, fromIndex, toIndex) => {
+  playlist.move(fromIndex, toIndex);
+  sendPlaylist();
+});
+
+/** 清空播放列表（不停止当前播放） */
+ipcMain.handle('playlist-clear', () => {
+  playlist.clear();
+  sendPlaylist();
+});
+
+/** 播放列表中的指定项 */
+ipcMain.handle('playlist-play', (_, index) => playItem(playlist.select(index)));
+
+/** 下一个 */
+ipcMain.handle('playlist-next', () => playItem(playlist.next()));
+
+/** 上一个 */
+ipcMain.handle('playlist-prev', () => playItem(playlist.previous()));
+
+/** 设置循环模式：'off' | 'one' | 'all' */
+ipcMain.handle('playlist-set-repeat', (_, mode) => {
+  playlist.setRepeat(mode);
+  sendPlaylist();
+});
+
+/** 设置随机播放 */
+ipcMain.handle('playlist-set-shuffle', (_, enabled) => {
+  playlist.setShuffle(enabled);
+  sendPlaylist();
+});
 
 /** 发送 MPV 命令 */
 ipcMain.handle('mpv-cmd', (_, cmd) => sendCmd(cmd));
 
+/**
+ * 等待 MPV 请求的结果
+ * 失败时返回 { error }：直接 reject 的话，渲染进程收到的错误信息会被 Electron 加上
+ * "Error invoking remote method" 前缀，看不到 MPV 原始的错误信息
+ * @param {Promise} request - mpv.request() 等
+ * @returns {Promise<{ data: * } | { error: string }>}
+ */
+function toResult(request) {
+  return request.then(data => ({ data }), err => ({ error: err.message }));
+}
+
+/** 发送 MPV 命令并等待结果 */
+ipcMain.handle('mpv-command', (_, args) => toResult(mpv.request(args)));
+
+/** 读取 MPV 属性 */
+ipcMain.handle('mpv-get-property', (_, name) => toResult(mpv.getProperty(name)));
+
 /** 停止播放 */
 ipcMain.handle('stop', () => stopPlayback());
 
-/** 切换蓝光标题 */
-ipcMain.handle('switch-title', (_, edition) => {
-  if (!currentBlurayDevice) return false;
-  startMpv(currentBlurayDevice, edition);
+/** 崩溃后手动重启 MPV（超过自动重启次数时），返回是否重新启动 */
+ipcMain.handle('mpv-restart', () => restartAfterCrash());
+
+/** 切换光盘标题（不重启 MPV） */
+ipcMain.handle('switch-title', (_, id) => switchDiscTitle(id));
+
+// -------------------- 预览缩略图 --------------------
+
+/**
+ * 获取进度条上某个时间的预览缩略图（第一次请求时开始为当前文件 / 标题生成）
+ * @returns {Promise<{ time: number, image: string|null }|null>} 没有画面或还没开始播放时返回 null
+ */
+ipcMain.handle('thumbnail-get', async (_, time) => {
+  if (!currentFilePath || !mpv.isConnected() || !(playbackState.duration > 0)) return null;
+  const params = await mpv.getProperty('video-params').catch(() => null);
+  if (!params?.dw || !params?.dh) return null;
+  
+  try {
+    thumbnails.open({
+      file: currentFilePath,
+      titleId: currentTitleId,
+      url: currentDisc ? discTitleUrl(currentDisc.type, currentTitleId) : currentFilePath,
+      deviceArgs: currentDisc ? [discDeviceArg(currentDisc)] : [],
+      mpvPath: getMpvPath(),
+      duration: playbackState.duration,
+      aspect: params.dw / params.dh
+    });
+  } catch (err) {
+    console.error('打开缩略图缓存失败:', err.message);
+    return null;
+  }
+  return thumbnails.get(time);
+});
+
+// -------------------- 截图 --------------------
+
+/**
+ * 截图（模式、格式、目录、文件名模板来自设置）
+ * @param {string} title - 影片名称（用于文件名）
+ * @returns {{ entry?: Object, error?: string }}
+ */
+ipcMain.handle('screenshot-take', async (_, title) => {
+  if (!mpv.isConnected()) return { error: '没有正在播放的视频' };
+  const values = settings.getAll();
+  try {
+    const entry = await screenshot.capture(mpv, {
+      mode: values.screenshotMode,
+      format: values.screenshotFormat,
+      dir: values.screenshotDir,
+      template: values.screenshotTemplate,
+      title
+    });
+    return { entry };
+  } catch (err) {
+    console.error('截图失败:', err.message);
+    return { error: err.message };
+  }
+});
+
+/** 本次的截图 */
+ipcMain.handle('screenshot-list', () => screenshot.list());
+
+/** 复制截图到剪贴板 */
+ipcMain.handle('screenshot-copy', (_, id) => screenshot.copy(id));
+
+/** 删除截图文件 */
+ipcMain.handle('screenshot-delete', (_, id) => {
+  screenshot.remove(id);
+  return screenshot.list();
+});
+
+/** 在文件管理器中显示截图 */
+ipcMain.handle('screenshot-reveal', (_, id) => {
+  const file = screenshot.getPath(id);
+  if (file) shell.showItemInFolder(file);
+});
+
+// -------------------- 音画 / 字幕同步 --------------------
+
+/** 延迟类型 → MPV 属性 */
+const DELAY_PROPS = { audio: 'audio-delay', sub: 'sub-delay' };
+
+/**
+ * 当前轨道在观看记录中的 key
+ * @param {string} kind - 'audio' | 'sub'
+ * @returns {string|null} 如 'sub:3'；没有选中轨道时返回 null
+ */
+function getTrackDelayKey(kind) {
+  const id = playbackState[kind === 'audio' ? 'aid' : 'sid'];
+  return typeof id === 'number' ? `${kind}:${id}` : null;
+}
+
+/**
+ * 恢复轨道的延迟（没有记录时为 0，延迟是按轨道记忆的）
+ * @param {string} kind - 'audio' | 'sub'
+ * @param {number|boolean} trackId - 轨道 ID，false 表示关闭
+ */
+function restoreTrackDelay(kind, trackId) {
+  if (typeof trackId !== 'number' || !currentFilePath) return;
+  const delay = history.getEntry(currentFilePath)?.delays?.[`${kind}:${trackId}`] || 0;
+  mpv.setProperty(DELAY_PROPS[kind], delay).catch(() => { /* 文件已切换 */ });
+}
+
+/**
+ * 调整延迟，并按文件 + 轨道记住
+ *
+ * @param {string} kind - 'audio' | 'sub'
+ * @param {string} action - 'add' 增加 value 秒 | 'reset' 归零 | 'sub-step' 字幕同步到现在
+ * @param {number} [value] - 'add' 时为秒数
+ * @returns {{ delay?: number, error?: string }} 调整后的延迟（秒）
+ */
+ipcMain.handle('delay-change', async (_, kind, action, value) => {
+  const prop = DELAY_PROPS[kind];
+  if (!prop || !mpv.isConnected()) return { error: '没有正在播放的视频' };
+
+  try {
+    if (action === 'add') {
+      await mpv.request(['add', prop, value]);
+    } else if (action === 'reset') {
+      await mpv.setProperty(prop, 0);
+    } else if (action === 'sub-step') {
+      // 让下一句字幕现在显示（MPV 根据字幕时间轴计算 sub-delay）；
+      // 后面没有字幕时命令失败（error running command），超时、断开等其他错误原样返回
+      await mpv.request(['sub-step', 1]).catch(err => {
+        throw err.message === 'error running command' ? new Error('后面没有字幕了') : err;
+      });
+    }
+
+    // 保留到毫秒，避免浮点误差累积（0.1 + 0.2）
+    const raw = await mpv.getProperty(prop);
+    const delay = Math.round(raw * 1000) / 1000;
+    if (delay !== raw) await mpv.setProperty(prop, delay);
+
+    const trackKey = getTrackDelayKey(kind);
+    if (trackKey && currentFilePath) history.setDelay(currentFilePath, trackKey, delay);
+    return { delay };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// -------------------- 字幕样式 --------------------
+
+/** 当前文件的字幕样式（观看记录中的 subStyle） */
+function getFileSubStyle() {
+  return currentFilePath ? history.getEntry(currentFilePath)?.subStyle || null : null;
+}
+
+/** 把当前的字幕样式应用到 MPV */
+function applySubStyle() {
+  if (!mpv.isConnected()) return;
+  const style = subtitleStyle.resolve(getFileSubStyle());
+  for (const [name, value] of subtitleStyle.toMpvProperties(style)) {
+    mpv.setProperty(name, value).catch(err => {
+      if (!subtitleStyle.OPTIONAL_PROPERTIES.includes(name)) console.error(`设置 ${name} 失败:`, err.message);
+    });
+  }
+}
+
+/** 字幕样式状态（发送给渲染进程） */
+function getSubStyleState() {
+  const fileStyle = getFileSubStyle();
+  return {
+    schema: subtitleStyle.getSchema(),
+    defaults: subtitleStyle.getDefaultStyle(),
+    fileStyle,
+    style: subtitleStyle.resolve(fileStyle),
+    hasFile: !!currentFilePath
+  };
+}
+
+/** 获取字幕样式 { schema, defaults, fileStyle, style, hasFile } */
+ipcMain.handle('sub-style-get', () => getSubStyleState());
+
+/**
+ * 修改字幕样式（实时生效）
+ * @param {Object} patch - { key: value }
+ * @param {string} scope - 'default' 修改默认样式，'file' 只修改当前文件
+ */
+ipcMain.handle('sub-style-set', (_, patch, scope) => {
+  const { style, errors } = subtitleStyle.sanitize(patch);
+  if (scope === 'file' && currentFilePath) {
+    const fileStyle = { ...subtitleStyle.resolve(getFileSubStyle()), ...style };
+    history.setSubStyle(currentFilePath, subtitleStyle.diff(fileStyle, subtitleStyle.getDefaultStyle()));
+  } else {
+    subtitleStyle.saveDefaultStyle({ ...subtitleStyle.getDefaultStyle(), ...style });
+  }
+  applySubStyle();
+  return { ...getSubStyleState(), errors };
+});
+
+/**
+ * 恢复字幕样式
+ * @param {string} scope - 'default' 恢复内置默认样式，'file' 删除当前文件的样式
+ */
+ipcMain.handle('sub-style-reset', (_, scope) => {
+  if (scope === 'file') {
+    if (currentFilePath) history.setSubStyle(currentFilePath, null);
+  } else {
+    subtitleStyle.saveDefaultStyle({});
+  }
+  applySubStyle();
+  return { ...getSubStyleState(), errors: {} };
+});
+
+// -------------------- 音频均衡器 --------------------
+
+/**
+ * 把均衡器应用到 MPV
+ * 先去掉旧的 @eq 滤镜再添加新的，其他音频滤镜保持不变
+ */
+async function applyEqualizer() {
+  if (!mpv.isConnected()) return;
+  const filter = equalizer.buildFilter();
+  try {
+    await mpv.request(['af', 'remove', equalizer.FILTER_LABEL]);
+  } catch (e) {
+    // 还没有添加过均衡器
+  }
+  if (filter) {
+    await mpv.request(['af', 'add', filter]).catch(err => {
+      console.error('设置均衡器失败:', err.message);
+    });
+  }
+}
+
+/** 获取均衡器状态 { bands, minGain, maxGain, enabled, gains, presets, activeId } */
+ipcMain.handle('eq-get', () => equalizer.getState());
+
+/**
+ * 修改均衡器（实时生效）
+ * @param {Object} patch - { enabled?, gains? }
+ */
+ipcMain.handle('eq-set', async (_, patch) => {
+  equalizer.update(patch || {});
+  await applyEqualizer();
+  return equalizer.getState();
+});
+
+/** 应用预设（同时启用均衡器） */
+ipcMain.handle('eq-preset-apply', async (_, id) => {
+  const preset = equalizer.find(id);
+  if (preset) {
+    equalizer.update({ enabled: true, gains: preset.gains });
+    await applyEqualizer();
+    console.log(`均衡器预设: ${preset.name}`);
+  }
+  return equalizer.getState();
+});
+
+/**
+ * 把当前增益保存为自定义预设
+ * @returns {{ ...state, error? }}
+ */
+ipcMain.handle('eq-preset-save', (_, name) => {
+  const { error } = equalizer.saveCurrent(name);
+  return { ...equalizer.getState(), error };
+});
+
+/** 删除自定义预设 */
+ipcMain.handle('eq-preset-remove', (_, id) => {
+  equalizer.remove(id);
+  return equalizer.getState();
+});
+
+// -------------------- 快捷键 --------------------
+
+/** 获取用户自定义快捷键 */
+ipcMain.handle('keymap-get', () => keymapStore.get().overrides);
+
+/** 保存用户自定义快捷键 */
+ipcMain.handle('keymap-save', (_, overrides) => {
+  keymapStore.update(data => { data.overrides = keymap.sanitizeOverrides(overrides); });
+});
+
+// -------------------- 设置 --------------------
+
+/**
+ * 把改变了的设置应用到正在运行的 MPV
+ * @param {string[]} changed - 改变了的设置项
+ * @returns {boolean} 是否有设置要下次播放才生效
+ */
+function applySettings(changed) {
+  const { live, restartRequired } = settings.getLiveProperties(changed);
+  if (mpv.isConnected()) {
+    for (const [name, value] of live) {
+      mpv.setProperty(name, value).catch(err => {
+        console.error(`设置 ${name}=${value} 失败:`, err.message);
+      });
+    }
+    // 日志级别：终端输出和 IPC 日志都要改
+    if (changed.includes('logLevel')) {
+      mpv.setProperty('msg-level', getMsgLevel(currentDisc?.type === 'bluray' && discTitles.length === 0)).catch(() => {});
+      requestLogMessages();
+    }
+  }
+  return restartRequired && !!mpvProcess;
+}
+
+/** 获取设置项定义和当前值 */
+ipcMain.handle('settings-get', () => {
+  const schema = settings.getSchema();
+  // MPV 路径留空时提示自动找到的路径
+  const mpvItem = schema.items.find(item => item.key === 'mpvPath');
+  mpvItem.placeholder = `自动：${platform.findMpv({ isDev })}`;
+  return { schema, values: settings.getAll() };
+});
+
+/**
+ * 修改设置
+ * @returns {{ values, errors, restartRequired }} restartRequired 表示部分设置下次播放时生效
+ */
+ipcMain.handle('settings-set', (_, patch) => {
+  const { values, errors, changed } = settings.update(patch);
+  return { values, errors, restartRequired: applySettings(changed) };
+});
+
+/** 恢复默认设置 */
+ipcMain.handle('settings-reset', () => {
+  const { values, changed } = settings.reset();
+  return { values, errors: {}, restartRequired: applySettings(changed) };
+});
+
+// -------------------- 剪贴板 --------------------
+
+/** 复制文字到剪贴板（错误详情等） */
+ipcMain.handle('copy-text', (_, text) => {
+  clipboard.writeText(String(text));
   return true;
 });
 
+// -------------------- 日志与诊断 --------------------
+
+/** 读取最近的 MPV 日志 [{ time, level, module, text }] */
+ipcMain.handle('mpv-log-get', () => mpvLog.read());
+
+/** 打开日志文件夹 */
+ipcMain.handle('mpv-log-reveal', () => {
+  const [file] = mpvLog.getFiles().slice(-1);
+  if (file) shell.showItemInFolder(file);
+});
+
+/**
+ * 导出诊断信息（日志、启动参数、设置、版本、轨道列表）
+ * @returns {Promise<{ path?: string, canceled?: boolean, error?: string }>}
+ */
+ipcMain.handle('diagnostics-export', async () => {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: '导出诊断信息',
+    defaultPath: path.join(app.getPath('desktop'), `S-Player-诊断-${stamp}.zip`),
+    filters: [{ name: 'ZIP', extensions: ['zip'] }]
+  });
+  if (canceled || !filePath) return { canceled: true };
+  
+  try {
+    const trackList = mpv.isConnected() ? await mpv.getProperty('track-list').catch(() => null) : null;
+    await diagnostics.exportBundle(filePath, {
+      mpvPath: getMpvPath(),
+      args: lastMpvArgs,
+      settings: settings.getAll(),
+      trackList
+    });
+    return { path: filePath };
+  } catch (err) {
+    console.error('导出诊断信息失败:', err.message);
+    return { error: err.message };
+  }
+});
+
+// -------------------- 画质方案 --------------------
+
+/** 获取全部画质方案 { profiles, activeId } */
+ipcMain.handle('profiles-get', () => profiles.getState());
+
+/** 切换画质方案（立即应用到正在播放的视频） */
+ipcMain.handle('profile-apply', (_, id) => {
+  const profile = profiles.find(id);
+  if (profile) {
+    const { changed } = settings.update(profile.values);
+    applySettings(changed);
+    console.log(`画质方案: ${profile.name}`);
+  }
+  return profiles.getState();
+});
+
+/**
+ * 把当前设置保存为自定义方案
+ * @returns {{ profiles, activeId, error? }}
+ */
+ipcMain.handle('profile-save', (_, name) => {
+  const { error } = profiles.saveCurrent(name);
+  return { ...profiles.getState(), error };
+});
+
+/** 删除自定义方案 */
+ipcMain.handle('profile-remove', (_, id) => {
+  profiles.remove(id);
+  return profiles.getState();
+});
+
 /** 最小化窗口 */
 ipcMain.handle('win-minimize', () => mainWindow?.minimize());
 
@@ -589,6 +1688,7 @@ ipcMain.handle('win-close', () => mainWindow?.close());
 
 /** 强制关闭窗口（确认退出后调用） */
 ipcMain.handle('win-force-close', () => {
+  saveProgress();
   isPlayingContent = false;
   mainWindow?.destroy();
 });
@@ -608,8 +1708,43 @@ ipcMain.handle('win-is-fullscreen', () => {
 
 // ==================== 应用生命周期 ====================
 
-// 应用准备就绪时创建窗口
-app.whenReady().then(createWindow);
+// 平台相关的启动参数（Linux 强制 X11，保证 --wid 嵌入可用）
+platform.configureApp(app);
+
+// 单实例：第二次启动（如双击另一个视频）时把文件交给已有窗口，然后退出
+// 两个实例会争用同一个 MPV IPC 管道
+if (!app.requestSingleInstanceLock()) {
+  app.quit();
+} else {
+  app.on('second-instance', (_, argv, workingDirectory) => {
+    focusMainWindow();
+    openWhenReady(getArgvPaths(argv, workingDirectory));
+  });
+  
+  // 命令行传入的文件（如 S-Player.exe movie.mkv、文件关联）
+  pendingOpenPaths = getArgvPaths(process.argv);
+  
+  // 应用准备就绪时创建窗口
+  app.whenReady().then(createWindow);
+}
+
+// macOS：在访达中用本程序打开文件 / 拖到 Dock 图标上
+app.on('open-file', (e, filePath) => {
+  e.preventDefault();
+  openWhenReady([filePath]);
+});
 
 // 所有窗口关闭时退出应用
 app.on('window-all-closed', () => app.quit());
+
+// 退出前保存播放进度，写入还在缓存中的日志
+app.on('before-quit', () => {
+  saveProgress();
+  mpvLog.flush();
+});
+
+// 退出时关闭缩略图生成，清理 Unix 域套接字
+app.on('will-quit', () => {
+  thumbnails.close();
+  platform.cleanupIpcPath(IPC_PIPE);
+});
@@ -0,0 +1,195 @@
+/**
+ * S-Player - MPV JSON IPC 客户端
+ *
+ * 【MPV IPC 协议】
+ * - 每条消息是一行 JSON，以换行符分隔
+ * - 命令：{ "command": [...], "request_id": 1 }
+ * - 回复：{ "error": "success", "data": ..., "request_id": 1 }
+ * - 事件：{ "event": "property-change", "name": "pause", "data": false }
+ *
+ * 【本模块的作用】
+ * - 为每个命令分配 request_id，把回复和请求对应起来
+ * - request() 返回 Promise：成功时 resolve(data)，失败时 reject(mpv 的 error 字符串)
+ * - 每个请求都有超时，MPV 卡住或连接断开时不会一直等待
+ * - 事件（property-change、end-file 等）通过 'event' 事件转发给调用方
+ */
+
+const { EventEmitter } = require('events');
+
+/** 默认请求超时（毫秒） */
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * 创建 MPV IPC 客户端
+ *
+ * @param {Object} options
+ * @param {number} [options.timeout] - 请求超时（毫秒）
+ * @returns {EventEmitter} 客户端对象
+ *   - 'event' 事件：(msg) MPV 推送的事件消息
+ *   - 'close' 事件：连接断开
+ *
+ * @example
+ * const mpv = createMpvClient();
+ * mpv.attach(net.connect(ipcPath));
+ * const hwdec = await mpv.getProperty('hwdec-current');
+ */
+function createMpvClient({ timeout = DEFAULT_TIMEOUT } = {}) {
+  const client = new EventEmitter();
+
+  let socket = null;        // 当前连接
+  let buffer = '';          // 未处理完的数据（不完整的行）
+  let nextRequestId = 1;    // 下一个请求 ID（从 1 开始，0 表示未指定）
+  const pending = new Map();  // request_id -> { resolve, reject, timer, command }
+
+  /**
+   * 让所有等待中的请求失败
+   * @param {string} reason - 失败原因
+   */
+  const rejectAll = (reason) => {
+    for (const { reject, timer, command } of pending.values()) {
+      clearTimeout(timer);
+      const err = new Error(reason);
+      err.command = command;
+      reject(err);
+    }
+    pending.clear();
+  };
+
+  /**
+   * 处理 MPV 发来的一行消息
+   * @param {Object} msg - 解析后的 JSON
+   */
+  const handleMessage = (msg) => {
+    // 事件消息
+    if (msg.event) {
+      client.emit('event', msg);
+      return;
+    }
+
+    // 命令回复：按 request_id 找到对应的请求
+    const entry = pending.get(msg.request_id);
+    if (!entry) return;  // 未跟踪的回复（fire-and-forget 命令）
+
+    pending.delete(msg.request_id);
+    clearTimeout(entry.timer);
+
+    if (msg.error === 'success') {
+      entry.resolve(msg.data);
+    } else {
+      const err = new Error(msg.error || 'unknown error');
+      err.command = entry.command;
+      entry.reject(err);
+    }
+  };
+
+  /**
+   * 接收数据，按行切分后解析
+   * @param {Buffer} data - 原始数据
+   */
+  const handleData = (data) => {
+    buffer += data.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();  // 保留不完整的行
+
+    for (const line of lines) {
+      if (!line) continue;
+      try {
+        handleMessage(JSON.parse(line));
+      } catch (e) { /* 忽略解析错误 */ }
+    }
+  };
+
+  const handleClose = () => {
+    socket = null;
+    buffer = '';
+    rejectAll('IPC 连接已断开');
+    client.emit('close');
+  };
+
+  /**
+   * 绑定已连接的套接字
+   * @param {net.Socket} sock - net.connect() 返回的连接
+   */
+  client.attach = (sock) => {
+    client.detach();
+    socket = sock;
+    buffer = '';
+    sock.on('data', handleData);
+    sock.on('close', handleClose);
+  };
+
+  /**
+   * 解除绑定并关闭连接
+   * 等待中的请求全部以失败结束
+   */
+  client.detach = () => {
+    if (!socket) return;
+    const sock = socket;
+    socket = null;
+    sock.removeListener('data', handleData);
+    sock.removeListener('close', handleClose);
+    try { sock.destroy(); } catch (e) { /* 忽略 */ }
+    rejectAll('IPC 连接已关闭');
+  };
+
+  /** 是否已连接 */
+  client.isConnected = () => !!socket && !socket.destroyed;
+
+  /**
+   * 发送命令，不等待回复
+   * @param {Array} command - 命令数组
+   * @returns {boolean} 是否已写入
+   */
+  client.send = (command) => {
+    if (!client.isConnected()) return false;
+    socket.write(JSON.stringify({ command }) + '\n');
+    return true;
+  };
+
+  /**
+   * 发送命令并等待回复
+   *
+   * @param {Array} command - 命令数组，如 ['get_property', 'volume']
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - 本次请求的超时（毫秒）
+   * @returns {Promise<*>} 回复中的 data 字段
+   */
+  client.request = (command, { timeout: ms = timeout } = {}) => {
+    return new Promise((resolve, reject) => {
+      if (!client.isConnected()) {
+        const err = new Error('IPC 未连接');
+        err.command = command;
+        reject(err);
+        return;
+      }
+
+      const requestId = nextRequestId++;
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        const err = new Error(`请求超时 (${ms}ms)`);
+        err.command = command;
+        reject(err);
+      }, ms);
+
+      pending.set(requestId, { resolve, reject, timer, command });
+      socket.write(JSON.stringify({ command, request_id: requestId }) + '\n');
+    });
+  };
+
+  /**
+   * 读取属性
+   * @param {string} name - 属性名，如 'hwdec-current'
+   */
+  client.getProperty = (name) => client.request(['get_property', name]);
+
+  /**
+   * 设置属性
+   * @param {string} name - 属性名
+   * @param {*} value - 属性值
+   */
+  client.setProperty = (name, value) => client.request(['set_property', name, value]);
+
+  return client;
+}
+
+module.exports = { createMpvClient };
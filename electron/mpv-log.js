@@ -0,0 +1,149 @@
+/**
+ * S-Player - MPV 日志
+ *
+ * 把 MPV 的日志写入 userData/logs/mpv.log，用于排查问题和导出诊断信息：
+ * - 连接 IPC 后通过 request_log_messages 接收日志（带模块和级别）
+ * - 连接之前（启动参数错误、找不到文件等）只有终端输出，记录为 term 级别
+ *
+ * 每行格式：时间 [级别] [模块] 内容，每次启动 MPV 前写一行分隔（播放的文件和启动参数）
+ *
+ * 【滚动】
+ * 文件超过 MAX_LOG_SIZE 时改名为 mpv.1.log（覆盖更早的），重新开始写，
+ * 最多占用两个文件的空间
+ *
+ * 【写入】
+ * 日志级别为 debug 时每秒可能有上千行，先缓存在内存里，每隔 FLUSH_INTERVAL 写一次
+ */
+
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+/** MPV 日志级别（从严重到详细），见 MPV 文档 --msg-level */
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'status', 'v', 'debug', 'trace'];
+
+/** 单个日志文件的最大大小（字节） */
+const MAX_LOG_SIZE = 5 * 1024 * 1024;
+
+/** 写入磁盘的间隔（毫秒） */
+const FLUSH_INTERVAL = 1000;
+
+/** 读取日志时最多返回的行数 */
+const READ_LIMIT = 5000;
+
+/** 日志行：时间 [级别] [模块] 内容 */
+const LINE_PATTERN = /^(\S+) \[(\w+)\] \[([^\]]*)\] (.*)$/;
+
+/** 终端输出中的模块前缀（--msg-module），如 [ffmpeg/demuxer] */
+const TERM_MODULE_PATTERN = /^\[([^\]]+)\]\s?(.*)$/;
+
+let buffer = [];        // 等待写入的行
+let flushTimer = null;
+
+/** 日志目录 */
+const getDir = () => path.join(app.getPath('userData'), 'logs');
+
+/**
+ * 日志文件（当前的和滚动出去的，按从旧到新）
+ * @returns {string[]} 存在的文件
+ */
+function getFiles() {
+  return ['mpv.1.log', 'mpv.log']
+    .map(name => path.join(getDir(), name))
+    .filter(file => fs.existsSync(file));
+}
+
+/** 把缓存的行写入磁盘，超过大小时滚动 */
+function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (buffer.length === 0) return;
+
+  const text = buffer.join('\n') + '\n';
+  buffer = [];
+  const file = path.join(getDir(), 'mpv.log');
+  try {
+    fs.mkdirSync(getDir(), { recursive: true });
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch (e) { /* 还没有日志文件 */ }
+    if (size > 0 && size + Buffer.byteLength(text) > MAX_LOG_SIZE) {
+      fs.renameSync(file, path.join(getDir(), 'mpv.1.log'));
+    }
+    fs.appendFileSync(file, text);
+  } catch (e) {
+    console.error('写入 MPV 日志失败:', e.message);
+  }
+}
+
+/**
+ * 添加一行（内容中的换行拆成多行）
+ * @param {string} level - 日志级别
+ * @param {string} module - 模块（如 cplayer、ffmpeg/demuxer）
+ * @param {string} text - 内容
+ */
+function write(level, module, text) {
+  const time = new Date().toISOString();
+  for (const line of String(text).replace(/\n$/, '').split('\n')) {
+    buffer.push(`${time} [${level}] [${module}] ${line}`);
+  }
+  if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+}
+
+/**
+ * 记录 MPV 的 log-message 事件
+ * @param {{ prefix: string, level: string, text: string }} msg
+ */
+function writeMessage(msg) {
+  write(msg.level, msg.prefix, msg.text);
+}
+
+/**
+ * 记录一行终端输出（连接 IPC 之前），模块取自 --msg-module 加的前缀
+ * @param {string} line
+ */
+function writeTerminal(line) {
+  const match = line.match(TERM_MODULE_PATTERN);
+  write('term', match ? match[1] : 'mpv', match ? match[2] : line);
+}
+
+/**
+ * 记录一次 MPV 启动
+ * @param {string} file - 播放的文件
+ * @param {string[]} args - 启动参数
+ */
+function startSession(file, args) {
+  write('info', 's-player', `========== 播放: ${file} ==========`);
+  write('info', 's-player', `启动参数: ${args.join(' ')}`);
+}
+
+/**
+ * 读取最近的日志
+ * @param {number} [limit] - 最多返回的行数
+ * @returns {Array<{ time: string, level: string, module: string, text: string }>} 从旧到新
+ */
+function read(limit = READ_LIMIT) {
+  flush();
+  const lines = [];
+  for (const file of getFiles()) {
+    try {
+      lines.push(...fs.readFileSync(file, 'utf8').split('\n'));
+    } catch (e) {
+      console.error('读取 MPV 日志失败:', e.message);
+    }
+  }
+  return lines
+    .slice(-limit)
+    .map(line => line.match(LINE_PATTERN))
+    .filter(Boolean)
+    .map(([, time, level, module, text]) => ({ time, level, module, text }));
+}
+
+module.exports = {
+  LEVELS,
+  getFiles,
+  flush,
+  writeMessage,
+  writeTerminal,
+  startSession,
+  read
+};
@@ -0,0 +1,198 @@
+/**
+ * S-Player - 平台适配层
+ *
+ * 【为什么需要它？】
+ * MPV 在不同操作系统上的运行方式不一样：
+ * - Windows：命名管道 IPC、mpv.exe、wasapi 音频输出、HWND 窗口句柄
+ * - Linux：  Unix 域套接字、PATH 中的 mpv、pipewire/pulse/alsa、X11 窗口 ID
+ * - macOS：  Unix 域套接字、PATH 或 mpv.app、coreaudio、NSView 指针
+ *
+ * 主进程只调用这里的函数，不再直接写死 Windows 相关的值。
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+/** 当前平台 */
+const platform = process.platform;
+const isWindows = platform === 'win32';
+const isMac = platform === 'darwin';
+const isLinux = platform === 'linux';
+
+/** MPV 可执行文件名 */
+const MPV_BINARY = isWindows ? 'mpv.exe' : 'mpv';
+
+/**
+ * 非 Windows 平台上 mpv 的常见安装位置
+ * PATH 中找不到时依次检查
+ */
+const UNIX_MPV_LOCATIONS = [
+  '/usr/bin/mpv',
+  '/usr/local/bin/mpv',
+  '/opt/homebrew/bin/mpv',                       // Apple Silicon Homebrew
+  '/Applications/mpv.app/Contents/MacOS/mpv',    // macOS 官方 App
+  '/snap/bin/mpv',
+  '/var/lib/flatpak/exports/bin/io.mpv.Mpv'
+];
+
+/**
+ * 获取 MPV IPC 地址
+ * - Windows：命名管道 \\.\pipe\s-player-mpv
+ * - Linux/macOS：临时目录下的 Unix 域套接字
+ *
+ * @param {string} name - 管道/套接字名称，默认 's-player-mpv'
+ * @returns {string} 可同时传给 --input-ipc-server 和 net.connect 的路径
+ */
+function getIpcPath(name = 's-player-mpv') {
+  if (isWindows) {
+    return `\\\\.\\pipe\\${name}`;
+  }
+  // 套接字路径长度有限制（macOS 约 104 字节），所以放在临时目录且名字尽量短
+  return path.join(os.tmpdir(), `${name}-${process.pid}.sock`);
+}
+
+/**
+ * 清理残留的 Unix 域套接字文件
+ * MPV 异常退出时可能留下旧文件，导致连接到失效的套接字
+ *
+ * @param {string} ipcPath - getIpcPath() 返回的路径
+ */
+function cleanupIpcPath(ipcPath) {
+  if (isWindows) return;  // 命名管道由系统回收
+  try { fs.unlinkSync(ipcPath); } catch (e) { /* 文件不存在 */ }
+}
+
+/**
+ * 判断文件是否存在且可执行
+ * @param {string} file - 文件路径
+ */
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, isWindows ? fs.constants.F_OK : fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 在 PATH 环境变量中查找可执行文件
+ * @param {string} binary - 文件名
+ * @returns {string|null} 完整路径
+ */
+function findInPath(binary) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    const candidate = path.join(dir, binary);
+    if (isExecutable(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * 获取 MPV 可执行文件路径
+ *
+ * 查找顺序：
+ * 1. 调用方指定的路径（用户配置）
+ * 2. 环境变量 SPLAYER_MPV_PATH
+ * 3. 随应用分发的 mpv（开发模式：项目根目录；打包后：resources 目录）
+ * 4. PATH 中的 mpv（Linux/macOS 通常由包管理器安装）
+ * 5. 常见安装位置
+ *
+ * @param {Object} options
+ * @param {boolean} options.isDev - 是否为开发模式
+ * @param {string} [options.customPath] - 用户配置的 mpv 路径
+ * @returns {string} mpv 路径；都找不到时返回 'mpv'，交给 spawn 报错
+ */
+function findMpv({ isDev, customPath } = {}) {
+  // 随应用分发的 mpv
+  const bundled = isDev
+    ? path.join(__dirname, '..', MPV_BINARY)
+    : path.join(process.resourcesPath || '', MPV_BINARY);
+
+  const candidates = [customPath, process.env.SPLAYER_MPV_PATH, bundled];
+  for (const candidate of candidates) {
+    if (candidate && isExecutable(candidate)) return candidate;
+  }
+
+  // Windows 上 mpv.exe 必须随应用分发，保持原有行为
+  if (isWindows) {
+    return bundled;
+  }
+
+  const fromPath = findInPath(MPV_BINARY);
+  if (fromPath) return fromPath;
+
+  const known = UNIX_MPV_LOCATIONS.find(isExecutable);
+  return known || MPV_BINARY;
+}
+
+/**
+ * 获取音频输出参数
+ * MPV 的 --ao 支持逗号分隔的列表，前一个不可用时自动尝试下一个
+ *
+ * @returns {string[]} MPV 参数数组
+ */
+function getAudioOutputArgs() {
+  if (isWindows) {
+    return ['--ao=wasapi'];                      // Windows 音频会话 API
+  }
+  if (isMac) {
+    return ['--ao=coreaudio'];
+  }
+  // Linux：优先 PipeWire，其次 PulseAudio，最后直接使用 ALSA
+  return ['--ao=pipewire,pulse,alsa'];
+}
+
+/**
+ * 获取 MPV 嵌入用的窗口 ID（--wid 参数）
+ *
+ * getNativeWindowHandle() 在各平台返回的内容不同：
+ * - Windows：HWND（32 位足够）
+ * - Linux：X11 Window ID（unsigned long，实际值不超过 32 位）
+ * - macOS：NSView 指针（64 位）
+ *
+ * @param {BrowserWindow} win - Electron 窗口
+ * @returns {string} 可直接拼接到 --wid= 后面的字符串
+ */
+function getWindowId(win) {
+  const handle = win.getNativeWindowHandle();
+  const le = os.endianness() === 'LE';
+
+  if (isMac && handle.length >= 8) {
+    return (le ? handle.readBigUInt64LE(0) : handle.readBigUInt64BE(0)).toString();
+  }
+  if (isLinux) {
+    return String(le ? handle.readUInt32LE(0) : handle.readUInt32BE(0));
+  }
+  return String(le ? handle.readInt32LE(0) : handle.readInt32BE(0));
+}
+
+/**
+ * 应用启动前的平台设置（必须在 app ready 之前调用）
+ *
+ * Linux 上 MPV 通过 --wid 嵌入需要 X11 窗口 ID，
+ * Wayland 下 Electron 没有可嵌入的窗口句柄，所以强制使用 X11（XWayland）
+ *
+ * @param {Electron.App} app - Electron app 实例
+ */
+function configureApp(app) {
+  if (isLinux) {
+    app.commandLine.appendSwitch('ozone-platform', 'x11');
+    // 透明窗口需要开启合成器支持
+    app.commandLine.appendSwitch('enable-transparent-visuals');
+  }
+}
+
+module.exports = {
+  isWindows,
+  isMac,
+  isLinux,
+  getIpcPath,
+  cleanupIpcPath,
+  findMpv,
+  getAudioOutputArgs,
+  getWindowId,
+  configureApp
+};
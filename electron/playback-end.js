@@ -0,0 +1,76 @@
+/**
+ * S-Player - 播放结束检测
+ *
+ * MPV 用两种方式报告当前文件播放结束：
+ * - --keep-open=yes：暂停在最后一帧，eof-reached 变为 true
+ * - 否则：发送 reason 为 eof 的 end-file 事件
+ *
+ * 【离开末尾】
+ * 停在末尾后用户还可以往回拖，或者往列表里加文件：eof-reached 变回 false 或者跳转时
+ * 清除"已结束"，之后继续保存进度，再次到达末尾时重新自动切换
+ *
+ * 【标记看完】
+ * "已标记为看完"单独记录，每个文件只标记一次，
+ * 往回拖之后保存的进度不会被再次标记覆盖
+ */
+
+/**
+ * 是否为播放结束事件
+ * @param {Object} msg - MPV 事件
+ */
+const isEndEvent = (msg) =>
+  (msg.event === 'end-file' && msg.reason === 'eof') ||
+  (msg.event === 'property-change' && msg.name === 'eof-reached' && msg.data === true);
+
+/**
+ * 是否为离开末尾的事件（eof-reached 变回 false、跳转）
+ * @param {Object} msg - MPV 事件
+ */
+const isLeaveEvent = (msg) =>
+  msg.event === 'seek' ||
+  (msg.event === 'property-change' && msg.name === 'eof-reached' && msg.data === false);
+
+/**
+ * 创建播放结束状态（每个文件开始播放时 reset）
+ *
+ * @returns {{ reset: Function, isFinished: Function, handleEvent: Function }}
+ *
+ * @example
+ * const end = createEndTracker();
+ * end.handleEvent({ event: 'end-file', reason: 'eof' }) // { markWatched: true }
+ * end.handleEvent({ event: 'end-file', reason: 'eof' }) // null（已经处理过）
+ */
+function createEndTracker() {
+  let finished = false;       // 停在末尾（不保存进度，不重复自动切换）
+  let watchedMarked = false;  // 已标记为看完
+
+  /** 开始播放新的文件 */
+  const reset = () => {
+    finished = false;
+    watchedMarked = false;
+  };
+
+  /**
+   * 处理 MPV 事件
+   * @param {Object} msg - MPV 事件
+   * @returns {{ markWatched: boolean }|null} 播放结束时返回（markWatched：需要标记为看完），其他情况返回 null
+   */
+  const handleEvent = (msg) => {
+    if (isLeaveEvent(msg)) {
+      finished = false;
+      return null;
+    }
+    if (!isEndEvent(msg) || finished) return null;
+
+    finished = true;
+    const markWatched = !watchedMarked;
+    watchedMarked = true;
+    return { markWatched };
+  };
+
+  return { reset, isFinished: () => finished, handleEvent };
+}
+
+module.exports = {
+  createEndTracker
+};
@@ -0,0 +1,97 @@
+/**
+ * S-Player - 播放错误
+ *
+ * 把 MPV 启动失败、文件打不开、解码失败等情况整理成统一的错误对象发给界面：
+ * { type, title, message, file, detail, time }
+ * - title / message：给用户看的说明和建议
+ * - detail：技术细节（原始错误、系统信息、MPV 最近的输出），用于"复制详细信息"
+ *
+ * 【分类】
+ * MPV 报告的播放失败（end-file 的 file_error、退出码）只有笼统的原因，
+ * 需要结合 MPV 最近的输出判断是文件读不了还是解码不了
+ */
+
+/** 错误类型 → 给用户看的说明 */
+const ERROR_TYPES = {
+  'mpv-missing': {
+    title: '找不到 MPV',
+    message: '无法启动播放器核心 MPV。请确认已安装 MPV（或 resources/mpv 目录完整）后重试。'
+  },
+  'file-unreadable': {
+    title: '无法读取文件',
+    message: '文件不存在、已被移动，或者没有读取权限。'
+  },
+  'unsupported-codec': {
+    title: '不支持的格式',
+    message: '文件的格式或编码无法解码，也可能是文件已损坏。'
+  },
+  'ipc-failed': {
+    title: '无法连接播放器',
+    message: 'MPV 已启动，但无法建立控制连接。请重试；反复出现时请检查安全软件是否拦截了本地管道。'
+  },
+  'disc-read-error': {
+    title: '无法读取光盘',
+    message: '光盘镜像或文件夹无法读取，可能已损坏或有加密（蓝光需要 libaacs / libbdplus 和密钥文件）。'
+  },
+  unknown: {
+    title: '播放失败',
+    message: '播放时发生错误，详细信息中有 MPV 的输出。'
+  }
+};
+
+/** MPV 输出中的错误关键字（按顺序匹配） */
+const LOG_PATTERNS = [
+  ['file-unreadable', /no such file|permission denied|access is denied|cannot open file/i],
+  ['unsupported-codec', /could not find decoder|failed to initialize a decoder|unsupported codec|failed to recognize file format|no video or audio streams/i]
+];
+
+/** 详细信息中保留的 MPV 输出行数 */
+const LOG_LINES = 30;
+
+/**
+ * 根据 MPV 的错误信息和最近的输出判断错误类型
+ *
+ * @param {Object} info
+ * @param {string} [info.fileError] - end-file 事件的 file_error（如 'loading failed'）
+ * @param {string[]} [info.log] - MPV 最近的输出
+ * @param {boolean} [info.isDisc] - 是否在播放光盘（光盘的播放失败一般是读取失败）
+ * @returns {string} 错误类型
+ */
+function classify({ fileError = '', log = [], isDisc = false }) {
+  if (isDisc) return 'disc-read-error';
+  const text = [fileError, ...log].join('\n');
+  const match = LOG_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'unknown';
+}
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} type - 错误类型（见 ERROR_TYPES）
+ * @param {Object} [info]
+ * @param {string} [info.file] - 正在播放的文件
+ * @param {string} [info.error] - 原始错误信息
+ * @param {string[]} [info.log] - MPV 最近的输出
+ * @returns {{ type, title, message, file, detail, time }}
+ */
+function create(type, { file = null, error = '', log = [] } = {}) {
+  const { title, message } = ERROR_TYPES[type] || ERROR_TYPES.unknown;
+  const time = new Date().toISOString();
+  const detail = [
+    `类型: ${type}`,
+    `时间: ${time}`,
+    `系统: ${process.platform} ${process.arch}，Electron ${process.versions.electron || '-'}`,
+    file && `文件: ${file}`,
+    error && `错误: ${error}`,
+    log.length > 0 && `\nMPV 输出（最近 ${Math.min(log.length, LOG_LINES)} 行）:\n${log.slice(-LOG_LINES).join('\n')}`
+  ].filter(Boolean).join('\n');
+
+  return { type, title, message, file, detail, time };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  LOG_LINES,
+  classify,
+  create
+};
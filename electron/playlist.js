@@ -0,0 +1,262 @@
+/**
+ * S-Player - 播放列表（队列）
+ *
+ * 【为什么放在主进程？】
+ * MPV 每次只播放一个文件（startMpv 启动一个进程），
+ * 播放列表需要在 MPV 重启（如切换蓝光标题）之后依然存在，
+ * 所以由主进程保存，渲染进程只负责显示。
+ *
+ * 【功能】
+ * - 添加 / 删除 / 调整顺序
+ * - 上一个 / 下一个
+ * - 循环模式：不循环 / 单个循环 / 列表循环
+ * - 随机播放
+ * - 打开文件夹作为一季剧集（见 episode.js）
+ */
+
+const path = require('path');
+const { parseEpisode, formatEpisode } = require('./episode');
+
+/** 循环模式 */
+const REPEAT_MODES = ['off', 'one', 'all'];
+
+// ==================== 状态 ====================
+
+let items = [];          // 列表项 [{ id, path, title, episode }]
+let listName = '';       // 列表名称（打开文件夹时为文件夹名）
+let currentId = null;    // 当前播放项 ID
+let removedPos = 0;      // 删除当前项时它在播放顺序中的位置（上一个 / 下一个从这里继续）
+let repeat = 'off';      // 循环模式
+let shuffle = false;     // 是否随机播放
+let shuffleOrder = [];   // 随机播放顺序（列表项 ID）
+let nextId = 1;          // 下一个列表项 ID
+
+// ==================== 内部工具 ====================
+
+/**
+ * 洗牌（Fisher-Yates），让当前项排在最前面
+ * @param {number|null} firstId - 排在最前面的 ID
+ */
+function reshuffle(firstId = currentId) {
+  const ids = items.map(item => item.id).filter(id => id !== firstId);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  shuffleOrder = firstId !== null && items.some(item => item.id === firstId)
+    ? [firstId, ...ids]
+    : ids;
+}
+
+/** 当前的播放顺序（列表项 ID 数组） */
+function playOrder() {
+  return shuffle ? shuffleOrder : items.map(item => item.id);
+}
+
+/**
+ * 当前项在播放顺序中的位置
+ * 当前项已被删除时返回它前一项的位置：下一个是原来当前项后面的那一项，上一个是前面的那一项
+ * @param {number[]} order - playOrder() 的结果
+ * @returns {{ pos: number, removed: boolean }}
+ */
+function currentPos(order) {
+  return currentId !== null
+    ? { pos: order.indexOf(currentId), removed: false }
+    : { pos: removedPos - 1, removed: true };
+}
+
+/**
+ * 创建列表项
+ * @param {string} filePath - 文件路径
+ */
+function createItem(filePath) {
+  const folderName = path.basename(path.dirname(filePath));
+  return {
+    id: nextId++,
+    path: filePath,
+    title: path.basename(filePath),
+    episode: formatEpisode(parseEpisode(path.basename(filePath), folderName))  // 如 'S01E02'
+  };
+}
+
+// ==================== 查询 ====================
+
+/**
+ * 获取完整状态（发送给渲染进程）
+ * @returns {{ name: string, items: Array, currentIndex: number, repeat: string, shuffle: boolean }}
+ */
+function getState() {
+  return {
+    name: listName,
+    items: items.map(item => ({ ...item })),
+    currentIndex: items.findIndex(item => item.id === currentId),
+    repeat,
+    shuffle
+  };
+}
+
+/** 当前播放项，没有时返回 null */
+function current() {
+  return items.find(item => item.id === currentId) || null;
+}
+
+// ==================== 修改 ====================
+
+/**
+ * 用新文件替换整个列表，并把第一个设为当前项
+ * @param {string[]} filePaths - 文件路径
+ * @param {number} [startIndex] - 从第几个开始播放
+ * @param {string} [name] - 列表名称
+ * @returns {Object|null} 当前项
+ */
+function replace(filePaths, startIndex = 0, name = '') {
+  items = filePaths.map(createItem);
+  listName = name;
+  currentId = items[startIndex]?.id ?? items[0]?.id ?? null;
+  removedPos = 0;
+  reshuffle();
+  return current();
+}
+
+/**
+ * 追加文件到列表末尾（已存在的路径不重复添加）
+ * @param {string[]} filePaths - 文件路径
+ * @returns {Array} 新增的列表项
+ */
+function add(filePaths) {
+  const existing = new Set(items.map(item => item.path));
+  const added = filePaths
+    .filter(p => !existing.has(p))
+    .map(createItem);
+  items.push(...added);
+
+  // 新增项随机插入到随机顺序中（当前项之后）
+  for (const item of added) {
+    const pos = 1 + Math.floor(Math.random() * shuffleOrder.length);
+    shuffleOrder.splice(pos, 0, item.id);
+  }
+  return added;
+}
+
+/**
+ * 删除列表项
+ * @param {number} id - 列表项 ID
+ * @returns {boolean} 删除的是否为当前项
+ */
+function remove(id) {
+  const isCurrent = currentId === id;
+  if (isCurrent) removedPos = playOrder().indexOf(id);
+
+  items = items.filter(item => item.id !== id);
+  shuffleOrder = shuffleOrder.filter(x => x !== id);
+  if (isCurrent) currentId = null;
+  return isCurrent;
+}
+
+/**
+ * 调整顺序
+ * @param {number} fromIndex - 原位置
+ * @param {number} toIndex - 新位置
+ */
+function move(fromIndex, toIndex) {
+  if (fromIndex < 0 || fromIndex >= items.length) return;
+  const target = Math.max(0, Math.min(items.length - 1, toIndex));
+  const [item] = items.splice(fromIndex, 1);
+  items.splice(target, 0, item);
+}
+
+/** 清空列表 */
+function clear() {
+  items = [];
+  listName = '';
+  shuffleOrder = [];
+  currentId = null;
+  removedPos = 0;
+}
+
+/**
+ * 选中指定位置的项作为当前项
+ * @param {number} index - 列表位置
+ * @returns {Object|null} 选中的项
+ */
+function select(index) {
+  const item = items[index];
+  if (!item) return null;
+  currentId = item.id;
+  return item;
+}
+
+/**
+ * 切换到下一个
+ *
+ * @param {Object} options
+ * @param {boolean} options.auto - 是否为播放结束后的自动切换
+ *   自动切换时遵守"单个循环"；手动点击"下一个"时总是前进
+ * @returns {Object|null} 下一项；列表已结束时返回 null
+ */
+function next({ auto = false } = {}) {
+  if (items.length === 0) return null;
+  if (auto && repeat === 'one' && current()) return current();
+
+  const order = playOrder();
+  const { pos } = currentPos(order);
+
+  if (pos + 1 < order.length) {
+    currentId = order[pos + 1];
+    return current();
+  }
+
+  // 已到末尾：自动切换且不是列表循环时结束
+  if (auto && repeat !== 'all') return null;
+
+  // 回到开头（随机模式重新洗牌）
+  if (shuffle) reshuffle(null);
+  currentId = playOrder()[0];
+  return current();
+}
+
+/**
+ * 切换到上一个（在开头时回到末尾）
+ * @returns {Object|null} 上一项
+ */
+function previous() {
+  if (items.length === 0) return null;
+  const order = playOrder();
+  const { pos, removed } = currentPos(order);
+  const prevPos = removed ? pos : pos - 1;
+  currentId = prevPos >= 0 ? order[prevPos] : order[order.length - 1];
+  return current();
+}
+
+/**
+ * 设置循环模式
+ * @param {string} mode - 'off' | 'one' | 'all'
+ */
+function setRepeat(mode) {
+  if (REPEAT_MODES.includes(mode)) repeat = mode;
+}
+
+/**
+ * 设置随机播放
+ * @param {boolean} enabled - 是否开启
+ */
+function setShuffle(enabled) {
+  shuffle = !!enabled;
+  if (shuffle) reshuffle();
+}
+
+module.exports = {
+  REPEAT_MODES,
+  getState,
+  current,
+  replace,
+  add,
+  remove,
+  move,
+  clear,
+  select,
+  next,
+  previous,
+  setRepeat,
+  setShuffle
+};
@@ -18,6 +18,19 @@
 
 const { contextBridge, ipcRenderer } = require('electron');
 
+/**
+ * 调用返回 { data } / { error } 的 MPV 请求
+ * 失败时以 MPV 原始的错误信息（如 'property unavailable'）reject
+ * @param {string} channel - IPC 通道
+ * @param {...*} args - 参数
+ * @returns {Promise<*>} MPV 返回的 data
+ */
+const invokeMpv = (channel, ...args) =>
+  ipcRenderer.invoke(channel, ...args).then(({ data, error }) => {
+    if (error !== undefined) throw new Error(error);
+    return data;
+  });
+
 /**
  * 清理所有事件监听器
  * 防止内存泄漏和重复监听
@@ -26,9 +39,14 @@ const cleanup = () => {
   ipcRenderer.removeAllListeners('mpv-ready');
   ipcRenderer.removeAllListeners('mpv-prop');
   ipcRenderer.removeAllListeners('mpv-closed');
-  ipcRenderer.removeAllListeners('bluray-titles');
+  ipcRenderer.removeAllListeners('mpv-crashed');
+  ipcRenderer.removeAllListeners('mpv-error');
+  ipcRenderer.removeAllListeners('disc-titles');
+  ipcRenderer.removeAllListeners('disc-label');
   ipcRenderer.removeAllListeners('switching-title');
   ipcRenderer.removeAllListeners('confirm-exit');
+  ipcRenderer.removeAllListeners('playlist-update');
+  ipcRenderer.removeAllListeners('resume-prompt');
 };
 
 /**
@@ -43,14 +61,91 @@ contextBridge.exposeInMainWorld('api', {
   /** 打开文件选择对话框，返回选中的文件路径 */
   openFile: () => ipcRenderer.invoke('open-file'),
   
-  /** 播放指定路径的视频文件 */
+  /** 打开文件选择对话框（多选），返回选中的文件路径数组 */
+  openFiles: () => ipcRenderer.invoke('open-files'),
+  
+  /** 打开文件夹选择对话框，返回选中的文件夹路径 */
+  openFolder: () => ipcRenderer.invoke('open-folder'),
+  
+  /** 选择外挂字幕文件并加载到正在播放的视频，返回 { added, error }，取消时返回 null */
+  openSubtitle: () => ipcRenderer.invoke('open-subtitle'),
+  
+  /** 播放指定路径的视频文件（替换当前播放列表） */
   play: (path) => ipcRenderer.invoke('play', path),
   
+  /**
+   * 播放文件夹，没有视频文件时返回 false
+   * 蓝光 / DVD 文件夹（根目录、BDMV 或 VIDEO_TS）作为光盘播放，其他作为一季剧集从第一个未看完的开始
+   */
+  playFolder: (dir) => ipcRenderer.invoke('play-folder', dir),
+  
+  /**
+   * 打开拖放的文件 / 文件夹（一个文件夹作为剧集播放，其余替换播放列表；
+   * 只有字幕文件时加载到正在播放的视频）
+   * @param {string[]} paths - 文件或文件夹路径
+   */
+  openPaths: (paths) => ipcRenderer.invoke('open-paths', paths),
+  
+  /** 通知主进程事件监听已注册好（主进程随后打开命令行传入的文件） */
+  rendererReady: () => ipcRenderer.invoke('renderer-ready'),
+  
+  // ==================== 观看记录 ====================
+  
+  /** 标记文件为已看完 / 未看完 */
+  markWatched: (path, watched) => ipcRenderer.invoke('history-mark-watched', path, watched),
+  
+  /** 获取最近播放记录 [{ path, title, position, duration, ... }] */
+  getRecentHistory: (limit) => ipcRenderer.invoke('history-recent', limit),
+  
+  /** 删除一条播放记录 */
+  removeHistory: (path) => ipcRenderer.invoke('history-remove', path),
+  
+  /**
+   * 回答"继续播放"提示
+   * @param {boolean} resume - true 从上次位置继续，false 从头播放
+   */
+  resumePlayback: (resume) => ipcRenderer.invoke('resume-playback', resume),
+  
   /** 停止播放并关闭 MPV */
   stop: () => ipcRenderer.invoke('stop'),
   
-  /** 切换蓝光标题（用于蓝光碟有多个标题的情况） */
-  switchTitle: (edition) => ipcRenderer.invoke('switch-title', edition),
+  /** MPV 崩溃且不再自动重启时，手动重新启动（从崩溃前的位置继续），返回是否重新启动 */
+  restartMpv: () => ipcRenderer.invoke('mpv-restart'),
+  
+  /** 切换光盘标题（在运行中的 MPV 里加载，不重启进程），返回是否开始切换 */
+  switchTitle: (id) => ipcRenderer.invoke('switch-title', id),
+  
+  // ==================== 播放列表 ====================
+  
+  /** 获取播放列表 { items, currentIndex, repeat, shuffle } */
+  playlistGet: () => ipcRenderer.invoke('playlist-get'),
+  
+  /** 添加文件到播放列表末尾 */
+  playlistAdd: (paths) => ipcRenderer.invoke('playlist-add', paths),
+  
+  /** 从播放列表删除（按列表项 ID） */
+  playlistRemove: (id) => ipcRenderer.invoke('playlist-remove', id),
+  
+  /** 调整播放列表顺序 */
+  playlistMove: (fromIndex, toIndex) => ipcRenderer.invoke('playlist-move', fromIndex, toIndex),
+  
+  /** 清空播放列表 */
+  playlistClear: () => ipcRenderer.invoke('playlist-clear'),
+  
+  /** 播放列表中指定位置的项 */
+  playlistPlay: (index) => ipcRenderer.invoke('playlist-play', index),
+  
+  /** 下一个 */
+  playlistNext: () => ipcRenderer.invoke('playlist-next'),
+  
+  /** 上一个 */
+  playlistPrev: () => ipcRenderer.invoke('playlist-prev'),
+  
+  /** 设置循环模式：'off' | 'one' | 'all' */
+  playlistSetRepeat: (mode) => ipcRenderer.invoke('playlist-set-repeat', mode),
+  
+  /** 设置随机播放 */
+  playlistSetShuffle: (enabled) => ipcRenderer.invoke('playlist-set-shuffle', enabled),
   
   // ==================== MPV 控制 ====================
   
@@ -66,6 +161,155 @@ contextBridge.exposeInMainWorld('api', {
    */
   cmd: (args) => ipcRenderer.invoke('mpv-cmd', args),
   
+  /**
+   * 发送命令给 MPV 并等待结果
+   * @param {Array} args - MPV 命令数组
+   * @returns {Promise} 成功时为 MPV 返回的 data，失败时以 MPV 的错误信息 reject
+   *
+   * @example
+   * await window.api.command(['screenshot-to-file', 'a.png'])
+   */
+  command: (args) => invokeMpv('mpv-command', args),
+  
+  /**
+   * 按需读取 MPV 属性（不需要在主进程注册监听）
+   * @param {string} name - 属性名，如 'hwdec-current'
+   * @returns {Promise} 属性值；属性不可用时以 MPV 的错误信息 reject（如 'property unavailable'）
+   */
+  getProperty: (name) => invokeMpv('mpv-get-property', name),
+  
+  // ==================== 音画 / 字幕同步 ====================
+  
+  /**
+   * 调整延迟（按文件 + 轨道记住，下次打开时恢复）
+   * @param {string} kind - 'audio' | 'sub'
+   * @param {string} action - 'add' | 'reset' | 'sub-step'（字幕同步到现在）
+   * @param {number} [value] - 'add' 时增加的秒数
+   * @returns {Promise<{ delay?: number, error?: string }>}
+   */
+  changeDelay: (kind, action, value) => ipcRenderer.invoke('delay-change', kind, action, value),
+  
+  // ==================== 音频均衡器 ====================
+  
+  /** 获取均衡器状态 { bands, minGain, maxGain, enabled, gains, presets, activeId } */
+  getEqualizer: () => ipcRenderer.invoke('eq-get'),
+  
+  /**
+   * 修改均衡器（实时生效）
+   * @param {Object} patch - { enabled?: boolean, gains?: number[] }
+   */
+  setEqualizer: (patch) => ipcRenderer.invoke('eq-set', patch),
+  
+  /** 应用预设（同时启用均衡器） */
+  applyEqPreset: (id) => ipcRenderer.invoke('eq-preset-apply', id),
+  
+  /** 把当前增益保存为自定义预设，返回状态和 error */
+  saveEqPreset: (name) => ipcRenderer.invoke('eq-preset-save', name),
+  
+  /** 删除自定义预设 */
+  removeEqPreset: (id) => ipcRenderer.invoke('eq-preset-remove', id),
+  
+  // ==================== 字幕样式 ====================
+  
+  /** 获取字幕样式 { schema, defaults, fileStyle, style, hasFile } */
+  getSubStyle: () => ipcRenderer.invoke('sub-style-get'),
+  
+  /**
+   * 修改字幕样式（实时生效）
+   * @param {Object} patch - { key: value }
+   * @param {string} scope - 'default' 默认样式，'file' 只对当前文件
+   */
+  setSubStyle: (patch, scope) => ipcRenderer.invoke('sub-style-set', patch, scope),
+  
+  /** 恢复字幕样式（'default' 恢复内置默认，'file' 删除当前文件的样式） */
+  resetSubStyle: (scope) => ipcRenderer.invoke('sub-style-reset', scope),
+  
+  // ==================== 预览缩略图 ====================
+  
+  /**
+   * 获取进度条上某个时间的预览缩略图（还没生成时等生成完）
+   * @param {number} time - 秒
+   * @returns {Promise<{ time: number, image: string|null }|null>} image 为 data URL
+   */
+  getThumbnail: (time) => ipcRenderer.invoke('thumbnail-get', time),
+  
+  // ==================== 截图 ====================
+  
+  /**
+   * 截图
+   * @param {string} title - 影片名称（用于文件名模板）
+   * @returns {Promise<{ entry?: Object, error?: string }>} entry 为 { id, path, title, thumbnail, ... }
+   */
+  takeScreenshot: (title) => ipcRenderer.invoke('screenshot-take', title),
+  
+  /** 获取本次的截图（最新的在前） */
+  getScreenshots: () => ipcRenderer.invoke('screenshot-list'),
+  
+  /** 复制截图到剪贴板，返回是否成功 */
+  copyScreenshot: (id) => ipcRenderer.invoke('screenshot-copy', id),
+  
+  /** 删除截图文件，返回剩余的截图 */
+  deleteScreenshot: (id) => ipcRenderer.invoke('screenshot-delete', id),
+  
+  /** 在文件管理器中显示截图 */
+  revealScreenshot: (id) => ipcRenderer.invoke('screenshot-reveal', id),
+  
+  // ==================== 快捷键 ====================
+  
+  /** 获取用户自定义快捷键 { actionId: ['Key', ...] } */
+  getKeymap: () => ipcRenderer.invoke('keymap-get'),
+  
+  /** 保存用户自定义快捷键（只包含和默认值不同的部分） */
+  saveKeymap: (overrides) => ipcRenderer.invoke('keymap-save', overrides),
+  
+  // ==================== 设置 ====================
+  
+  /** 获取设置 { schema: { groups, items }, values } */
+  getSettings: () => ipcRenderer.invoke('settings-get'),
+  
+  /**
+   * 修改设置（能实时生效的会立即应用到 MPV）
+   * @param {Object} patch - { key: value }
+   * @returns {Promise<{ values, errors, restartRequired }>}
+   */
+  setSettings: (patch) => ipcRenderer.invoke('settings-set', patch),
+  
+  /** 恢复默认设置 */
+  resetSettings: () => ipcRenderer.invoke('settings-reset'),
+  
+  // ==================== 剪贴板 ====================
+  
+  /** 复制文字到剪贴板，返回是否成功 */
+  copyText: (text) => ipcRenderer.invoke('copy-text', text),
+  
+  // ==================== 日志与诊断 ====================
+  
+  /** 读取最近的 MPV 日志 [{ time, level, module, text }]（从旧到新） */
+  getMpvLog: () => ipcRenderer.invoke('mpv-log-get'),
+  
+  /** 在文件管理器中显示日志文件 */
+  revealMpvLog: () => ipcRenderer.invoke('mpv-log-reveal'),
+  
+  /**
+   * 导出诊断信息（选择保存位置后打包成 zip）
+   * @returns {Promise<{ path?: string, canceled?: boolean, error?: string }>}
+   */
+  exportDiagnostics: () => ipcRenderer.invoke('diagnostics-export'),
+  
+  // ==================== 画质方案 ====================
+  
+  /** 获取画质方案 { profiles: [{ id, name, description, builtin }], activeId }，activeId 为 null 表示自定义 */
+  getProfiles: () => ipcRenderer.invoke('profiles-get'),
+  
+  /** 切换画质方案，返回新的 { profiles, activeId } */
+  applyProfile: (id) => ipcRenderer.invoke('profile-apply', id),
+  
+  /** 把当前设置保存为自定义方案，失败时返回值带 error */
+  saveProfile: (name) => ipcRenderer.invoke('profile-save', name),
+  
+  /** 删除自定义方案 */
+  removeProfile: (id) => ipcRenderer.invoke('profile-remove', id),
+  
   // ==================== 窗口控制 ====================
   
   /** 最小化窗口 */
@@ -118,9 +362,37 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.on('mpv-closed', cb);
   },
   
-  /** 监听蓝光标题列表更新事件 */
-  onBlurayTitles: (cb) => {
-    ipcRenderer.on('bluray-titles', (e, titles) => cb(titles));
+  /**
+   * 监听 MPV 崩溃事件
+   * info: { code, signal, attempt, maxAttempts, restarting, delay }
+   * restarting 为 true 时主进程会在 delay 毫秒后自动重启，否则需要调用 restartMpv
+   */
+  onMpvCrashed: (cb) => {
+    ipcRenderer.on('mpv-crashed', (e, info) => cb(info));
+  },
+  
+  /**
+   * 监听播放错误（找不到 MPV、文件无法读取、格式不支持、连接失败、光盘读取失败）
+   * error: { type, title, message, file, detail, time }（见 playback-error.js），
+   * 无法继续播放的错误主进程会停止播放（之后收到 mpv-closed）
+   */
+  onMpvError: (cb) => {
+    ipcRenderer.on('mpv-error', (e, error) => cb(error));
+  },
+  
+  /**
+   * 监听光盘标题列表更新事件（蓝光 / DVD）
+   * titles: [{ id, duration, durationSeconds, chapters, audio, subtitles, angles, displayIndex, isMain, ... }]
+   * （见 bluray.js / dvd.js），从 MPV 输出获取的蓝光标题（读取光盘失败时）只有时长；
+   * currentId 为正在播放的标题
+   */
+  onDiscTitles: (cb) => {
+    ipcRenderer.on('disc-titles', (e, titles, currentId) => cb(titles, currentId));
+  },
+  
+  /** 监听 ISO 卷标（整理过，去掉了碟号；默认卷标如 BDROM 不会发送），用来搜索影片信息 */
+  onDiscLabel: (cb) => {
+    ipcRenderer.on('disc-label', (e, label) => cb(label));
   },
   
   /** 监听标题切换中事件（显示加载提示） */
@@ -133,6 +405,19 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.on('confirm-exit', cb);
   },
   
+  /**
+   * 监听"继续播放"提示（文件有上次的播放位置时触发，此时 MPV 处于暂停状态）
+   * @param {Function} cb - 回调函数，参数为 { position, duration }
+   */
+  onResumePrompt: (cb) => {
+    ipcRenderer.on('resume-prompt', (e, info) => cb(info));
+  },
+  
+  /** 监听播放列表变化（包括自动切换到下一个） */
+  onPlaylistUpdate: (cb) => {
+    ipcRenderer.on('playlist-update', (e, state) => cb(state));
+  },
+  
   // ==================== 清理 ====================
   
   /** 清理所有事件监听器，防止内存泄漏 */
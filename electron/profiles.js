@@ -0,0 +1,170 @@
+/**
+ * S-Player - 画质方案
+ *
+ * 一个方案是一组画质相关的设置（缩放算法、去色带、插帧、抖动、硬解），
+ * 应用方案就是把这些值写入设置（settings.js），能实时生效的立即应用到 MPV。
+ *
+ * 【当前方案】
+ * 不单独保存"当前方案"，而是看当前设置和哪个方案完全一致；
+ * 用户在设置页单独改了某一项之后就显示为"自定义"
+ *
+ * 【自定义方案】
+ * 把当前设置保存为新方案，保存在 userData/profiles.json
+ */
+
+const settings = require('./settings');
+const { createStore } = require('./store');
+
+/** 方案包含的设置项 */
+const PROFILE_KEYS = [
+  'hwdec',
+  'scale', 'cscale', 'dscale',
+  'correctDownscaling', 'linearDownscaling', 'sigmoidUpscaling',
+  'deband', 'debandIterations', 'debandThreshold', 'debandRange', 'debandGrain',
+  'ditherDepth',
+  'interpolation', 'videoSync', 'tscale'
+];
+
+/** 内置方案 */
+const BUILTIN_PROFILES = [
+  {
+    id: 'performance',
+    name: '流畅',
+    description: '低配笔记本：简单缩放，关闭去色带和插帧',
+    values: {
+      hwdec: 'auto', scale: 'bilinear', cscale: 'bilinear', dscale: 'bilinear',
+      correctDownscaling: false, linearDownscaling: false, sigmoidUpscaling: false,
+      deband: false, debandIterations: 1, debandThreshold: 48, debandRange: 16, debandGrain: 48,
+      ditherDepth: 'no',
+      interpolation: false, videoSync: 'audio', tscale: 'oversample'
+    }
+  },
+  {
+    id: 'balanced',
+    name: '均衡',
+    description: 'spline36 缩放，单次去色带，不插帧',
+    values: {
+      hwdec: 'auto-safe', scale: 'spline36', cscale: 'spline36', dscale: 'mitchell',
+      correctDownscaling: true, linearDownscaling: false, sigmoidUpscaling: true,
+      deband: true, debandIterations: 1, debandThreshold: 48, debandRange: 16, debandGrain: 24,
+      ditherDepth: 'auto',
+      interpolation: false, videoSync: 'audio', tscale: 'oversample'
+    }
+  },
+  {
+    id: 'high',
+    name: '高画质',
+    description: 'ewa_lanczossharp 缩放，两次去色带，帧插值（默认）',
+    values: {
+      hwdec: 'auto-safe', scale: 'ewa_lanczossharp', cscale: 'ewa_lanczossharp', dscale: 'mitchell',
+      correctDownscaling: true, linearDownscaling: true, sigmoidUpscaling: true,
+      deband: true, debandIterations: 2, debandThreshold: 48, debandRange: 16, debandGrain: 48,
+      ditherDepth: 'auto',
+      interpolation: true, videoSync: 'display-resample', tscale: 'oversample'
+    }
+  }
+];
+
+/** 自定义方案名称最大长度 */
+const MAX_NAME_LENGTH = 20;
+
+const store = createStore('profiles', { version: 1, custom: [] });
+
+/**
+ * 从设置中取出方案包含的项（丢弃无效的值）
+ * @param {Object} values - 设置值
+ * @returns {Object}
+ */
+function pickProfileValues(values) {
+  const picked = {};
+  for (const key of PROFILE_KEYS) {
+    if (key in values && !('error' in settings.validate(key, values[key]))) {
+      picked[key] = values[key];
+    }
+  }
+  return picked;
+}
+
+/** 自定义方案 [{ id, name, values }] */
+function getCustomProfiles() {
+  const custom = store.get().custom;
+  return Array.isArray(custom) ? custom : [];
+}
+
+/**
+ * 当前设置和方案是否一致
+ * @param {Object} profile - 方案
+ * @param {Object} current - 当前设置
+ */
+function matches(profile, current) {
+  return Object.entries(profile.values).every(([key, value]) => current[key] === value);
+}
+
+/**
+ * 获取全部方案和当前方案
+ * @returns {{ profiles: Array, activeId: string|null }} activeId 为 null 表示"自定义"
+ */
+function getState() {
+  const current = settings.getAll();
+  const profiles = [
+    ...BUILTIN_PROFILES.map(p => ({ ...p, builtin: true })),
+    ...getCustomProfiles().map(p => ({ ...p, builtin: false }))
+  ];
+  // 自定义方案可能和内置方案相同，优先显示后保存的
+  const active = [...profiles].reverse().find(p => matches(p, current));
+  return { profiles, activeId: active?.id ?? null };
+}
+
+/**
+ * 查找方案
+ * @param {string} id - 方案 ID
+ * @returns {Object|null}
+ */
+function find(id) {
+  return BUILTIN_PROFILES.find(p => p.id === id)
+    || getCustomProfiles().find(p => p.id === id)
+    || null;
+}
+
+/**
+ * 把当前设置保存为自定义方案（同名时覆盖）
+ * @param {string} name - 方案名称
+ * @returns {{ profile?: Object, error?: string }}
+ */
+function saveCurrent(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return { error: '请输入方案名称' };
+  if (trimmed.length > MAX_NAME_LENGTH) return { error: `名称不能超过 ${MAX_NAME_LENGTH} 个字` };
+  if (BUILTIN_PROFILES.some(p => p.name === trimmed)) return { error: '不能和内置方案重名' };
+
+  const existing = getCustomProfiles().find(p => p.name === trimmed);
+  const profile = {
+    id: existing?.id ?? `custom-${Date.now()}`,
+    name: trimmed,
+    values: pickProfileValues(settings.getAll())
+  };
+  store.update(data => {
+    data.custom = [...getCustomProfiles().filter(p => p.id !== profile.id), profile];
+  });
+  return { profile };
+}
+
+/**
+ * 删除自定义方案
+ * @param {string} id - 方案 ID
+ */
+function remove(id) {
+  store.update(data => {
+    data.custom = getCustomProfiles().filter(p => p.id !== id);
+  });
+}
+
+module.exports = {
+  PROFILE_KEYS,
+  BUILTIN_PROFILES,
+  pickProfileValues,
+  getState,
+  find,
+  saveCurrent,
+  remove
+};
@@ -0,0 +1,193 @@
+/**
+ * S-Player - 截图
+ *
+ * 使用 MPV 的 screenshot-to-file 命令保存到指定文件，三种模式：
+ * - subtitles: 视频原始分辨率，带字幕
+ * - video: 视频原始分辨率，不带字幕
+ * - window: 按窗口中显示的样子截图（缩放、OSD）
+ *
+ * 【文件名模板】
+ * - {title}: 影片名称（TMDB 标题，没有时为文件名）
+ * - {time}: 播放位置，如 01-23-45
+ * - {frame}: 帧号
+ * - {date}: 截图时间，如 20240101-203000
+ * 同名文件已存在时自动加 (2)、(3)
+ *
+ * 【本次截图】
+ * 只记录本次运行期间的截图，用于界面上的截图库（浏览、复制、删除）
+ */
+
+const { app, clipboard, nativeImage } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+/** 截图模式 */
+const SCREENSHOT_MODES = ['subtitles', 'video', 'window'];
+
+/** 截图库缩略图宽度 */
+const THUMBNAIL_WIDTH = 240;
+
+/** 文件名中不允许的字符（Windows 最严格） */
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+let captures = [];   // 本次截图 [{ id, path, title, position, thumbnail, createdAt }]
+let nextId = 1;
+
+/**
+ * 补零
+ * @param {number} n
+ * @param {number} [width]
+ */
+const pad = (n, width = 2) => String(Math.floor(n)).padStart(width, '0');
+
+/**
+ * 截图保存目录
+ * @param {string} dir - 设置中的目录，为空或不是绝对路径时使用 "图片/S-Player"
+ */
+function getOutputDir(dir) {
+  return dir && path.isAbsolute(dir) ? dir : path.join(app.getPath('pictures'), 'S-Player');
+}
+
+/**
+ * 按模板生成文件名（不含扩展名）
+ *
+ * @param {string} template - 如 '{title}_{time}_{frame}'
+ * @param {Object} info
+ * @param {string} info.title - 影片名称
+ * @param {number} info.position - 播放位置（秒）
+ * @param {number|null} info.frame - 帧号
+ * @param {Date} [info.date] - 截图时间
+ * @returns {string}
+ *
+ * @example
+ * formatFileName('{title}_{time}', { title: '星际穿越', position: 3725 }) // '星际穿越_01-02-05'
+ */
+function formatFileName(template, { title, position, frame, date = new Date() }) {
+  const p = Math.max(0, position || 0);
+  const values = {
+    title: title || 'S-Player',
+    time: `${pad(p / 3600)}-${pad((p % 3600) / 60)}-${pad(p % 60)}`,
+    frame: frame != null ? String(frame) : '',
+    date: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+      + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  };
+
+  const name = (template || '{title}_{time}')
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+    .replace(INVALID_FILENAME_CHARS, '_')
+    .replace(/[_\s.-]+$/, '')   // 去掉末尾多余的分隔符（如 {frame} 为空时）
+    .trim();
+  return name || `S-Player_${values.date}`;
+}
+
+/**
+ * 生成不重名的完整路径
+ * @param {string} dir - 目录
+ * @param {string} baseName - 文件名（不含扩展名）
+ * @param {string} ext - 扩展名，如 'png'
+ */
+function uniquePath(dir, baseName, ext) {
+  let file = path.join(dir, `${baseName}.${ext}`);
+  for (let i = 2; fs.existsSync(file); i++) {
+    file = path.join(dir, `${baseName} (${i}).${ext}`);
+  }
+  return file;
+}
+
+/**
+ * 截图
+ *
+ * @param {Object} mpv - MPV 客户端（mpv-client.js）
+ * @param {Object} options
+ * @param {string} options.mode - 'subtitles' | 'video' | 'window'
+ * @param {string} options.format - 图片格式 'png' | 'jpg' | 'webp'
+ * @param {string} options.dir - 保存目录（设置值）
+ * @param {string} options.template - 文件名模板
+ * @param {string} options.title - 影片名称
+ * @returns {Promise<Object>} 截图记录
+ */
+async function capture(mpv, { mode, format, dir, template, title }) {
+  const [position, frame] = await Promise.all([
+    mpv.getProperty('time-pos').catch(() => 0),
+    mpv.getProperty('estimated-frame-number').catch(() => null)
+  ]);
+
+  const outputDir = getOutputDir(dir);
+  fs.mkdirSync(outputDir, { recursive: true });
+  // MPV 按扩展名决定图片格式
+  const file = uniquePath(outputDir, formatFileName(template, { title, position, frame }), format || 'png');
+
+  await mpv.request(['screenshot-to-file', file, SCREENSHOT_MODES.includes(mode) ? mode : 'subtitles']);
+  if (!fs.existsSync(file)) {
+    throw new Error('截图文件未生成');
+  }
+
+  // 缩略图（nativeImage 不支持 webp，此时截图库显示占位图）
+  const image = nativeImage.createFromPath(file);
+  const entry = {
+    id: nextId++,
+    path: file,
+    title: path.basename(file),
+    position,
+    thumbnail: image.isEmpty() ? '' : image.resize({ width: THUMBNAIL_WIDTH }).toDataURL(),
+    createdAt: Date.now()
+  };
+  captures.unshift(entry);
+  console.log(`截图: ${file}`);
+  return entry;
+}
+
+/** 本次的截图（最新的在前），已被删除的文件自动移除 */
+function list() {
+  captures = captures.filter(c => fs.existsSync(c.path));
+  return captures;
+}
+
+/**
+ * 复制截图到剪贴板
+ * @param {number} id - 截图 ID
+ * @returns {boolean} 是否成功（webp 等格式无法复制）
+ */
+function copy(id) {
+  const entry = captures.find(c => c.id === id);
+  if (!entry) return false;
+  const image = nativeImage.createFromPath(entry.path);
+  if (image.isEmpty()) return false;
+  clipboard.writeImage(image);
+  return true;
+}
+
+/**
+ * 删除截图文件
+ * @param {number} id - 截图 ID
+ */
+function remove(id) {
+  const entry = captures.find(c => c.id === id);
+  if (!entry) return;
+  try {
+    fs.unlinkSync(entry.path);
+  } catch (e) {
+    console.error('删除截图失败:', e.message);
+  }
+  captures = captures.filter(c => c.id !== id);
+}
+
+/**
+ * 获取截图路径
+ * @param {number} id - 截图 ID
+ * @returns {string|null}
+ */
+function getPath(id) {
+  return captures.find(c => c.id === id)?.path ?? null;
+}
+
+module.exports = {
+  SCREENSHOT_MODES,
+  getOutputDir,
+  formatFileName,
+  capture,
+  list,
+  copy,
+  remove,
+  getPath
+};
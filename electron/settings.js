@@ -0,0 +1,366 @@
+/**
+ * S-Player - 播放器设置
+ *
+ * 【结构】
+ * - SCHEMA: 所有设置项（类型、默认值、取值范围、对应的 MPV 选项）
+ * - 保存在 userData/settings.json，只记录和默认值不同的项：
+ *   { version: 1, values: { scale: 'spline36', deband: false } }
+ * - startMpv() 通过 buildMpvArgs() 生成启动参数
+ *
+ * 【实时生效】
+ * 标记了 live 的设置项在 MPV 运行时可以通过 set_property 修改，
+ * 其余的（如 vo、缓存大小）在下次播放时生效
+ *
+ * 【版本迁移】
+ * 修改设置项（改名、改单位）时把 SETTINGS_VERSION 加一，
+ * 并在 MIGRATIONS 里添加从上一个版本转换的函数
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./store');
+
+/** 当前设置文件版本 */
+const SETTINGS_VERSION = 1;
+
+/** 设置分组（按顺序显示在设置页） */
+const GROUPS = [
+  { id: 'player',   label: '播放器' },
+  { id: 'video',    label: '视频输出' },
+  { id: 'quality',  label: '画质' },
+  { id: 'hdr',      label: 'HDR' },
+  { id: 'audio',    label: '音频' },
+  { id: 'language', label: '语言与字幕' },
+  { id: 'cache',    label: '缓存' },
+  { id: 'screenshot', label: '截图' },
+  { id: 'log',      label: '日志' }
+];
+
+/** 可选的缩放算法 */
+const SCALERS = ['bilinear', 'bicubic', 'spline36', 'mitchell', 'lanczos', 'ewa_lanczos', 'ewa_lanczossharp'];
+
+/** 语言 / 格式列表（逗号分隔） */
+const LIST_PATTERN = /^[\w.,-]*$/;
+
+/** 文件名中不允许的字符 */
+const FILENAME_PATTERN = /^[^\\/:*?"<>|]*$/;
+
+/**
+ * 检查 MPV 路径：留空为自动查找，否则必须是存在的文件的完整路径
+ * @param {string} value
+ * @returns {string|null} 错误信息
+ */
+function checkMpvPath(value) {
+  if (!value) return null;
+  if (!path.isAbsolute(value)) return '必须是完整路径';
+  try {
+    if (!fs.statSync(value).isFile()) return '不是文件';
+  } catch (e) {
+    return '文件不存在';
+  }
+  return null;
+}
+
+/**
+ * 设置项定义
+ * - type: 'boolean' | 'number' | 'enum' | 'string'
+ * - mpv: 对应的 MPV 选项名，没有时只在程序内部使用
+ * - format: 转换成 MPV 选项值（默认 boolean → yes/no，其他转字符串）
+ * - pattern / patternError: 文字类型的格式要求和不符合时的提示
+ * - check: 文字类型的其他检查，返回错误信息（没有错误时返回 null）
+ * - live: 修改后立即生效（有 mpv 选项的通过 set_property 应用到正在播放的 MPV）
+ */
+const SCHEMA = {
+  // ==================== 播放器 ====================
+  // 留空时按 platform.findMpv() 的顺序查找（环境变量、随应用分发、PATH、常见安装位置）
+  mpvPath:            { group: 'player', label: 'MPV 路径（留空为自动查找）', type: 'string', check: checkMpvPath, default: '' },
+
+  // ==================== 视频输出 ====================
+  hwdec:              { group: 'video', label: '硬件解码', type: 'enum', options: ['auto-safe', 'auto', 'auto-copy', 'no'], default: 'auto-safe', mpv: 'hwdec', live: true },
+  vo:                 { group: 'video', label: '视频输出', type: 'enum', options: ['gpu', 'gpu-next'], default: 'gpu', mpv: 'vo' },
+  gpuApi:             { group: 'video', label: 'GPU API', type: 'enum', options: ['auto', 'd3d11', 'vulkan', 'opengl'], default: 'auto', mpv: 'gpu-api' },
+
+  // ==================== 画质 ====================
+  scale:              { group: 'quality', label: '放大算法', type: 'enum', options: SCALERS, default: 'ewa_lanczossharp', mpv: 'scale', live: true },
+  cscale:             { group: 'quality', label: '色度放大算法', type: 'enum', options: SCALERS, default: 'ewa_lanczossharp', mpv: 'cscale', live: true },
+  dscale:             { group: 'quality', label: '缩小算法', type: 'enum', options: SCALERS, default: 'mitchell', mpv: 'dscale', live: true },
+  correctDownscaling: { group: 'quality', label: '正确的缩小处理', type: 'boolean', default: true, mpv: 'correct-downscaling', live: true },
+  linearDownscaling:  { group: 'quality', label: '线性缩小', type: 'boolean', default: true, mpv: 'linear-downscaling', live: true },
+  sigmoidUpscaling:   { group: 'quality', label: 'Sigmoid 放大（减少振铃）', type: 'boolean', default: true, mpv: 'sigmoid-upscaling', live: true },
+  deband:             { group: 'quality', label: '去色带', type: 'boolean', default: true, mpv: 'deband', live: true },
+  debandIterations:   { group: 'quality', label: '去色带迭代次数', type: 'number', min: 1, max: 16, default: 2, mpv: 'deband-iterations', live: true },
+  debandThreshold:    { group: 'quality', label: '去色带阈值', type: 'number', min: 0, max: 4096, default: 48, mpv: 'deband-threshold', live: true },
+  debandRange:        { group: 'quality', label: '去色带范围', type: 'number', min: 1, max: 64, default: 16, mpv: 'deband-range', live: true },
+  debandGrain:        { group: 'quality', label: '去色带颗粒', type: 'number', min: 0, max: 4096, default: 48, mpv: 'deband-grain', live: true },
+  ditherDepth:        { group: 'quality', label: '抖动深度', type: 'enum', options: ['no', 'auto', '8', '10'], default: 'auto', mpv: 'dither-depth', live: true },
+  interpolation:      { group: 'quality', label: '帧插值', type: 'boolean', default: true, mpv: 'interpolation', live: true },
+  videoSync:          { group: 'quality', label: '视频同步模式', type: 'enum', options: ['audio', 'display-resample', 'display-vdrop'], default: 'display-resample', mpv: 'video-sync', live: true },
+  tscale:             { group: 'quality', label: '时间插值算法', type: 'enum', options: ['oversample', 'linear', 'catmull_rom', 'mitchell', 'bicubic'], default: 'oversample', mpv: 'tscale', live: true },
+
+  // ==================== HDR ====================
+  toneMapping:        { group: 'hdr', label: '色调映射', type: 'enum', options: ['auto', 'hable', 'bt.2390', 'mobius', 'reinhard', 'clip'], default: 'hable', mpv: 'tone-mapping', live: true },
+  hdrComputePeak:     { group: 'hdr', label: '动态计算峰值亮度', type: 'boolean', default: true, mpv: 'hdr-compute-peak', live: true },
+
+  // ==================== 音频 ====================
+  audioExclusive:     { group: 'audio', label: '独占模式', type: 'boolean', default: false, mpv: 'audio-exclusive', live: true },
+  audioSpdif:         { group: 'audio', label: '音频透传格式（如 ac3,dts,eac3,truehd,dts-hd）', type: 'string', pattern: LIST_PATTERN, patternError: '只能包含字母、数字和逗号', default: '', mpv: 'audio-spdif', live: true },
+  audioChannels:      { group: 'audio', label: '音频声道', type: 'string', pattern: LIST_PATTERN, patternError: '只能包含字母、数字和逗号', default: 'auto', mpv: 'audio-channels', live: true },
+  audioPitchCorrection: { group: 'audio', label: '变速时保持音调', type: 'boolean', default: true, mpv: 'audio-pitch-correction', live: true },
+
+  // ==================== 语言与字幕 ====================
+  // 音频语言优先级：简体中文、繁体中文、粤语、普通话、英语、日语
+  alang:              { group: 'language', label: '音频语言优先级', type: 'string', pattern: LIST_PATTERN, patternError: '只能包含字母、数字和逗号', default: 'chi,zho,zh,cmn,chs,cht,sc,tc,cn,tw,yue,cantonese,mandarin,chinese,eng,en,jpn,ja', mpv: 'alang' },
+  // 字幕语言优先级：简体中文、繁体中文、中文、英语
+  slang:              { group: 'language', label: '字幕语言优先级', type: 'string', pattern: LIST_PATTERN, patternError: '只能包含字母、数字和逗号', default: 'chi,zho,zh,cmn,chs,cht,sc,tc,cn,tw,chinese,eng,en', mpv: 'slang' },
+  subAuto:            { group: 'language', label: '自动加载外部字幕', type: 'enum', options: ['no', 'exact', 'fuzzy', 'all'], default: 'fuzzy', mpv: 'sub-auto' },
+
+  // ==================== 缓存 ====================
+  cacheAuto:          { group: 'cache', label: '根据文件大小自动调整缓存', type: 'boolean', default: true },
+  demuxerMaxBytes:    { group: 'cache', label: '最大缓存（MB）', type: 'number', min: 16, max: 4096, default: 150, mpv: 'demuxer-max-bytes', format: v => `${v}M` },
+  demuxerReadahead:   { group: 'cache', label: '预读（秒）', type: 'number', min: 1, max: 600, default: 20, mpv: 'demuxer-readahead-secs' },
+  cachePauseWait:     { group: 'cache', label: '缓冲不足时等待（秒）', type: 'number', min: 0, max: 60, default: 3, mpv: 'cache-pause-wait', live: true },
+
+  // ==================== 截图 ====================
+  // 截图目录为空时使用"图片/S-Player"，文件名模板见 screenshot.js
+  screenshotMode:     { group: 'screenshot', label: '截图内容', type: 'enum', options: ['subtitles', 'video', 'window'], default: 'subtitles', live: true },
+  screenshotFormat:   { group: 'screenshot', label: '图片格式', type: 'enum', options: ['png', 'jpg', 'webp'], default: 'png', live: true },
+  screenshotDir:      { group: 'screenshot', label: '保存目录（留空为 图片/S-Player）', type: 'string', default: '', live: true },
+  screenshotTemplate: { group: 'screenshot', label: '文件名（{title} {time} {frame} {date}）', type: 'string', pattern: FILENAME_PATTERN, patternError: '不能包含 \\ / : * ? " < > |', default: '{title}_{time}_{frame}', live: true },
+
+  // ==================== 日志 ====================
+  // 对应 MPV 的 --msg-level，由 main.js 生成参数（见 mpv-log.js）
+  logLevel:           { group: 'log', label: 'MPV 日志级别', type: 'enum', options: ['error', 'warn', 'info', 'v', 'debug'], default: 'info', live: true }
+};
+
+/**
+ * 版本迁移：MIGRATIONS[n] 把第 n-1 版的数据转换成第 n 版
+ * 第 0 版是没有 version 字段、直接保存设置值的旧格式
+ */
+const MIGRATIONS = {
+  1: (data) => ({ version: 1, values: { ...data } })
+};
+
+const store = createStore('settings', { version: SETTINGS_VERSION, values: {} });
+
+// ==================== 校验 ====================
+
+/**
+ * 按设置项定义校验并转换一个值（字幕样式等其他设置表也使用）
+ *
+ * @param {Object} def - 设置项定义 { type, min, max, options, pattern, patternError }
+ * @param {*} value - 新的值
+ * @returns {{ value: * } | { error: string }}
+ */
+function checkValue(def, value) {
+  switch (def.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: '必须是开或关' };
+      return { value };
+
+    case 'number': {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) return { error: '必须是数字' };
+      if (num < def.min || num > def.max) return { error: `范围 ${def.min} ~ ${def.max}` };
+      return { value: num };
+    }
+
+    case 'enum':
+      if (!def.options.includes(String(value))) return { error: `可选值：${def.options.join(' / ')}` };
+      return { value: String(value) };
+
+    case 'string': {
+      if (typeof value !== 'string') return { error: '必须是文字' };
+      const str = value.trim();
+      if (def.pattern && !def.pattern.test(str)) return { error: def.patternError };
+      const error = def.check?.(str);
+      if (error) return { error };
+      return { value: str };
+    }
+
+    default:
+      return { error: '未知的类型' };
+  }
+}
+
+/**
+ * 校验并转换一个设置值
+ *
+ * @param {string} key - 设置项
+ * @param {*} value - 新的值（来自设置页或设置文件）
+ * @returns {{ value: * } | { error: string }}
+ */
+function validate(key, value) {
+  const def = SCHEMA[key];
+  if (!def) return { error: '未知的设置项' };
+  return checkValue(def, value);
+}
+
+// ==================== 读取 / 保存 ====================
+
+/**
+ * 把设置文件迁移到当前版本
+ * @param {Object} data - 设置文件内容
+ * @returns {{ data: Object, migrated: boolean }}
+ */
+function migrate(data) {
+  let version = typeof data.version === 'number' ? data.version : 0;
+  let migrated = false;
+  while (version < SETTINGS_VERSION) {
+    version++;
+    data = MIGRATIONS[version](data);
+    migrated = true;
+  }
+  return { data, migrated };
+}
+
+/**
+ * 读取设置文件中的用户值（迁移版本，丢弃未知或无效的项）
+ * @returns {Object} 和默认值不同的项
+ */
+function loadOverrides() {
+  const { data, migrated } = migrate(store.get() || {});
+  const overrides = {};
+  for (const [key, value] of Object.entries(data.values || {})) {
+    const result = validate(key, value);
+    if ('error' in result) {
+      console.warn(`忽略无效的设置 ${key}:`, value, result.error);
+    } else {
+      overrides[key] = result.value;
+    }
+  }
+  if (migrated) store.set({ version: SETTINGS_VERSION, values: overrides });
+  return overrides;
+}
+
+/** 全部默认值 */
+function getDefaults() {
+  return Object.fromEntries(Object.entries(SCHEMA).map(([key, def]) => [key, def.default]));
+}
+
+let values = { ...getDefaults(), ...loadOverrides() };
+
+/** 只把和默认值不同的项写入磁盘 */
+function save() {
+  const overrides = {};
+  for (const [key, def] of Object.entries(SCHEMA)) {
+    if (values[key] !== def.default) overrides[key] = values[key];
+  }
+  store.set({ version: SETTINGS_VERSION, values: overrides });
+}
+
+// ==================== 查询 / 修改 ====================
+
+/** 获取全部设置 */
+function getAll() {
+  return { ...values };
+}
+
+/**
+ * 获取设置项定义（发送给渲染进程，不含函数）
+ * @returns {{ groups: Array, items: Array }}
+ */
+function getSchema() {
+  return {
+    groups: GROUPS,
+    items: Object.entries(SCHEMA).map(([key, def]) => ({
+      key,
+      group: def.group,
+      label: def.label,
+      type: def.type,
+      options: def.options,
+      min: def.min,
+      max: def.max,
+      default: def.default,
+      live: !!def.live
+    }))
+  };
+}
+
+/**
+ * 修改设置（无效的值不会保存）
+ *
+ * @param {Object} patch - { key: value }
+ * @returns {{ values: Object, errors: Object, changed: string[] }}
+ *   errors 为 { key: 错误信息 }，changed 为实际改变了的设置项
+ */
+function update(patch) {
+  const errors = {};
+  const changed = [];
+  for (const [key, value] of Object.entries(patch || {})) {
+    const result = validate(key, value);
+    if ('error' in result) {
+      errors[key] = result.error;
+    } else if (values[key] !== result.value) {
+      values[key] = result.value;
+      changed.push(key);
+    }
+  }
+  if (changed.length > 0) save();
+  return { values: getAll(), errors, changed };
+}
+
+/**
+ * 恢复默认设置
+ * @returns {{ values: Object, errors: Object, changed: string[] }}
+ */
+function reset() {
+  return update(getDefaults());
+}
+
+// ==================== MPV 参数 ====================
+
+/**
+ * 转换成 MPV 选项值
+ * @param {string} key - 设置项
+ * @param {*} value - 设置值
+ * @returns {string}
+ */
+function toMpvValue(key, value) {
+  const def = SCHEMA[key];
+  if (def.format) return def.format(value);
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+/**
+ * 生成 MPV 启动参数
+ * @param {Object} [current] - 设置值，默认为当前设置
+ * @returns {string[]} 如 ['--hwdec=auto-safe', '--scale=ewa_lanczossharp', ...]
+ */
+function buildMpvArgs(current = values) {
+  return Object.entries(SCHEMA)
+    .filter(([, def]) => def.mpv)
+    .map(([key, def]) => `--${def.mpv}=${toMpvValue(key, current[key])}`);
+}
+
+/**
+ * 获取可以在运行时修改的 MPV 属性
+ * @param {string[]} keys - 改变了的设置项
+ * @returns {{ live: Array<[string, string]>, restartRequired: boolean }}
+ *   live 为 [MPV 属性名, 值]；restartRequired 表示有设置要下次播放才生效
+ */
+function getLiveProperties(keys) {
+  const live = [];
+  let restartRequired = false;
+  for (const key of keys) {
+    const def = SCHEMA[key];
+    if (!def.live) {
+      restartRequired = true;
+    } else if (def.mpv) {
+      live.push([def.mpv, toMpvValue(key, values[key])]);
+    }
+  }
+  return { live, restartRequired };
+}
+
+module.exports = {
+  SCHEMA,
+  checkValue,
+  validate,
+  getAll,
+  getSchema,
+  update,
+  reset,
+  buildMpvArgs,
+  getLiveProperties
+};
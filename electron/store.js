@@ -0,0 +1,73 @@
+/**
+ * S-Player - JSON 持久化存储
+ *
+ * 把数据保存为 userData 目录下的 JSON 文件，例如：
+ * - Windows: %APPDATA%/s-player/history.json
+ * - Linux:   ~/.config/s-player/history.json
+ * - macOS:   ~/Library/Application Support/s-player/history.json
+ *
+ * 写入时先写临时文件再重命名，避免写到一半程序退出导致文件损坏
+ */
+
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * 创建 JSON 存储
+ *
+ * @param {string} name - 文件名（不含扩展名）
+ * @param {*} defaults - 文件不存在或损坏时使用的默认值
+ * @returns {{ get: Function, set: Function, update: Function, filePath: string }}
+ *
+ * @example
+ * const store = createStore('history', {});
+ * store.update(data => { data[key] = entry; });
+ */
+function createStore(name, defaults) {
+  const filePath = path.join(app.getPath('userData'), `${name}.json`);
+  let data = null;  // 内存缓存，第一次 get() 时读取
+
+  /** 读取数据（只在第一次访问时读文件） */
+  const get = () => {
+    if (data === null) {
+      try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (e) {
+        // 文件不存在或 JSON 损坏，使用默认值
+        data = structuredClone(defaults);
+      }
+    }
+    return data;
+  };
+
+  /**
+   * 替换全部数据并写入磁盘
+   * @param {*} value - 新数据
+   */
+  const set = (value) => {
+    data = value;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.error(`保存 ${name}.json 失败:`, e.message);
+    }
+  };
+
+  /**
+   * 修改数据并写入磁盘
+   * @param {Function} fn - 接收当前数据，可直接修改或返回新数据
+   */
+  const update = (fn) => {
+    const current = get();
+    const result = fn(current);
+    set(result === undefined ? current : result);
+  };
+
+  return { get, set, update, filePath };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,169 @@
+/**
+ * S-Player - 字幕样式
+ *
+ * 【两层样式】
+ * - 默认样式：保存在 userData/subtitle-style.json，所有文件使用
+ * - 文件样式：只对某个文件生效（保存在观看记录里，见 history.js），
+ *   用于个别 PGS / ASS 字幕需要不同处理的情况
+ * 实际样式 = 内置默认 + 默认样式 + 文件样式
+ *
+ * 【应用方式】
+ * 连接 MPV 后通过 set_property 设置（不作为启动参数），
+ * 修改时也同样实时生效，不需要重新播放
+ *
+ * 【第二字幕】
+ * 双语字幕时通过 secondary-sid 同时显示的第二条字幕，
+ * 位置和 ASS 样式处理可以单独设置；字体、颜色等文字样式 MPV 中和主字幕共用
+ *
+ * 【注意】
+ * - PGS / VobSub 是图片字幕，只有位置和缩放（sub-pos、字号）对它们有效
+ * - ASS 字幕自带样式，需要"覆盖 ASS 样式"为 force 才会使用这里的样式
+ */
+
+const { createStore } = require('./store');
+const { checkValue } = require('./settings');
+
+/** 颜色格式 #RRGGBB */
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * 样式项定义（格式同 settings.js）
+ * - mpv: 对应的 MPV 属性
+ * - group: 'secondary' 为第二字幕的设置
+ */
+const STYLE_SCHEMA = {
+  font:         { label: '字体', type: 'string', default: '', mpv: 'sub-font' },
+  fontSize:     { label: '字号', type: 'number', min: 10, max: 120, default: 55, mpv: 'sub-font-size' },
+  bold:         { label: '粗体', type: 'boolean', default: false, mpv: 'sub-bold' },
+  color:        { label: '文字颜色', type: 'string', pattern: COLOR_PATTERN, patternError: '颜色格式为 #RRGGBB', default: '#FFFFFF', mpv: 'sub-color' },
+  borderSize:   { label: '描边粗细', type: 'number', min: 0, max: 10, default: 3, mpv: 'sub-border-size' },
+  borderColor:  { label: '描边颜色', type: 'string', pattern: COLOR_PATTERN, patternError: '颜色格式为 #RRGGBB', default: '#000000', mpv: 'sub-border-color' },
+  shadowOffset: { label: '阴影距离', type: 'number', min: 0, max: 10, default: 0, mpv: 'sub-shadow-offset' },
+  shadowColor:  { label: '阴影颜色', type: 'string', pattern: COLOR_PATTERN, patternError: '颜色格式为 #RRGGBB', default: '#000000', mpv: 'sub-shadow-color' },
+  backBox:      { label: '背景框', type: 'boolean', default: false },
+  backColor:    { label: '背景颜色', type: 'string', pattern: COLOR_PATTERN, patternError: '颜色格式为 #RRGGBB', default: '#000000' },
+  backOpacity:  { label: '背景不透明度', type: 'number', min: 0, max: 100, default: 60 },
+  pos:          { label: '垂直位置', type: 'number', min: 0, max: 150, default: 100, mpv: 'sub-pos' },
+  assOverride:  { label: '覆盖 ASS 样式', type: 'enum', options: ['no', 'yes', 'scale', 'force', 'strip'], default: 'scale', mpv: 'sub-ass-override' },
+  secondaryPos: { label: '垂直位置', type: 'number', min: 0, max: 150, default: 0, mpv: 'secondary-sub-pos', group: 'secondary' },
+  secondaryAssOverride: { label: '覆盖 ASS 样式', type: 'enum', options: ['no', 'yes', 'scale', 'force', 'strip'], default: 'strip', mpv: 'secondary-sub-ass-override', group: 'secondary' }
+};
+
+/** 旧版 MPV 没有的属性，设置失败时忽略 */
+const OPTIONAL_PROPERTIES = ['sub-border-style', 'secondary-sub-pos', 'secondary-sub-ass-override'];
+
+const store = createStore('subtitle-style', { version: 1, style: {} });
+
+/** 内置默认样式 */
+function getBuiltinDefaults() {
+  return Object.fromEntries(Object.entries(STYLE_SCHEMA).map(([key, def]) => [key, def.default]));
+}
+
+/**
+ * 校验样式（丢弃未知和无效的项）
+ * @param {Object} patch - { key: value }
+ * @returns {{ style: Object, errors: Object }}
+ */
+function sanitize(patch) {
+  const style = {};
+  const errors = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    const def = STYLE_SCHEMA[key];
+    if (!def) continue;
+    const result = checkValue(def, value);
+    if ('error' in result) {
+      errors[key] = result.error;
+    } else {
+      style[key] = result.value;
+    }
+  }
+  return { style, errors };
+}
+
+/**
+ * 只保留和基准样式不同的项
+ * @param {Object} style - 完整样式
+ * @param {Object} base - 基准样式
+ */
+function diff(style, base) {
+  return Object.fromEntries(Object.entries(style).filter(([key, value]) => base[key] !== value));
+}
+
+/** 默认样式（内置默认 + 用户保存的默认样式） */
+function getDefaultStyle() {
+  return { ...getBuiltinDefaults(), ...sanitize(store.get().style).style };
+}
+
+/**
+ * 保存默认样式
+ * @param {Object} style - 完整样式
+ */
+function saveDefaultStyle(style) {
+  store.set({ version: 1, style: diff(style, getBuiltinDefaults()) });
+}
+
+/**
+ * 实际样式
+ * @param {Object|null} fileStyle - 文件样式（观看记录中的 subStyle）
+ */
+function resolve(fileStyle) {
+  return { ...getDefaultStyle(), ...sanitize(fileStyle).style };
+}
+
+/**
+ * 颜色加透明度，转换成 MPV 的 #AARRGGBB
+ * @param {string} color - #RRGGBB
+ * @param {number} opacity - 不透明度 0-100
+ */
+function withAlpha(color, opacity) {
+  const alpha = Math.round(opacity / 100 * 255).toString(16).padStart(2, '0');
+  return `#${alpha}${color.slice(1)}`.toUpperCase();
+}
+
+/**
+ * 转换成 MPV 属性
+ *
+ * 背景框：旧版 MPV 在 sub-back-color 不透明时画背景框，
+ * 0.38 之后需要 sub-border-style=background-box（旧版没有这个属性，设置失败时忽略）
+ *
+ * @param {Object} style - 实际样式
+ * @returns {Array<[string, *]>} [属性名, 值]
+ */
+function toMpvProperties(style) {
+  const props = Object.entries(STYLE_SCHEMA)
+    .filter(([, def]) => def.mpv)
+    .map(([key, def]) => [def.mpv, key === 'font' ? (style.font || 'sans-serif') : style[key]]);
+
+  props.push(['sub-back-color', style.backBox ? withAlpha(style.backColor, style.backOpacity) : '#00000000']);
+  props.push(['sub-border-style', style.backBox ? 'background-box' : 'outline-and-shadow']);
+  return props;
+}
+
+/**
+ * 获取样式项定义（发送给渲染进程）
+ * @returns {Array} [{ key, label, type, group, min, max, options, default }]
+ */
+function getSchema() {
+  return Object.entries(STYLE_SCHEMA).map(([key, def]) => ({
+    key,
+    label: def.label,
+    type: COLOR_PATTERN === def.pattern ? 'color' : def.type,
+    group: def.group || 'primary',
+    min: def.min,
+    max: def.max,
+    options: def.options,
+    default: def.default
+  }));
+}
+
+module.exports = {
+  STYLE_SCHEMA,
+  OPTIONAL_PROPERTIES,
+  sanitize,
+  diff,
+  getDefaultStyle,
+  saveDefaultStyle,
+  resolve,
+  toMpvProperties,
+  getSchema
+};
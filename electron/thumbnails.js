@@ -0,0 +1,384 @@
+/**
+ * S-Player - 进度条预览缩略图
+ *
+ * 用另一个不显示画面的 MPV 进程生成缩略图，不影响正在播放的 MPV：
+ * - 暂停状态下通过 IPC 跳转到关键帧（absolute+keyframes，不需要精确解码）
+ * - 画面缩小后用 MPV 的编码输出（--o，image2 + update=1）写成一个原始 BGRA 文件，
+ *   每次跳转后覆盖，不需要 ffmpeg
+ * - 读取后转成 JPEG 保存到 userData/thumbnails/<文件>/<编号>.jpg，下次打开同一个文件直接使用
+ *
+ * 【生成顺序】
+ * 片长按 getInterval() 分成若干格，每格一张。
+ * 鼠标指向的那一格优先生成，其余的在后台按顺序补齐；
+ * 生成失败的格子跳过，连续失败 MAX_FAILURES 次后不再生成，鼠标悬停时只显示时间
+ *
+ * 【缓存】
+ * 按文件路径、大小、修改时间（光盘还有标题）区分，最多保留 MAX_CACHE_ENTRIES 个文件的缩略图
+ */
+
+const { app, nativeImage } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const net = require('net');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const platform = require('./platform');
+const { createMpvClient } = require('./mpv-client');
+
+/** 缩略图宽度（高度按画面比例） */
+const THUMB_WIDTH = 192;
+
+/** 每个文件最多生成的缩略图数量 */
+const MAX_THUMBNAILS = 200;
+
+/** 两张缩略图之间的最小间隔（秒） */
+const MIN_INTERVAL = 2;
+
+/** 最多保留多少个文件的缩略图缓存 */
+const MAX_CACHE_ENTRIES = 50;
+
+/** 等待一帧画面写出的超时（毫秒） */
+const FRAME_TIMEOUT = 3000;
+
+/** 检查画面是否已写出的间隔（毫秒） */
+const POLL_INTERVAL = 20;
+
+/** 后台补齐时每张之间的间隔（毫秒），避免和正在播放的 MPV 争抢 CPU / 磁盘 */
+const BACKGROUND_DELAY = 150;
+
+/** 连续失败这么多次后不再生成（光盘无法跳转、文件不支持） */
+const MAX_FAILURES = 3;
+
+/** 连接 IPC 的重试次数（每次 100ms） */
+const CONNECT_RETRIES = 40;
+
+const IPC_PATH = platform.getIpcPath('s-player-thumb');
+
+let current = null;   // 当前的生成任务 { key, dir, interval, width, height, process, client, ... }
+
+/** 缓存目录 */
+const getCacheRoot = () => path.join(app.getPath('userData'), 'thumbnails');
+
+/** 等待 */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 缩略图间隔：片长平均分成 MAX_THUMBNAILS 格，但不小于 MIN_INTERVAL
+ * @param {number} duration - 片长（秒）
+ */
+function getInterval(duration) {
+  return Math.max(MIN_INTERVAL, duration / MAX_THUMBNAILS);
+}
+
+/**
+ * 缓存目录名：文件路径 + 大小 + 修改时间 + 标题，文件变化后重新生成
+ * @param {string} file - 文件或光盘路径
+ * @param {*} titleId - 光盘标题（普通文件为 null）
+ */
+function getCacheKey(file, titleId) {
+  let stat = { size: 0, mtimeMs: 0 };
+  try { stat = fs.statSync(file); } catch (e) { /* 无法访问时只按路径区分 */ }
+  return crypto.createHash('sha1')
+    .update(`${file}|${stat.size}|${stat.mtimeMs}|${titleId ?? ''}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/** 删除最久没用过的缓存，只保留 MAX_CACHE_ENTRIES 个 */
+function pruneCache() {
+  try {
+    const root = getCacheRoot();
+    const dirs = fs.readdirSync(root)
+      .map(name => ({ dir: path.join(root, name), time: fs.statSync(path.join(root, name)).mtimeMs }))
+      .sort((a, b) => b.time - a.time);
+    for (const { dir } of dirs.slice(MAX_CACHE_ENTRIES)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  } catch (e) {
+    // 还没有缓存目录
+  }
+}
+
+/**
+ * 连接生成缩略图的 MPV
+ * @param {Object} task - 生成任务
+ * @returns {Promise<boolean>} 是否连接成功
+ */
+async function connect(task) {
+  for (let i = 0; i < CONNECT_RETRIES; i++) {
+    if (task.closed || task.failed) return false;
+    const connected = await new Promise((resolve) => {
+      const socket = net.connect(IPC_PATH);
+      socket.once('connect', () => {
+        task.client.attach(socket);
+        resolve(true);
+      });
+      // 连接之后的错误（MPV 退出）也要处理，否则会变成未捕获的异常
+      socket.on('error', () => resolve(false));
+    });
+    if (connected) return true;
+    await sleep(100);
+  }
+  return false;
+}
+
+/**
+ * 启动生成缩略图的 MPV
+ * @param {Object} task - 生成任务
+ * @param {Object} source - 见 open()
+ */
+function spawnMpv(task, source) {
+  platform.cleanupIpcPath(IPC_PATH);
+  const args = [
+    '--no-config',
+    '--no-terminal',
+    '--load-scripts=no',
+    '--idle=yes',
+    '--pause',
+    '--keep-open=always',
+    `--input-ipc-server=${IPC_PATH}`,
+
+    // 只解码画面，尽量快、尽量少占资源
+    '--no-audio',
+    '--no-sub',
+    '--hwdec=no',
+    '--hr-seek=no',
+    '--demuxer-readahead-secs=0',
+    '--demuxer-max-bytes=128KiB',
+    '--vd-lavc-skiploopfilter=all',
+    '--vd-lavc-fast',
+    '--vd-lavc-threads=2',
+    '--sws-scaler=fast-bilinear',
+    `--vf=scale=w=${task.width}:h=${task.height},format=fmt=bgra`,
+
+    // 每一帧都覆盖写入同一个原始图像文件
+    '--ovc=rawvideo',
+    '--of=image2',
+    '--ofopts=update=1',
+    `--o=${task.frameFile}`,
+
+    ...source.deviceArgs,
+    source.url
+  ];
+
+  task.process = spawn(source.mpvPath, args, { stdio: 'ignore', windowsHide: true });
+  task.process.on('error', (err) => {
+    console.error('缩略图 MPV 启动失败:', err.message);
+    task.failed = true;
+  });
+  task.process.on('exit', () => {
+    task.process = null;
+    if (!task.closed) task.failed = true;
+  });
+}
+
+/**
+ * 生成一格的缩略图
+ * @param {Object} task - 生成任务
+ * @param {number} slot - 格子编号
+ * @returns {Promise<boolean>} 是否成功
+ */
+async function capture(task, slot) {
+  const frameSize = task.width * task.height * 4;
+  try { fs.unlinkSync(task.frameFile); } catch (e) { /* 还没有写出过 */ }
+
+  await task.client.request(['seek', slot * task.interval, 'absolute+keyframes']);
+
+  // 等待新的画面写完（文件大小等于一帧）
+  for (let waited = 0; waited < FRAME_TIMEOUT; waited += POLL_INTERVAL) {
+    await sleep(POLL_INTERVAL);
+    if (task.closed) return false;
+    let size = 0;
+    try { size = fs.statSync(task.frameFile).size; } catch (e) { continue; }
+    if (size !== frameSize) continue;
+
+    const image = nativeImage.createFromBitmap(fs.readFileSync(task.frameFile), { width: task.width, height: task.height });
+    fs.writeFileSync(path.join(task.dir, `${slot}.jpg`), image.toJPEG(75));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * 生成循环：优先生成鼠标指向的格子，其余的在后台补齐
+ * @param {Object} task - 生成任务
+ */
+async function run(task) {
+  if (!(await connect(task))) {
+    if (!task.closed) console.error('缩略图 MPV 连接失败');
+    task.failed = true;
+  }
+
+  let next = 0;   // 后台补齐到的位置
+  while (!task.closed && !task.failed) {
+    const requested = task.requested;
+    task.requested = null;
+    let slot = requested;
+    if (slot === null) {
+      while (next < task.count && (task.skipped.has(next) || fs.existsSync(path.join(task.dir, `${next}.jpg`)))) next++;
+      if (next >= task.count) break;
+      slot = next;
+    }
+
+    let ok = false;
+    try {
+      ok = await capture(task, slot);
+    } catch (err) {
+      if (!task.closed) console.error(`生成缩略图失败（${slot}）:`, err.message);
+    }
+    if (ok) {
+      task.failures = 0;
+    } else if (!task.closed) {
+      task.skipped.add(slot);
+      if (++task.failures >= MAX_FAILURES) {
+        console.error('缩略图连续生成失败，不再生成');
+        task.failed = true;
+      }
+    }
+    notify(task, slot);
+
+    if (requested === null) await sleep(BACKGROUND_DELAY);
+  }
+
+  // 全部生成完或失败：关闭 MPV，等待中的请求返回结果
+  stopProcess(task);
+  for (const slot of task.waiting.keys()) notify(task, slot);
+}
+
+/**
+ * 通知等待这一格的请求
+ * @param {Object} task - 生成任务
+ * @param {number} slot - 格子编号
+ */
+function notify(task, slot) {
+  const resolvers = task.waiting.get(slot);
+  if (!resolvers) return;
+  task.waiting.delete(slot);
+  const image = readImage(task, slot);
+  resolvers.forEach(resolve => resolve(image));
+}
+
+/**
+ * 读取已生成的缩略图
+ * @param {Object} task - 生成任务
+ * @param {number} slot - 格子编号
+ * @returns {string|null} data URL
+ */
+function readImage(task, slot) {
+  try {
+    return `data:image/jpeg;base64,${fs.readFileSync(path.join(task.dir, `${slot}.jpg`)).toString('base64')}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 关闭生成缩略图的 MPV
+ * @param {Object} task - 生成任务
+ */
+function stopProcess(task) {
+  task.client.detach();
+  if (task.process) {
+    try { task.process.kill(); } catch (e) { /* 已经退出 */ }
+    task.process = null;
+  }
+  try { fs.unlinkSync(task.frameFile); } catch (e) { /* 不存在 */ }
+}
+
+/**
+ * 开始为一个文件生成缩略图（同一个文件重复调用不会重新开始）
+ *
+ * @param {Object} source
+ * @param {string} source.file - 文件或光盘路径（用于缓存）
+ * @param {*} [source.titleId] - 光盘标题
+ * @param {string} source.url - MPV 打开的地址（文件路径或 bd:// / dvd://）
+ * @param {string[]} [source.deviceArgs] - 光盘设备参数（--bluray-device 等）
+ * @param {string} source.mpvPath - MPV 可执行文件
+ * @param {number} source.duration - 片长（秒）
+ * @param {number} source.aspect - 画面宽高比
+ */
+function open(source) {
+  const key = getCacheKey(source.file, source.titleId);
+  if (current?.key === key) return;
+  close();
+
+  const dir = path.join(getCacheRoot(), key);
+  fs.mkdirSync(dir, { recursive: true });
+  // 更新修改时间，清理缓存时保留最近用过的
+  const now = new Date();
+  fs.utimesSync(dir, now, now);
+  pruneCache();
+
+  const interval = getInterval(source.duration);
+  const task = {
+    key,
+    dir,
+    interval,
+    count: Math.ceil(source.duration / interval),
+    width: THUMB_WIDTH,
+    height: Math.max(2, Math.round(THUMB_WIDTH / source.aspect / 2) * 2),
+    frameFile: path.join(app.getPath('temp'), `s-player-thumb-${key}.bgra`),
+    client: createMpvClient(),
+    process: null,
+    requested: null,   // 鼠标指向的格子（优先生成）
+    waiting: new Map(),   // 格子 → 等待结果的 resolve 列表
+    skipped: new Set(),   // 生成失败的格子
+    failures: 0,          // 连续失败次数
+    failed: false,
+    closed: false
+  };
+  current = task;
+
+  // 全部已经缓存过时不需要启动 MPV
+  const cached = fs.readdirSync(dir).filter(name => name.endsWith('.jpg')).length;
+  if (cached >= task.count) return;
+
+  spawnMpv(task, { deviceArgs: [], ...source });
+  run(task);
+}
+
+/**
+ * 获取某个时间的缩略图（还没生成时优先生成）
+ * @param {number} time - 秒
+ * @returns {Promise<{ time: number, image: string|null }|null>}
+ *   time 为缩略图实际对应的时间（格子的开始），image 为 data URL；没有打开文件时返回 null
+ */
+async function get(time) {
+  const task = current;
+  if (!task) return null;
+  const slot = Math.min(task.count - 1, Math.max(0, Math.floor(time / task.interval)));
+  const slotTime = slot * task.interval;
+
+  const image = readImage(task, slot);
+  if (image || task.failed || !task.process || task.skipped.has(slot)) return { time: slotTime, image };
+
+  // 只优先生成最新指向的格子，之前指向的格子不再等待
+  for (const [waitingSlot, resolvers] of task.waiting) {
+    if (waitingSlot === slot) continue;
+    task.waiting.delete(waitingSlot);
+    resolvers.forEach(resolve => resolve(null));
+  }
+  task.requested = slot;
+  const generated = await new Promise((resolve) => {
+    if (!task.waiting.has(slot)) task.waiting.set(slot, []);
+    task.waiting.get(slot).push(resolve);
+  });
+  return { time: slotTime, image: generated };
+}
+
+/** 停止生成（切换文件、停止播放时调用） */
+function close() {
+  if (!current) return;
+  const task = current;
+  current = null;
+  task.closed = true;
+  stopProcess(task);
+  for (const resolvers of task.waiting.values()) resolvers.forEach(resolve => resolve(null));
+  task.waiting.clear();
+}
+
+module.exports = {
+  open,
+  get,
+  close
+};
@@ -11,6 +11,15 @@
  * - 字幕和音轨切换
  * - 章节跳转
  * - 蓝光标题切换
+ * - 播放列表
+ * - 继续播放与最近播放记录
+ * - 键盘快捷键（可自定义）
+ * - 拖放文件 / 文件夹到窗口播放
+ * - 设置页（画质、音频、语言、缓存等，能实时生效的立即应用）
+ * - 画质方案切换（流畅 / 均衡 / 高画质 / 自定义）
+ * - 截图与本次截图库
+ * - 字幕样式（字体、颜色、描边、背景框、位置，可只对当前文件生效）
+ * - 音频 / 字幕延迟调整（按文件 + 轨道记住）
  * - 媒体信息显示
  */
 
@@ -18,8 +27,21 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import { 
   Play, Pause, SkipBack, SkipForward, Square, 
   Volume2, VolumeX, Maximize, Minus, X, 
-  FolderOpen, Info, Music, Subtitles, BookOpen, Film
+  FolderOpen, Info, Music, Subtitles, BookOpen, Film,
+  StepBack, StepForward, ListVideo, Folders, Keyboard, Settings, Gauge, Camera, Images, Timer,
+  SlidersHorizontal
 } from 'lucide-react';
+import PlaylistPanel from './components/PlaylistPanel';
+import ShortcutsOverlay from './components/ShortcutsOverlay';
+import SettingsPanel from './components/SettingsPanel';
+import QualityMenu from './components/QualityMenu';
+import ScreenshotGallery from './components/ScreenshotGallery';
+import SubtitleStylePanel from './components/SubtitleStylePanel';
+import SyncMenu, { formatDelay } from './components/SyncMenu';
+import EqualizerPanel from './components/EqualizerPanel';
+import SpeedMenu, { formatSpeed, stepSpeed } from './components/SpeedMenu';
+import ErrorDialog from './components/ErrorDialog';
+import { resolveBindings, buildKeyLookup, diffFromDefaults, eventToKey } from './keymap';
 
 // ==================== 工具函数 ====================
 
@@ -165,6 +187,34 @@ const getSubType = (codec) => {
   return codec.substring(0, 15);
 };
 
+/**
+ * 光盘标题的详细信息（章节、音轨语言、字幕、角度）
+ * @param {Object} title - 标题（见 electron/bluray.js、electron/dvd.js）
+ * @returns {string} 如 '24 章 · 英文/中文 · 6 字幕'，从 MPV 输出获取的标题没有详细信息，返回空字符串
+ *
+ * @example
+ * formatTitleDetail({ chapters: [...], audio: [{ lang: 'eng' }], subtitles: [], angles: 1 }) // '12 章 · 英文'
+ */
+const formatTitleDetail = (title) => {
+  if (!title.audio) return '';
+  const parts = [];
+  if (title.chapters.length > 1) parts.push(`${title.chapters.length} 章`);
+  const langs = [...new Set(title.audio.map(a => getLang(a.lang)))];
+  if (langs.length > 0) parts.push(langs.slice(0, 3).join('/') + (langs.length > 3 ? '…' : ''));
+  if (title.subtitles.length > 0) parts.push(`${title.subtitles.length} 字幕`);
+  if (title.angles > 1) parts.push(`${title.angles} 角度`);
+  return parts.join(' · ');
+};
+
+/**
+ * 取路径中的文件名
+ * @param {string} filePath - 文件路径（Windows 或 POSIX）
+ */
+const getBaseName = (filePath) => (filePath || '').split(/[\\/]/).pop();
+
+/** 进度条预览宽度的一半（缩略图 192px，见 electron/thumbnails.js） */
+const PREVIEW_HALF_WIDTH = 98;
+
 /**
  * 根据分辨率获取视频质量标签
  * @param {number} width - 视频宽度
@@ -194,6 +244,7 @@ const getVideoQuality = (width, height) => {
  * - volume/isMuted: 音量和静音状态
  * - audioTracks/subTracks: 音轨和字幕列表
  * - currentAudio/currentSub: 当前选中的音轨和字幕
+ * - currentSecondarySub: 第二字幕（双语字幕）
  * 
  * 【与 MPV 通信】
  * 通过 window.api（preload.js 暴露）与主进程通信，
@@ -218,25 +269,36 @@ function App() {
   
   // UI 状态
   const [showControls, setShowControls] = useState(true);  // 显示控制栏
-  const [activePopup, setActivePopup] = useState(null);    // 当前打开的弹出菜单: 'audio' | 'sub' | 'chapter' | 'title' | null
+  const [activePopup, setActivePopup] = useState(null);    // 当前打开的弹出菜单: 'audio' | 'sub' | 'chapter' | 'title' | 'playlist' | null
   const [showInfo, setShowInfo] = useState(false);         // INFO 是独立的，不受其他菜单影响
+  const [progressHover, setProgressHover] = useState(null);  // 鼠标在进度条上的位置 { x, width, time }
+  const [hoverThumb, setHoverThumb] = useState(null);        // 预览缩略图 { time, image }
+  const [scrubTime, setScrubTime] = useState(null);          // 正在拖动进度条时指向的时间（没有拖动时为 null）
   
   // 媒体信息
   const [videoParams, setVideoParams] = useState(null);    // 视频参数
   const [audioCodec, setAudioCodec] = useState('');        // 音频编码
   const [videoCodec, setVideoCodec] = useState('');        // 视频编码
+  const [hwdecCurrent, setHwdecCurrent] = useState('');    // 当前硬解方式（INFO 打开时按需读取）
+  const [audioDelay, setAudioDelay] = useState(0);         // 音频延迟（秒）
+  const [subDelay, setSubDelay] = useState(0);             // 字幕延迟（秒）
+  const [speed, setSpeed] = useState(1);                   // 播放速度
+  const [abLoop, setAbLoop] = useState({ a: null, b: null });  // A-B 循环点（秒），null 为未设置
   const [currentChapter, setCurrentChapter] = useState(0); // 当前章节
   
   // 轨道列表
   const [audioTracks, setAudioTracks] = useState([]);      // 音轨列表
   const [subTracks, setSubTracks] = useState([]);          // 字幕列表
   const [chapters, setChapters] = useState([]);            // 章节列表
-  const [blurayTitles, setBlurayTitles] = useState([]);    // 蓝光标题列表
+  const [cacheRanges, setCacheRanges] = useState([]);      // 已缓存的范围 [{ start, end }]（秒）
+  const [discTitles, setDiscTitles] = useState([]);        // 光盘标题列表（蓝光 / DVD）
   
   // 当前选中的轨道
   const [currentAudio, setCurrentAudio] = useState(null);  // 当前音轨 ID
   const [currentSub, setCurrentSub] = useState(null);      // 当前字幕 ID
-  const [currentTitle, setCurrentTitle] = useState(null);  // 当前蓝光标题
+  const [currentSecondarySub, setCurrentSecondarySub] = useState(null);  // 第二字幕 ID
+  const [currentTitle, setCurrentTitle] = useState(null);  // 当前光盘标题 ID
+  const [angle, setAngle] = useState(null);                // 当前角度（多角度光盘，从 1 开始）
   
   // TMDB 电影信息
   const [tmdbInfo, setTmdbInfo] = useState(null);          // 当前TMDB电影数据
@@ -253,9 +315,33 @@ function App() {
   
   // 退出确认对话框
   const [showExitConfirm, setShowExitConfirm] = useState(false);
+  
+  // 播放错误对话框 { type, title, message, file, detail }
+  const [playbackError, setPlaybackError] = useState(null);
+  
+  // 观看记录
+  const [resumePrompt, setResumePrompt] = useState(null);  // "继续播放"提示 { position, duration }
+  const [recentHistory, setRecentHistory] = useState([]);  // 首页的最近播放列表
+  
+  // 快捷键
+  const [bindings, setBindings] = useState(() => resolveBindings());  // 操作 → 按键
+  const [showShortcuts, setShowShortcuts] = useState(false);          // 快捷键帮助面板
+  const [isDragOver, setIsDragOver] = useState(false);                // 正在拖放文件到窗口
+  const [showSettings, setShowSettings] = useState(false);            // 设置页
+  
+  // 截图
+  const [screenshots, setScreenshots] = useState([]);  // 本次截图（最新的在前）
+  const [toast, setToast] = useState(null);            // 底部提示 { text, actionLabel, onAction }
+  
+  // 音频均衡器是否启用（控制栏按钮高亮）
+  const [eqEnabled, setEqEnabled] = useState(false);
+  
+  // 播放列表（状态保存在主进程，这里只是镜像）
+  const [playlist, setPlaylist] = useState({ name: '', items: [], currentIndex: -1, repeat: 'off', shuffle: false });
 
   // 派生状态
   const showHome = pageState === 'home';
+  const currentEpisodeLabel = playlist.items[playlist.currentIndex]?.episode || '';  // 当前剧集，如 'S01E02'
 
   // ==================== Refs ====================
   
@@ -265,12 +351,26 @@ function App() {
   const isLoadingRef = useRef(false);          // Loading 状态的 ref
   const tmdbTimer = useRef(null);              // TMDB请求延迟定时器
   const lastMoveTimeRef = useRef(0);           // 鼠标移动节流
+  const currentItemIdRef = useRef(null);       // 当前播放列表项 ID（检测是否换了文件）
+  const prepareForFileRef = useRef(null);      // 最新的 prepareForFile（供事件处理器调用）
+  const applyDiscLabelRef = useRef(null);      // 最新的 applyDiscLabel（供事件处理器调用）
+  const titlesRequestRef = useRef(0);          // TMDB 请求批次（丢弃过期的结果）
+  const actionsRef = useRef({});               // 快捷键操作 → 最新的处理函数
+  const keyLookupRef = useRef({});             // 按键 → 操作
+  const modalOpenRef = useRef(false);          // 快捷键面板或设置页是否打开（打开时不响应快捷键）
+  const dragDepthRef = useRef(0);              // dragenter/dragleave 计数（经过子元素时也会触发）
+  const toastTimerRef = useRef(null);          // 提示自动消失定时器
+  const thumbRequestRef = useRef({ pending: false, next: null, active: false });  // 缩略图请求（同时只发一个）
+  const progressBarRef = useRef(null);         // 进度条（拖动时计算位置）
   
   // 按钮 refs（用于计算弹出菜单位置）
   const audioButtonRef = useRef(null);
   const subButtonRef = useRef(null);
   const chapterButtonRef = useRef(null);
   const titleButtonRef = useRef(null);
+  const qualityButtonRef = useRef(null);
+  const syncButtonRef = useRef(null);
+  const speedButtonRef = useRef(null);
   
   // 弹出菜单位置
   const [popupPosition, setPopupPosition] = useState({ right: '50%' });
@@ -370,6 +470,30 @@ function App() {
           setCurrentSub(null);
         }
       }
+      // 第二字幕 ID
+      else if (name === 'secondary-sid') {
+        setCurrentSecondarySub(typeof val === 'number' && val > 0 ? val : null);
+      }
+      // 音频 / 字幕延迟
+      else if (name === 'audio-delay') {
+        setAudioDelay(val || 0);
+      }
+      else if (name === 'sub-delay') {
+        setSubDelay(val || 0);
+      }
+      // 光盘角度（没有多角度时 MPV 返回不可用）
+      else if (name === 'angle') {
+        setAngle(typeof val === 'number' ? val : null);
+      }
+      // 播放速度
+      else if (name === 'speed') {
+        setSpeed(val || 1);
+      }
+      // A-B 循环点（未设置时 MPV 返回 "no"）
+      else if (name === 'ab-loop-a' || name === 'ab-loop-b') {
+        const key = name === 'ab-loop-a' ? 'a' : 'b';
+        setAbLoop(prev => ({ ...prev, [key]: typeof val === 'number' ? val : null }));
+      }
       // 缓冲状态
       else if (name === 'paused-for-cache') {
         setIsBuffering(!!val);
@@ -393,17 +517,23 @@ function App() {
           selected: t.selected
         }));
         
+        // 外挂字幕（sub-add / 自动加载的同名字幕）没有标题时显示文件名
         const sub = val.filter(t => t.type === 'sub').map(t => ({
           id: t.id,
           type: getSubType(t.codec),
           lang: getLang(t.lang),
-          title: t.title || '',
+          title: t.title || (t.external ? getBaseName(t['external-filename']) : ''),
+          external: !!t.external,
           selected: t.selected
         }));
 
         setAudioTracks(audio);
         setSubTracks(sub);
       }
+      // 已缓存的范围（可以直接跳转、不需要重新读取的部分）
+      else if (name === 'demuxer-cache-state') {
+        setCacheRanges((val?.['seekable-ranges'] || []).map(r => ({ start: r.start, end: r.end })));
+      }
       // 章节列表
       else if (name === 'chapter-list' && val) {
         const chapterList = val.map((c, i) => ({ 
@@ -421,19 +551,65 @@ function App() {
       setAudioTracks([]);
       setSubTracks([]);
       setChapters([]);
-      setBlurayTitles([]);
+      setCacheRanges([]);
+      setDiscTitles([]);
       setPosition(0);
       setDuration(0);
       setCurrentTitle(null);
+      setAngle(null);
       setIsBuffering(false);
+      setAudioDelay(0);
+      setSubDelay(0);
+      setSpeed(1);
+      setAbLoop({ a: null, b: null });
+      setCurrentSecondarySub(null);
       setActivePopup(null);  // 关闭所有弹出菜单
       setShowInfo(false);    // 关闭 INFO
+      currentItemIdRef.current = null;  // 再次播放时重新加载 TMDB 等信息
+      setResumePrompt(null);
     };
 
-    // 蓝光标题列表更新
-    const handleBlurayTitles = (titles) => {
-      setBlurayTitles(titles);
-      if (titles.length > 0) setCurrentTitle(titles[0].edition);
+    // MPV 意外退出：自动重启时显示加载提示，不再自动重启时让用户决定
+    const handleMpvCrashed = ({ restarting, attempt, maxAttempts }) => {
+      // 重启后从崩溃前的位置继续，收到第一个播放位置时关闭加载提示
+      lastPositionRef.current = 0;
+      setIsBuffering(false);
+      if (restarting) {
+        setLoadingText(`播放器意外退出，正在恢复（${attempt}/${maxAttempts}）...`);
+        setIsLoading(true);
+        return;
+      }
+      setIsLoading(false);
+      showToast('播放器多次意外退出', {
+        actionLabel: '重新启动',
+        onAction: () => {
+          setLoadingText('正在重新启动播放器...');
+          setIsLoading(true);
+          // 已经打开了别的文件或停止播放时不会重启
+          window.api.restartMpv().then(ok => {
+            if (!ok) setIsLoading(false);
+          });
+        },
+        duration: null
+      });
+    };
+    
+    // 播放错误：关闭加载提示，显示错误对话框
+    const handleMpvError = (error) => {
+      setIsLoading(false);
+      setIsBuffering(false);
+      setPlaybackError(error);
+    };
+    
+    // 光盘标题列表更新（currentId 为正在播放的标题，没有时默认主标题）
+    const handleDiscTitles = (titles, currentId) => {
+      setDiscTitles(titles);
+      if (titles.length > 0) setCurrentTitle(currentId ?? titles.find(t => t.isMain)?.id ?? titles[0].id);
+    };
+    
+    // ISO 卷标
+    const handleDiscLabel = (label) => {
+      applyDiscLabelRef.current?.(label);
     };
     
     // 标题切换中
@@ -446,14 +622,46 @@ function App() {
     const handleConfirmExit = () => {
       setShowExitConfirm(true);
     };
+    
+    // 有上次播放位置，询问是否继续
+    const handleResumePrompt = (info) => {
+      setResumePrompt(info);
+    };
+    
+    // 播放列表变化：当前项换了（打开新文件、自动下一个、手动切换）就重置界面
+    const handlePlaylistUpdate = (state) => {
+      setPlaylist(state);
+      const item = state.items[state.currentIndex];
+      if (item && item.id !== currentItemIdRef.current) {
+        currentItemIdRef.current = item.id;
+        prepareForFileRef.current?.(item);
+      }
+    };
 
     // 注册事件监听
     window.api.onMpvReady(handleMpvReady);
     window.api.onMpvProp(handleMpvProp);
     window.api.onMpvClosed(handleMpvClosed);
-    window.api.onBlurayTitles(handleBlurayTitles);
+    window.api.onMpvCrashed(handleMpvCrashed);
+    window.api.onMpvError(handleMpvError);
+    window.api.onDiscTitles(handleDiscTitles);
+    window.api.onDiscLabel(handleDiscLabel);
     window.api.onSwitchingTitle(handleSwitchingTitle);
     window.api.onConfirmExit(handleConfirmExit);
+    window.api.onPlaylistUpdate(handlePlaylistUpdate);
+    window.api.onResumePrompt(handleResumePrompt);
+    
+    // 获取初始播放列表
+    window.api.playlistGet().then(setPlaylist);
+    
+    // 监听已注册，主进程可以打开命令行传入的文件了
+    window.api.rendererReady();
+    
+    // 加载用户自定义快捷键
+    window.api.getKeymap().then(overrides => setBindings(resolveBindings(overrides)));
+    
+    // 均衡器状态（设置保存在主进程）
+    window.api.getEqualizer().then(eq => setEqEnabled(eq.enabled));
 
     // 鼠标移动时显示控制栏，3秒后自动隐藏
     const handleMove = () => {
@@ -510,6 +718,55 @@ function App() {
     }
   }, [activePopup]);
   
+  // INFO 打开时按需读取当前硬解方式（不在固定监听列表里）
+  useEffect(() => {
+    if (!showInfo) return;
+    window.api.getProperty('hwdec-current')
+      .then(val => setHwdecCurrent(val && val !== 'no' ? val : ''))
+      .catch(() => setHwdecCurrent(''));
+  }, [showInfo, videoCodec]);
+  
+  // 回到首页时刷新最近播放列表
+  useEffect(() => {
+    if (showHome) {
+      window.api.getRecentHistory(5).then(setRecentHistory);
+    }
+  }, [showHome]);
+  
+  // 同步快捷键表到 ref
+  useEffect(() => {
+    keyLookupRef.current = buildKeyLookup(bindings);
+  }, [bindings]);
+  
+  useEffect(() => {
+    modalOpenRef.current = showShortcuts || showSettings;
+  }, [showShortcuts, showSettings]);
+  
+  // 键盘快捷键
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // 快捷键面板 / 设置页打开时由它们自己处理按键
+      if (modalOpenRef.current) return;
+      
+      // 在输入框里打字时不触发（音量滑块除外）
+      const target = e.target;
+      if (target?.tagName === 'TEXTAREA' || target?.tagName === 'SELECT' ||
+          (target?.tagName === 'INPUT' && target.type !== 'range')) {
+        return;
+      }
+      
+      const key = eventToKey(e);
+      const handler = key && actionsRef.current[keyLookupRef.current[key]];
+      if (!handler) return;
+      
+      e.preventDefault();
+      handler();
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+  
   // 同步 isLoading 到 ref（用于事件处理器访问最新值）
   useEffect(() => {
     isLoadingRef.current = isLoading;
@@ -522,8 +779,16 @@ function App() {
   
   // 从文件名提取电影标题和年份（支持合集返回数组）
   // 策略：从文件名提取英文标题 + 年份
-  const extractTitlesFromFileName = (filePath) => {
-    const fileName = filePath.split(/[\\/]/).pop() || '';
+  // 剧集：季/集由主进程解析（episode.js），episodeLabel 形如 'S01E02' / 'E02'
+  const extractTitlesFromFileName = (filePath, episodeLabel = '') => {
+    const parts = filePath.split(/[\\/]/);
+    const fileName = parts.pop() || '';
+    const folderName = parts.pop() || '';
+    
+    // 从集数标签取出季和集
+    const epMatch = episodeLabel.match(/^(?:S(\d+))?E(\d+)$/);
+    const season = epMatch?.[1] ? parseInt(epMatch[1], 10) : null;
+    const episode = epMatch ? parseInt(epMatch[2], 10) : null;
     
     // 清理单个标题片段，提取英文标题和年份
     const cleanTitle = (segment) => {
@@ -535,6 +800,11 @@ function App() {
       let title = segment
         .replace(/\.[^.]+$/, '')  // 移除扩展名
         .replace(/\[(.*?)\]/g, '')  // 移除方括号内容
+        .replace(/S\d{1,2}[ ._-]?E\d{1,3}/gi, '')  // 移除 S01E02
+        .replace(/\b\d{1,2}x\d{2,3}\b/gi, '')  // 移除 1x02
+        .replace(/第\s*[0-9零〇一二两三四五六七八九十百]+\s*[集话話回期季]/g, '')  // 移除 第2集 / 第一季
+        .replace(/\b(Season|Episode|EP?)[ ._-]?\d{1,3}\b/gi, '')  // 移除 Season 1 / EP02
+        .replace(/\bS\d{1,2}\b/gi, '')  // 移除单独的 S01
         .replace(/@[\w]+/g, '')  // 移除@组名
         .replace(/\b(19\d{2}|20\d{2})\b/g, '')  // 移除年份
         .replace(/\d{4}p?/gi, '')  // 移除分辨率
@@ -571,18 +841,38 @@ function App() {
     
     // 普通单片
     const result = cleanTitle(fileName);
-    console.log('单片标题:', result.title, '年份:', result.year);
+    
+    // 剧集文件名可能只有集数（如 "第2集.mp4"），改用文件夹名作为剧名
+    if (!result.title && folderName) {
+      // 加一个假扩展名，避免文件夹名的最后一段（如 "Show.S01"）被当成扩展名去掉
+      const folderResult = cleanTitle(`${folderName}.dir`);
+      result.title = folderResult.title;
+      result.year = result.year || folderResult.year;
+    }
+    
+    if (episode !== null) {
+      result.season = season ?? 1;
+      result.episode = episode;
+      console.log('剧集标题:', result.title, `第 ${result.season} 季 第 ${episode} 集`);
+    } else {
+      console.log('单片标题:', result.title, '年份:', result.year);
+    }
     return [result];
   };
   
-  // 获取TMDB电影信息
+  // 获取TMDB电影信息（有集数时按剧集搜索）
   const fetchTMDBInfo = useCallback(async (titleInfo) => {
     if (!titleInfo.title) return;
     
+    // 剧集使用 TMDB 的 tv 接口，字段名与电影略有不同
+    const isTv = titleInfo.episode != null;
+    const kind = isTv ? 'tv' : 'movie';
+    const yearParam = isTv ? 'first_air_date_year' : 'year';
+    
     try {
       // 1. 搜索电影
       const searchRes = await fetch(
-        `https://api.themoviedb.org/3/search/movie?query=${encodeURIComponent(titleInfo.title)}&language=zh-CN&year=${titleInfo.year}`,
+        `https://api.themoviedb.org/3/search/${kind}?query=${encodeURIComponent(titleInfo.title)}&language=zh-CN&${yearParam}=${titleInfo.year}`,
         {
           headers: {
             'Authorization': `Bearer ${TMDB_BEARER_TOKEN}`,
@@ -608,8 +898,9 @@ function App() {
       let bestMatch = sortedResults[0];
       
       // 3. 获取详细信息（包含分级信息）
+      const ratingsField = isTv ? 'content_ratings' : 'release_dates';
       const detailRes = await fetch(
-        `https://api.themoviedb.org/3/movie/${bestMatch.id}?language=zh-CN&append_to_response=release_dates`,
+        `https://api.themoviedb.org/3/${kind}/${bestMatch.id}?language=zh-CN&append_to_response=${ratingsField}`,
         {
           headers: {
             'Authorization': `Bearer ${TMDB_BEARER_TOKEN}`,
@@ -621,7 +912,7 @@ function App() {
       
       // 4. 获取演职员信息（包含导演）
       const creditsRes = await fetch(
-        `https://api.themoviedb.org/3/movie/${bestMatch.id}/credits?language=zh-CN`,
+        `https://api.themoviedb.org/3/${kind}/${bestMatch.id}/credits?language=zh-CN`,
         {
           headers: {
             'Authorization': `Bearer ${TMDB_BEARER_TOKEN}`,
@@ -631,10 +922,12 @@ function App() {
       );
       const creditsData = await creditsRes.json();
       
-      // 5. 筛选导演
-      const directors = creditsData.crew
-        ?.filter(person => person.job === 'Director')
-        .map(person => person.name) || [];
+      // 5. 筛选导演（剧集使用主创）
+      const directors = isTv
+        ? detailData.created_by?.map(person => person.name) || []
+        : creditsData.crew
+          ?.filter(person => person.job === 'Director')
+          .map(person => person.name) || [];
       
       // 6. 筛选领衔主演
       const mainCast = creditsData.cast
@@ -643,7 +936,13 @@ function App() {
       
       // 7. 获取分级（优先中国、美国、其他）
       let certification = '';
-      const releaseDates = detailData.release_dates?.results || [];
+      const releaseDates = isTv
+        // 剧集分级格式为 { iso_3166_1, rating }，转换成与电影相同的结构
+        ? (detailData.content_ratings?.results || []).map(r => ({
+            iso_3166_1: r.iso_3166_1,
+            release_dates: [{ certification: r.rating }]
+          }))
+        : detailData.release_dates?.results || [];
       const cnRelease = releaseDates.find(r => r.iso_3166_1 === 'CN');
       const usRelease = releaseDates.find(r => r.iso_3166_1 === 'US');
       const anyRelease = releaseDates.find(r => r.release_dates?.[0]?.certification);
@@ -680,12 +979,12 @@ function App() {
         : null;
       
       const tmdbData = {
-        title: detailData.title || bestMatch.title,
-        originalTitle: detailData.original_title,
+        title: isTv ? (detailData.name || bestMatch.name) : (detailData.title || bestMatch.title),
+        originalTitle: isTv ? detailData.original_name : detailData.original_title,
         overview: (detailData.overview || '暂无简介').trimStart(),
-        releaseDate: detailData.release_date,
+        releaseDate: isTv ? detailData.first_air_date : detailData.release_date,
         rating: detailData.vote_average,
-        runtime: detailData.runtime,
+        runtime: isTv ? detailData.episode_run_time?.[0] : detailData.runtime,
         certification: certification,
         region: region,
         genres: genres,
@@ -695,9 +994,9 @@ function App() {
       };
       
       console.log('TMDB信息获取成功:', {
-        '标题': detailData.title,
-        '年份': detailData.release_date?.split('-')[0],
-        '时长': detailData.runtime,
+        '标题': tmdbData.title,
+        '年份': tmdbData.releaseDate?.split('-')[0],
+        '时长': tmdbData.runtime,
         '分级': certification,
         '地区': region,
         '类型': genres,
@@ -714,43 +1013,177 @@ function App() {
     }
   }, []);
   
-  /** 打开文件 */
+  /**
+   * 设置影片标题列表，并获取所有标题的 TMDB 信息
+   * 再次调用（如收到光盘卷标）时，之前还没返回的请求结果会被丢弃
+   * @param {Array} titles - [{ title, year, season?, episode? }]
+   */
+  const loadMovieTitles = useCallback((titles) => {
+    const requestId = ++titlesRequestRef.current;
+    setMovieTitles(titles);
+    setCurrentFileName(titles[0]?.title || '');
+    setTmdbInfo(null);
+    setTmdbCache({});  // 清空缓存
+    setCurrentMovieIndex(0);  // 重置索引
+    
+    // 请求所有标题的TMDB信息并缓存
+    titles.forEach((titleInfo, index) => {
+      fetchTMDBInfo(titleInfo).then(data => {
+        if (data && requestId === titlesRequestRef.current) {
+          const cacheKey = `${titleInfo.title}_${titleInfo.year || ''}`;
+          setTmdbCache(prev => ({ ...prev, [cacheKey]: data }));
+          // 第一个标题默认显示
+          if (index === 0) {
+            setTmdbInfo(data);
+          }
+        }
+      });
+    });
+  }, [fetchTMDBInfo]);
+  
+  /**
+   * 开始播放新文件前重置界面，并获取 TMDB 信息
+   * 打开文件、播放列表切换都会经过这里
+   * @param {Object} item - 即将播放的播放列表项 { path, episode }
+   */
+  const prepareForFile = useCallback((item) => {
+    setIsLoading(true);
+    setLoadingText('正在加载文件...');
+    setCurrentTitle(null);
+    setDiscTitles([]);
+    setPosition(0);
+    setDuration(0);
+    
+    // 重置进度 ref，因为打开文件是全新的播放
+    lastPositionRef.current = 0;
+    
+    // 解析文件名获取标题列表（支持合集、剧集）
+    loadMovieTitles(extractTitlesFromFileName(item.path, item.episode));
+  }, [loadMovieTitles]);
+  prepareForFileRef.current = prepareForFile;
+  
+  /**
+   * 收到 ISO 卷标后改用卷标搜索 TMDB（ISO 文件名常常不是片名，如 "disc1.iso"）
+   * 合集、剧集仍然按文件名；卷标里没有年份时沿用文件名中的年份
+   * @param {string} label - 整理过的卷标，如 'THE_DARK_KNIGHT'
+   */
+  const applyDiscLabel = useCallback((label) => {
+    // 加一个假扩展名，避免卷标中的点被当成扩展名去掉
+    const [fromLabel] = extractTitlesFromFileName(`${label}.disc`);
+    if (!fromLabel?.title) return;
+    if (movieTitles.length > 1 || movieTitles[0]?.episode != null) return;
+    
+    console.log('使用光盘卷标搜索:', fromLabel.title);
+    loadMovieTitles([{ ...fromLabel, year: fromLabel.year || movieTitles[0]?.year || null }]);
+  }, [movieTitles, loadMovieTitles]);
+  applyDiscLabelRef.current = applyDiscLabel;
+  
+  /** 打开文件（替换播放列表，界面重置由 playlist-update 触发） */
   const handleOpenFile = useCallback(async () => {
     const filePath = await window.api.openFile();
     if (filePath) {
-      setIsLoading(true);
-      setLoadingText('正在加载文件...');
-      setCurrentTitle(null);
-      setBlurayTitles([]);
-      setTmdbInfo(null);
-      setTmdbCache({});  // 清空缓存
-      setCurrentMovieIndex(0);  // 重置索引
-      
-      // 重置进度 ref，因为打开文件是全新的播放
-      lastPositionRef.current = 0;
-      
-      // 解析文件名获取标题列表（支持合集）
-      const titles = extractTitlesFromFileName(filePath);
-      setMovieTitles(titles);
-      setCurrentFileName(titles[0]?.title || '');
-      
-      // 请求所有标题的TMDB信息并缓存
-      titles.forEach((titleInfo, index) => {
-        fetchTMDBInfo(titleInfo).then(data => {
-          if (data) {
-            const cacheKey = `${titleInfo.title}_${titleInfo.year || ''}`;
-            setTmdbCache(prev => ({ ...prev, [cacheKey]: data }));
-            // 第一个标题默认显示
-            if (index === 0) {
-              setTmdbInfo(data);
-            }
-          }
-        });
-      });
-      
       window.api.play(filePath);
     }
-  }, [fetchTMDBInfo]);
+  }, []);
+  
+  /** 打开文件夹（蓝光 / DVD 文件夹作为光盘播放，其他作为一季剧集从第一个未看完的开始） */
+  const handleOpenFolder = useCallback(async () => {
+    const dir = await window.api.openFolder();
+    if (dir) {
+      const ok = await window.api.playFolder(dir);
+      if (!ok) console.log('文件夹中没有视频文件:', dir);
+    }
+  }, []);
+
+  // ==================== 拖放 ====================
+  
+  /** 拖入窗口：只响应文件 */
+  const handleDragEnter = useCallback((e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    dragDepthRef.current++;
+    setIsDragOver(true);
+  }, []);
+  
+  /** 拖动中：必须 preventDefault 才能触发 drop */
+  const handleDragOver = useCallback((e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }, []);
+  
+  /** 拖出窗口 */
+  const handleDragLeave = useCallback(() => {
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setIsDragOver(false);
+  }, []);
+  
+  /** 放下：交给主进程（文件夹作为剧集播放，多个文件替换播放列表） */
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragOver(false);
+    
+    // Electron 在 File 对象上提供了本地路径
+    const paths = Array.from(e.dataTransfer.files).map(f => f.path).filter(Boolean);
+    if (paths.length > 0) window.api.openPaths(paths);
+  }, []);
+
+  // ==================== 提示 / 截图 ====================
+  
+  /**
+   * 显示底部提示，默认 3 秒后自动消失
+   * @param {string} text - 提示文字
+   * @param {Object} [action] - 可选按钮 { actionLabel, onAction }，duration 为显示时长（毫秒，null 表示不自动消失）
+   */
+  const showToast = useCallback((text, { duration = 3000, ...action } = {}) => {
+    if (toastTimerRef.current) clearTimeout(toastTimerRef.current);
+    setToast({ text, ...action });
+    // duration 为 null 时不自动消失（需要用户操作的提示）
+    toastTimerRef.current = duration !== null ? setTimeout(() => setToast(null), duration) : null;
+  }, []);
+  
+  useEffect(() => () => clearTimeout(toastTimerRef.current), []);
+  
+  /** 截图（文件名使用 TMDB 标题，没有时用文件名） */
+  const takeScreenshot = useCallback(async () => {
+    const baseTitle = tmdbInfo?.title || currentFileName.replace(/\.[^.]+$/, '');
+    const title = currentEpisodeLabel ? `${baseTitle} ${currentEpisodeLabel}` : baseTitle;
+    
+    const { entry, error } = await window.api.takeScreenshot(title);
+    if (error) {
+      showToast(`截图失败：${error}`);
+      return;
+    }
+    setScreenshots(prev => [entry, ...prev]);
+    showToast(`已保存截图 ${entry.title}`, {
+      actionLabel: '查看',
+      onAction: () => {
+        setShowControls(true);
+        setActivePopup('gallery');
+      }
+    });
+  }, [tmdbInfo, currentFileName, currentEpisodeLabel, showToast]);
+
+  /**
+   * 调整音频 / 字幕延迟，并用提示显示结果
+   * @param {string} kind - 'audio' | 'sub'
+   * @param {string} action - 'add' | 'reset' | 'sub-step'
+   * @param {number} [value] - 'add' 时增加的秒数
+   */
+  const changeDelay = useCallback(async (kind, action, value) => {
+    const { delay, error } = await window.api.changeDelay(kind, action, value);
+    const label = kind === 'audio' ? '音频延迟' : '字幕延迟';
+    showToast(error ? `${label}：${error}` : `${label} ${formatDelay(delay)}`);
+  }, [showToast]);
+
+  /** 选择外挂字幕文件，加载到正在播放的视频 */
+  const addSubtitle = useCallback(async () => {
+    setActivePopup(null);
+    const result = await window.api.openSubtitle();
+    if (!result) return;
+    showToast(result.error ? `加载字幕失败：${result.error}` : `已加载 ${result.added} 个字幕`);
+  }, [showToast]);
 
   // ==================== 播放控制 ====================
   
@@ -774,13 +1207,118 @@ function App() {
     window.api.stop();
   }, []);
   
-  /** 点击进度条跳转 */
-  const handleSeek = useCallback((e) => {
-    const rect = e.currentTarget.getBoundingClientRect();
-    const percent = (e.clientX - rect.left) / rect.width;
-    window.api.cmd(['seek', percent * duration, 'absolute']);
+  /** 播放列表上一个 */
+  const playPrev = useCallback(() => {
+    window.api.playlistPrev();
+  }, []);
+  
+  /** 播放列表下一个 */
+  const playNext = useCallback(() => {
+    window.api.playlistNext();
+  }, []);
+  
+  /**
+   * 鼠标位置对应的进度条位置
+   * @param {number} clientX - 鼠标横坐标
+   * @returns {{ x: number, width: number, time: number }} x 为相对进度条左端的像素（限制在进度条内）
+   */
+  const getProgressPoint = useCallback((clientX) => {
+    const rect = progressBarRef.current.getBoundingClientRect();
+    const x = Math.min(Math.max(clientX - rect.left, 0), rect.width);
+    return { x, width: rect.width, time: rect.width > 0 ? (x / rect.width) * duration : 0 };
   }, [duration]);
 
+  /**
+   * 请求预览缩略图
+   * 同时只发一个请求，等待期间鼠标移动到的位置只保留最后一个
+   */
+  const requestThumbnail = useCallback((time) => {
+    const req = thumbRequestRef.current;
+    req.next = time;
+    if (req.pending) return;
+    req.pending = true;
+    const send = () => {
+      const t = req.next;
+      req.next = null;
+      window.api.getThumbnail(t).then(result => {
+        if (req.active) setHoverThumb(result);
+        if (req.next !== null) send();
+        else req.pending = false;
+      });
+    };
+    send();
+  }, []);
+
+  /** 显示某个位置的时间和预览缩略图 */
+  const showProgressPreview = useCallback((point) => {
+    thumbRequestRef.current.active = true;
+    setProgressHover(point);
+    requestThumbnail(point.time);
+  }, [requestThumbnail]);
+
+  /** 隐藏预览 */
+  const hideProgressPreview = useCallback(() => {
+    thumbRequestRef.current.active = false;
+    thumbRequestRef.current.next = null;
+    setProgressHover(null);
+    setHoverThumb(null);
+  }, []);
+
+  /** 鼠标在进度条上移动（拖动时由 window 上的监听处理） */
+  const handleProgressHover = useCallback((e) => {
+    if (!(duration > 0) || scrubTime !== null) return;
+    showProgressPreview(getProgressPoint(e.clientX));
+  }, [duration, scrubTime, getProgressPoint, showProgressPreview]);
+
+  /** 鼠标离开进度条（拖动时继续显示预览） */
+  const handleProgressLeave = useCallback(() => {
+    if (scrubTime === null) hideProgressPreview();
+  }, [scrubTime, hideProgressPreview]);
+
+  /** 按下进度条：开始拖动，松开时跳转（只按一下就是点击跳转） */
+  const handleScrubStart = useCallback((e) => {
+    if (e.button !== 0 || !(duration > 0)) return;
+    e.preventDefault();  // 拖动时不选中文字
+    const point = getProgressPoint(e.clientX);
+    setScrubTime(point.time);
+    showProgressPreview(point);
+  }, [duration, getProgressPoint, showProgressPreview]);
+
+  // 拖动进度条：鼠标移出进度条也继续跟随，松开时跳转
+  const isScrubbing = scrubTime !== null;
+  useEffect(() => {
+    if (!isScrubbing) return;
+
+    const handleMove = (e) => {
+      const point = getProgressPoint(e.clientX);
+      setScrubTime(point.time);
+      showProgressPreview(point);
+    };
+    const handleUp = (e) => {
+      const { time } = getProgressPoint(e.clientX);
+      window.api.cmd(['seek', time, 'absolute']);
+      // 等 MPV 报告新位置之前先显示跳转后的位置，进度条不会跳回去
+      setPosition(time);
+      setScrubTime(null);
+      if (!progressBarRef.current?.matches(':hover')) hideProgressPreview();
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [isScrubbing, getProgressPoint, showProgressPreview, hideProgressPreview]);
+
+  /** 预览位置所在的章节（没有章节标题时显示序号） */
+  const hoverChapterIndex = progressHover && chapters.length > 1
+    ? chapters.findLastIndex(c => c.time <= progressHover.time)
+    : -1;
+  const hoverChapter = hoverChapterIndex >= 0
+    ? chapters[hoverChapterIndex].title || `章节 ${hoverChapterIndex + 1}`
+    : null;
+
   /** 切换静音 */
   const toggleMute = useCallback(() => {
     window.api.cmd(['cycle', 'mute']);
@@ -815,6 +1353,16 @@ function App() {
     setActivePopup(null);  // 关闭弹出菜单
   }, [currentSub]);
 
+  /**
+   * 切换第二字幕（显示在画面上方，用于双语字幕）
+   * @param {number|null} id - 字幕 ID，null 表示关闭
+   */
+  const setSecondarySubTrack = useCallback((id) => {
+    setCurrentSecondarySub(id);
+    window.api.cmd(['set_property', 'secondary-sid', id ?? 'no']);
+    setActivePopup(null);  // 关闭弹出菜单
+  }, []);
+
   /** 跳转到章节 */
   const seekToChapter = useCallback((time) => {
     setLoadingText('正在跳转章节...');
@@ -851,8 +1399,8 @@ function App() {
     console.log('切换到电影:', newMovie.title, '索引:', newIndex);
   }, [movieTitles, currentMovieIndex, tmdbCache, fetchTMDBInfo]);
 
-  /** 切换蓝光标题 */
-  const switchTitle = useCallback((edition) => {
+  /** 切换光盘标题（蓝光 / DVD） */
+  const switchTitle = useCallback((id) => {
     setLoadingText('正在切换标题...');
     setIsLoading(true);
     setPosition(0);
@@ -860,14 +1408,27 @@ function App() {
     setAudioTracks([]);
     setSubTracks([]);
     setChapters([]);
-    setCurrentTitle(edition);
+    setCacheRanges([]);
+    setCurrentTitle(id);
     
     // 重置进度 ref，因为切换标题是全新的播放
     lastPositionRef.current = 0;
     
-    window.api.switchTitle(edition);
+    // 切换失败（如 MPV 已关闭）时不会有新的播放进度，需要手动关闭加载提示
+    window.api.switchTitle(id).then(ok => {
+      if (!ok) setIsLoading(false);
+    });
     setActivePopup(null);  // 关闭弹出菜单
   }, []);
+  
+  /** 当前标题的角度数（不是多角度时为 1） */
+  const currentAngles = discTitles.find(t => t.id === currentTitle)?.angles || 1;
+  
+  /** 切换角度（多角度光盘） */
+  const selectAngle = useCallback((n) => {
+    window.api.cmd(['set_property', 'angle', n]);
+    setActivePopup(null);
+  }, []);
 
   // ==================== 工具函数 ====================
   
@@ -885,9 +1446,66 @@ function App() {
     return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${sec.toString().padStart(2, '0')}`;
   }, []);
 
+  /**
+   * 回答"继续播放"提示
+   * @param {boolean} resume - true 从上次位置继续，false 从头播放
+   */
+  const answerResume = useCallback((resume) => {
+    setResumePrompt(null);
+    window.api.resumePlayback(resume);
+  }, []);
+  
+  /** 从首页的最近播放记录中删除 */
+  const removeRecent = useCallback((e, filePath) => {
+    e.stopPropagation();
+    window.api.removeHistory(filePath);
+    setRecentHistory(prev => prev.filter(item => item.path !== filePath));
+  }, []);
+
   /** 阻止右键菜单 */
   const handleRightClick = useCallback((e) => e.preventDefault(), []);
 
+  // ==================== 播放速度 / A-B 循环 ====================
+  
+  /**
+   * 切换播放速度
+   * @param {number} value - 倍速
+   */
+  const changeSpeed = useCallback((value) => {
+    window.api.cmd(['set_property', 'speed', value]);
+    showToast(`播放速度 ${formatSpeed(value)}`);
+  }, [showToast]);
+  
+  /**
+   * 设置 A-B 循环点：依次设置 A 点、B 点，都已设置时取消循环
+   * （B 点在 A 点之前时交换两个点）
+   * @param {number} time - 位置（秒）
+   */
+  const setLoopPoint = useCallback((time) => {
+    if (abLoop.a === null) {
+      window.api.cmd(['set_property', 'ab-loop-a', time]);
+      showToast(`A 点 ${formatTime(time)}，再设置一次 B 点开始循环`);
+    } else if (abLoop.b === null) {
+      const [a, b] = time > abLoop.a ? [abLoop.a, time] : [time, abLoop.a];
+      window.api.cmd(['set_property', 'ab-loop-a', a]);
+      window.api.cmd(['set_property', 'ab-loop-b', b]);
+      showToast(`A-B 循环 ${formatTime(a)} - ${formatTime(b)}`);
+    } else {
+      window.api.cmd(['set_property', 'ab-loop-a', 'no']);
+      window.api.cmd(['set_property', 'ab-loop-b', 'no']);
+      showToast('已取消 A-B 循环');
+    }
+  }, [abLoop, formatTime, showToast]);
+  
+  /** 右键点击进度条：在点击位置设置 A-B 循环点 */
+  const handleProgressContextMenu = useCallback((e) => {
+    e.preventDefault();
+    if (!duration) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const percent = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    setLoopPoint(percent * duration);
+  }, [duration, setLoopPoint]);
+
   // ==================== 子组件 ====================
   
   // 获取当前音轨详情 (格式: TrueHD 7.1 - 中文)
@@ -910,10 +1528,10 @@ function App() {
 
   /**
    * 切换弹出菜单
-   * @param {string} type - 菜单类型: 'audio' | 'sub' | 'chapter' | 'title' | 'info'
+   * @param {string} type - 菜单类型: 'audio' | 'sub' | 'chapter' | 'title' | 'quality' | 'sync' | 'speed' | 'gallery' | 'substyle' | 'equalizer' | 'playlist' | 'info'
    * 
    * INFO 是独立的，不受其他菜单影响
-   * 其他菜单（音频、字幕、章节、标题）互斥
+   * 其他菜单（音频、字幕、章节、标题、画质方案、同步、倍速、截图库、字幕样式、均衡器、播放列表）互斥
    */
   const togglePopup = useCallback((type) => {
     // INFO 是独立的，不受其他菜单影响
@@ -922,7 +1540,7 @@ function App() {
       return;
     }
     
-    // 其他菜单（音频、字幕、章节、标题）互斥
+    // 其他菜单（音频、字幕、章节、标题、画质方案、同步、倍速、截图库、字幕样式、均衡器、播放列表）互斥
     if (activePopup === type) {
       setActivePopup(null);
       return;
@@ -934,11 +1552,14 @@ function App() {
     else if (type === 'sub') buttonRef = subButtonRef;
     else if (type === 'chapter') buttonRef = chapterButtonRef;
     else if (type === 'title') buttonRef = titleButtonRef;
+    else if (type === 'quality') buttonRef = qualityButtonRef;
+    else if (type === 'sync') buttonRef = syncButtonRef;
+    else if (type === 'speed') buttonRef = speedButtonRef;
     
     if (buttonRef?.current) {
       const rect = buttonRef.current.getBoundingClientRect();
       const buttonCenter = rect.left + rect.width / 2;
-      const menuWidth = 135;  // 更新菜单宽度
+      const menuWidth = ['quality', 'sync', 'sub', 'title'].includes(type) ? 180 : 135;  // 菜单宽度（画质方案、同步、字幕、标题菜单较宽，见 .popup-menu.wide）
       const rightPosition = window.innerWidth - buttonCenter - menuWidth / 2;
       setPopupPosition({ 
         right: `${rightPosition}px`, 
@@ -952,13 +1573,94 @@ function App() {
     setActivePopup(type);
   }, [activePopup, showInfo]);
 
+  // ==================== 快捷键 ====================
+  
+  /**
+   * 通过快捷键打开弹出菜单
+   * 控制栏隐藏时菜单会被立即关闭，所以先显示控制栏
+   */
+  const togglePopupByKey = (type) => {
+    setShowControls(true);
+    togglePopup(type);
+  };
+  
+  /** 保存自定义快捷键 */
+  const saveBindings = useCallback((newBindings) => {
+    setBindings(newBindings);
+    setShowShortcuts(false);
+    window.api.saveKeymap(diffFromDefaults(newBindings));
+  }, []);
+  
+  /** 关闭快捷键面板 */
+  const closeShortcuts = useCallback(() => setShowShortcuts(false), []);
+  
+  /** 关闭设置页 */
+  const closeSettings = useCallback(() => setShowSettings(false), []);
+  
+  // 每次渲染更新快捷键对应的处理函数（首页只响应打开文件和帮助）
+  actionsRef.current = showHome ? {
+    openFile: handleOpenFile,
+    showShortcuts: () => setShowShortcuts(true),
+    openSettings: () => setShowSettings(true)
+  } : {
+    togglePlay,
+    seekBack,
+    seekForward,
+    stop,
+    chapterPrev: () => window.api.cmd(['add', 'chapter', -1]),
+    chapterNext: () => window.api.cmd(['add', 'chapter', 1]),
+    playlistPrev: playPrev,
+    playlistNext: playNext,
+    volumeUp: () => window.api.cmd(['set_property', 'volume', Math.min(100, volume + 5)]),
+    volumeDown: () => window.api.cmd(['set_property', 'volume', Math.max(0, volume - 5)]),
+    toggleMute,
+    cycleAudio: () => window.api.cmd(['cycle', 'audio']),
+    cycleSub: () => window.api.cmd(['cycle', 'sub']),
+    fullscreen: () => window.api.fullscreen(),
+    exitFullscreen: async () => {
+      if (await window.api.isFullscreen()) window.api.fullscreen();
+    },
+    openFile: handleOpenFile,
+    popupAudio: () => togglePopupByKey('audio'),
+    popupSub: () => togglePopupByKey('sub'),
+    popupChapter: () => togglePopupByKey('chapter'),
+    popupTitle: () => togglePopupByKey('title'),
+    popupPlaylist: () => togglePopupByKey('playlist'),
+    popupQuality: () => togglePopupByKey('quality'),
+    popupSubStyle: () => togglePopupByKey('substyle'),
+    popupEqualizer: () => togglePopupByKey('equalizer'),
+    subDelayDown: () => changeDelay('sub', 'add', -0.05),
+    subDelayUp: () => changeDelay('sub', 'add', 0.05),
+    subSyncNow: () => changeDelay('sub', 'sub-step'),
+    audioDelayDown: () => changeDelay('audio', 'add', -0.05),
+    audioDelayUp: () => changeDelay('audio', 'add', 0.05),
+    popupSync: () => togglePopupByKey('sync'),
+    speedDown: () => changeSpeed(stepSpeed(speed, -1)),
+    speedUp: () => changeSpeed(stepSpeed(speed, 1)),
+    speedReset: () => changeSpeed(1),
+    abLoop: () => setLoopPoint(position),
+    screenshot: takeScreenshot,
+    popupGallery: () => togglePopupByKey('gallery'),
+    toggleInfo: () => togglePopup('info'),
+    showShortcuts: () => setShowShortcuts(true),
+    openSettings: () => setShowSettings(true)
+  };
+
   // ==================== 渲染 ====================
   
   return (
-    <div className="app-container">
+    <div
+      className="app-container"
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       {/* ========== 标题栏 ========== */}
       {/* 自定义标题栏，包含最小化、最大化、关闭按钮 */}
       <div className="title-bar">
+        <button onClick={() => setShowSettings(true)} title="设置"><Settings size={16} /></button>
+        <button onClick={() => setShowShortcuts(true)} title="快捷键"><Keyboard size={16} /></button>
         <button onClick={() => window.api.minimize()}><Minus size={16} /></button>
         <button onClick={() => window.api.maximize()}><Maximize size={16} /></button>
         <button onClick={() => window.api.close()}><X size={16} /></button>
@@ -974,7 +1676,37 @@ function App() {
             <button onClick={handleOpenFile}>
               <FolderOpen size={20} /> 打开文件
             </button>
+            <button className="secondary" onClick={handleOpenFolder}>
+              <Folders size={20} /> 打开文件夹
+            </button>
           </div>
+          {/* 最近播放（继续观看） */}
+          {recentHistory.length > 0 && (
+            <div className="welcome-recent">
+              <div className="welcome-recent-title">继续观看</div>
+              {recentHistory.map(item => (
+                <div
+                  key={item.path}
+                  className="welcome-recent-item"
+                  title={item.path}
+                  onClick={() => window.api.play(item.path)}
+                >
+                  <span className="welcome-recent-name">{item.title}</span>
+                  <span className="welcome-recent-time">
+                    {item.watched && !item.position
+                      ? '已看完'
+                      : `${formatTime(item.position)} / ${formatTime(item.duration)}`}
+                  </span>
+                  <button className="welcome-recent-remove" onClick={(e) => removeRecent(e, item.path)}>
+                    <X size={12} />
+                  </button>
+                  <div className="welcome-recent-progress">
+                    <div style={{ width: `${item.duration ? (item.position / item.duration) * 100 : 0}%` }} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
           <div className="welcome-features">
             <div className="welcome-feature">
               <Info size={16} /> 支持蓝光原盘
@@ -1019,6 +1751,57 @@ function App() {
         </div>
       )}
 
+      {/* ========== 播放错误 ========== */}
+      {playbackError && (
+        <ErrorDialog error={playbackError} onClose={() => setPlaybackError(null)} />
+      )}
+
+      {/* ========== 底部提示 ========== */}
+      {toast && (
+        <div className="toast">
+          <span>{toast.text}</span>
+          {toast.onAction && (
+            <button onClick={() => { toast.onAction(); setToast(null); }}>{toast.actionLabel}</button>
+          )}
+        </div>
+      )}
+      
+      {/* ========== 拖放提示 ========== */}
+      {isDragOver && (
+        <div className="drop-hint">
+          <FolderOpen size={40} />
+          <span>松开以播放（文件夹作为剧集打开）</span>
+        </div>
+      )}
+      
+      {/* ========== 快捷键帮助 ========== */}
+      {showShortcuts && (
+        <ShortcutsOverlay bindings={bindings} onSave={saveBindings} onClose={closeShortcuts} />
+      )}
+      
+      {/* ========== 设置 ========== */}
+      {showSettings && <SettingsPanel onClose={closeSettings} />}
+      
+      {/* ========== 继续播放提示 ========== */}
+      {resumePrompt && (
+        <div className="confirm-overlay">
+          <div className="confirm-dialog">
+            <div className="confirm-title">继续播放</div>
+            <div className="confirm-message">
+              上次播放到 {formatTime(resumePrompt.position)}，是否继续？
+            </div>
+            <div className="confirm-buttons">
+              <button className="confirm-btn cancel" onClick={() => answerResume(false)}>
+                从头播放
+              </button>
+              <button className="confirm-btn confirm" onClick={() => answerResume(true)}>
+                继续播放
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* ========== 弹出菜单 ========== */}
       {/* 音频弹出菜单 */}
       {activePopup === 'audio' && audioTracks.length > 0 && (
@@ -1044,25 +1827,64 @@ function App() {
       )}
       
       {/* 字幕弹出菜单 */}
-      {activePopup === 'sub' && subTracks.length > 0 && (
+      {activePopup === 'sub' && (
         <div 
-          className={`popup-menu ${activePopup === 'sub' ? 'visible' : ''}`}
+          className={`popup-menu wide ${activePopup === 'sub' ? 'visible' : ''}`}
           style={popupPosition}
         >
           {subTracks.map((sub, i) => (
             <div 
               key={i} 
               className={`popup-menu-item ${sub.id === currentSub ? 'active' : ''}`}
+              title={sub.title}
               onClick={() => setSubTrack(sub.id)}
             >
               <span className="popup-menu-item-left">
                 {sub.type || '字幕'}
+                {sub.external && <span className="track-tag">外挂</span>}
               </span>
               <span className="popup-menu-item-right">
                 {sub.lang || '未知'}
               </span>
             </div>
           ))}
+          
+          {/* 第二字幕：可以选择主字幕以外的任意一条 */}
+          {subTracks.length > 1 && (
+            <>
+              <div className="popup-menu-section">第二字幕</div>
+              <div
+                className={`popup-menu-item ${currentSecondarySub === null ? 'active' : ''}`}
+                onClick={() => setSecondarySubTrack(null)}
+              >
+                <span className="popup-menu-item-left">关闭</span>
+              </div>
+              {subTracks.filter(sub => sub.id !== currentSub).map(sub => (
+                <div 
+                  key={sub.id} 
+                  className={`popup-menu-item ${sub.id === currentSecondarySub ? 'active' : ''}`}
+                  title={sub.title}
+                  onClick={() => setSecondarySubTrack(sub.id)}
+                >
+                  <span className="popup-menu-item-left">
+                    {sub.type || '字幕'}
+                    {sub.external && <span className="track-tag">外挂</span>}
+                  </span>
+                  <span className="popup-menu-item-right">
+                    {sub.lang || '未知'}
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
+          
+          <div className="popup-menu-section" />
+          <div className="popup-menu-item" onClick={addSubtitle}>
+            <span className="popup-menu-item-left">添加字幕文件...</span>
+          </div>
+          <div className="popup-menu-item" onClick={() => setActivePopup('substyle')}>
+            <span className="popup-menu-item-left">字幕样式...</span>
+          </div>
         </div>
       )}
       
@@ -1090,28 +1912,92 @@ function App() {
       )}
       
       {/* 标题弹出菜单 */}
-      {activePopup === 'title' && blurayTitles.length > 0 && (
+      {activePopup === 'title' && discTitles.length > 0 && (
         <div 
-          className={`popup-menu ${activePopup === 'title' ? 'visible' : ''}`}
+          className={`popup-menu wide ${activePopup === 'title' ? 'visible' : ''}`}
           style={popupPosition}
         >
-          {blurayTitles.map((title, i) => (
+          {discTitles.map((title) => (
             <div 
-              key={i} 
-              className={`popup-menu-item ${title.edition === currentTitle ? 'active' : ''}`}
-              onClick={() => switchTitle(title.edition)}
+              key={title.id} 
+              className={`popup-menu-item ${title.id === currentTitle ? 'active' : ''}`}
+              onClick={() => switchTitle(title.id)}
+              title={title.playlist}
             >
               <span className="popup-menu-item-left">
                 标题 {title.displayIndex}{title.isMain ? ' ★' : ''}
+                {formatTitleDetail(title) && <span className="title-detail">{formatTitleDetail(title)}</span>}
               </span>
               <span className="popup-menu-item-right">
                 {formatTime(title.durationSeconds || 0)}
               </span>
             </div>
           ))}
+          
+          {/* 多角度标题：选择角度 */}
+          {currentAngles > 1 && (
+            <>
+              <div className="popup-menu-section">角度</div>
+              {Array.from({ length: currentAngles }, (_, i) => i + 1).map(n => (
+                <div 
+                  key={n}
+                  className={`popup-menu-item ${n === angle ? 'active' : ''}`}
+                  onClick={() => selectAngle(n)}
+                >
+                  <span className="popup-menu-item-left">角度 {n}</span>
+                </div>
+              ))}
+            </>
+          )}
         </div>
       )}
       
+      {/* 画质方案弹出菜单 */}
+      {activePopup === 'quality' && (
+        <QualityMenu style={popupPosition} />
+      )}
+      
+      {/* 音画 / 字幕同步菜单 */}
+      {activePopup === 'sync' && (
+        <SyncMenu
+          style={popupPosition}
+          audioDelay={audioDelay}
+          subDelay={subDelay}
+          hasSub={currentSub !== null}
+          onChange={changeDelay}
+        />
+      )}
+      
+      {/* 播放速度菜单 */}
+      {activePopup === 'speed' && (
+        <SpeedMenu
+          style={popupPosition}
+          speed={speed}
+          onChange={(value) => {
+            changeSpeed(value);
+            setActivePopup(null);
+          }}
+        />
+      )}
+      
+      {/* 字幕样式面板（右侧） */}
+      {activePopup === 'substyle' && <SubtitleStylePanel />}
+      
+      {/* 均衡器面板（右侧） */}
+      {activePopup === 'equalizer' && (
+        <EqualizerPanel onChange={(eq) => setEqEnabled(eq.enabled)} />
+      )}
+      
+      {/* 截图库（右侧） */}
+      {activePopup === 'gallery' && (
+        <ScreenshotGallery screenshots={screenshots} onChange={setScreenshots} formatTime={formatTime} />
+      )}
+      
+      {/* 播放列表面板（右侧） */}
+      {activePopup === 'playlist' && (
+        <PlaylistPanel playlist={playlist} />
+      )}
+      
       {/* INFO 弹出菜单 - Netflix/Apple TV 沉浸式风格 */}
       {showInfo && (
         <div 
@@ -1218,6 +2104,11 @@ function App() {
                   letterSpacing: '0.5px'
                 }}>
                   {tmdbInfo?.title || currentFileName || '未知影片'}
+                  {currentEpisodeLabel && (
+                    <span style={{ fontSize: '14px', fontWeight: '500', marginLeft: '8px' }}>
+                      {currentEpisodeLabel}
+                    </span>
+                  )}
                 </div>
                 
                 {/* 第二层：评分 + 分级 + 合集切换（胶囊风格） */}
@@ -1356,6 +2247,19 @@ function App() {
                       HDR
                     </span>
                   )}
+                  {/* 硬解标签 - 灰色 */}
+                  {hwdecCurrent && (
+                    <span style={{
+                      padding: '3px 10px',
+                      background: 'rgba(255, 255, 255, 0.08)',
+                      border: '1px solid rgba(255, 255, 255, 0.25)',
+                      borderRadius: '4px',
+                      fontSize: '10px',
+                      color: '#aaa'
+                    }}>
+                      {hwdecCurrent.toUpperCase()}
+                    </span>
+                  )}
                   {/* 码率标签 - 青色 */}
                   <span style={{
                     padding: '3px 10px',
@@ -1367,6 +2271,19 @@ function App() {
                   }}>
                     {videoBitrate > 0 ? `${(videoBitrate / 1000).toFixed(1)} Mbps` : '...'}
                   </span>
+                  {/* 延迟标签 - 橙色（只在有延迟时显示） */}
+                  {[['音频', audioDelay], ['字幕', subDelay]].filter(([, d]) => d).map(([label, d]) => (
+                    <span key={label} style={{
+                      padding: '3px 10px',
+                      background: 'rgba(230, 126, 34, 0.15)',
+                      border: '1px solid rgba(230, 126, 34, 0.4)',
+                      borderRadius: '4px',
+                      fontSize: '10px',
+                      color: '#e67e22'
+                    }}>
+                      {label} {formatDelay(d)}
+                    </span>
+                  ))}
                 </div>
                 
                 {/* 第四层：演职员 */}
@@ -1452,11 +2369,67 @@ function App() {
           onContextMenu={handleRightClick}
         >
           {/* 进度条 */}
-          <div className="progress-bar" onClick={handleSeek}>
+          {/* 右键设置 A-B 循环点 */}
+          <div
+            ref={progressBarRef}
+            className={`progress-bar ${isScrubbing ? 'scrubbing' : ''}`}
+            onMouseDown={handleScrubStart}
+            onMouseMove={handleProgressHover}
+            onMouseLeave={handleProgressLeave}
+            onContextMenu={handleProgressContextMenu}
+            title={abLoop.a === null ? '右键设置 A-B 循环' : undefined}
+          >
+            {/* 已缓存的范围 */}
+            {duration > 0 && cacheRanges.map((range, i) => (
+              <div
+                key={i}
+                className="progress-cache"
+                style={{
+                  left: `${(Math.max(range.start, 0) / duration) * 100}%`,
+                  width: `${((Math.min(range.end, duration) - Math.max(range.start, 0)) / duration) * 100}%`
+                }}
+              />
+            ))}
+            {/* 拖动时显示指向的位置 */}
             <div 
               className="progress-fill" 
-              style={{ width: `${duration > 0 ? (position / duration) * 100 : 0}%` }} 
+              style={{ width: `${duration > 0 ? ((scrubTime ?? position) / duration) * 100 : 0}%` }} 
             />
+            {/* 章节分隔 */}
+            {duration > 0 && chapters.filter(c => c.time > 0 && c.time < duration).map(c => (
+              <div key={c.id} className="chapter-tick" style={{ left: `${(c.time / duration) * 100}%` }} />
+            ))}
+            {/* A-B 循环标记 */}
+            {duration > 0 && abLoop.a !== null && abLoop.b !== null && (
+              <div
+                className="ab-loop-range"
+                style={{
+                  left: `${(abLoop.a / duration) * 100}%`,
+                  width: `${((abLoop.b - abLoop.a) / duration) * 100}%`
+                }}
+              />
+            )}
+            {duration > 0 && ['a', 'b'].filter(key => abLoop[key] !== null).map(key => (
+              <div
+                key={key}
+                className="ab-loop-marker"
+                style={{ left: `${(abLoop[key] / duration) * 100}%` }}
+                data-label={key.toUpperCase()}
+              />
+            ))}
+            {/* 悬停预览：缩略图 + 时间（靠近两端时不超出进度条） */}
+            {progressHover && (
+              <div
+                className="progress-preview"
+                style={{
+                  left: Math.min(Math.max(progressHover.x, PREVIEW_HALF_WIDTH), progressHover.width - PREVIEW_HALF_WIDTH)
+                }}
+              >
+                {hoverThumb?.image && <img src={hoverThumb.image} alt="" />}
+                {hoverChapter && <span className="progress-preview-chapter">{hoverChapter}</span>}
+                <span>{formatTime(progressHover.time)}</span>
+              </div>
+            )}
           </div>
           
           <div className="controls-row">
@@ -1474,9 +2447,29 @@ function App() {
               <button className="icon-btn" onClick={stop}>
                 <Square size={18} />
               </button>
+              {/* 播放列表上一个/下一个（列表有多项时显示） */}
+              {playlist.items.length > 1 && (
+                <>
+                  <button className="icon-btn" onClick={playPrev} title="上一个">
+                    <StepBack size={18} />
+                  </button>
+                  <button className="icon-btn" onClick={playNext} title="下一个">
+                    <StepForward size={18} />
+                  </button>
+                </>
+              )}
               <span className="time">
-                {formatTime(position)} / {formatTime(duration)}
+                {formatTime(scrubTime ?? position)} / {formatTime(duration)}
               </span>
+              {/* 播放速度（不是 1x 时高亮） */}
+              <button 
+                ref={speedButtonRef}
+                className={`speed-btn ${activePopup === 'speed' || speed !== 1 ? 'active' : ''}`}
+                onClick={() => togglePopup('speed')}
+                title="播放速度"
+              >
+                {formatSpeed(speed)}
+              </button>
             </div>
             
             {/* 右侧：音量、菜单、信息 */}
@@ -1507,16 +2500,14 @@ function App() {
                 </button>
               )}
               
-              {/* 字幕按钮 */}
-              {subTracks.length > 0 && (
-                <button 
-                  ref={subButtonRef}
-                  className={`icon-btn ${activePopup === 'sub' ? 'active' : ''}`}
-                  onClick={() => togglePopup('sub')}
-                >
-                  <Subtitles size={20} />
-                </button>
-              )}
+              {/* 字幕按钮（没有字幕时也显示，用于添加外挂字幕） */}
+              <button 
+                ref={subButtonRef}
+                className={`icon-btn ${activePopup === 'sub' ? 'active' : ''}`}
+                onClick={() => togglePopup('sub')}
+              >
+                <Subtitles size={20} />
+              </button>
               
               {/* 章节按钮 */}
               {chapters.length > 0 && (
@@ -1530,7 +2521,7 @@ function App() {
               )}
               
               {/* 标题按钮 */}
-              {blurayTitles.length > 0 && (
+              {discTitles.length > 0 && (
                 <button 
                   ref={titleButtonRef}
                   className={`icon-btn ${activePopup === 'title' ? 'active' : ''}`}
@@ -1540,6 +2531,59 @@ function App() {
                 </button>
               )}
               
+              {/* 同步按钮（有延迟时高亮） */}
+              <button 
+                ref={syncButtonRef}
+                className={`icon-btn ${activePopup === 'sync' || audioDelay || subDelay ? 'active' : ''}`}
+                onClick={() => togglePopup('sync')}
+                title="音画同步"
+              >
+                <Timer size={20} />
+              </button>
+              
+              {/* 截图按钮 */}
+              <button className="icon-btn" onClick={takeScreenshot} title="截图">
+                <Camera size={20} />
+              </button>
+              
+              {/* 截图库按钮（本次有截图时显示） */}
+              {screenshots.length > 0 && (
+                <button 
+                  className={`icon-btn ${activePopup === 'gallery' ? 'active' : ''}`}
+                  onClick={() => togglePopup('gallery')}
+                  title="本次截图"
+                >
+                  <Images size={20} />
+                </button>
+              )}
+              
+              {/* 均衡器按钮（启用时高亮） */}
+              <button 
+                className={`icon-btn ${activePopup === 'equalizer' || eqEnabled ? 'active' : ''}`}
+                onClick={() => togglePopup('equalizer')}
+                title="均衡器"
+              >
+                <SlidersHorizontal size={20} />
+              </button>
+              
+              {/* 画质方案按钮 */}
+              <button 
+                ref={qualityButtonRef}
+                className={`icon-btn ${activePopup === 'quality' ? 'active' : ''}`}
+                onClick={() => togglePopup('quality')}
+                title="画质方案"
+              >
+                <Gauge size={20} />
+              </button>
+              
+              {/* 播放列表按钮 */}
+              <button 
+                className={`icon-btn ${activePopup === 'playlist' ? 'active' : ''}`}
+                onClick={() => togglePopup('playlist')}
+              >
+                <ListVideo size={20} />
+              </button>
+              
               {/* 信息按钮 */}
               <button 
                 className={`icon-btn ${showInfo ? 'active' : ''}`}
@@ -0,0 +1,172 @@
+/**
+ * S-Player - 音频均衡器面板
+ *
+ * 显示在右侧：
+ * - 启用开关（关闭为旁通，不改变增益）
+ * - 预设（平直 / 电影 / 人声 / 低音增强 + 自定义），当前增益和任何预设都不一致时显示"自定义"
+ * - 10 段增益滑块，拖动时实时生效
+ *
+ * 增益保存在主进程（electron/equalizer.js），通过 MPV 的 @eq 音频滤镜应用
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { SlidersHorizontal, Plus, Trash2 } from 'lucide-react';
+
+/** 拖动滑块时合并修改的间隔（毫秒），避免频繁重建音频滤镜 */
+const APPLY_DELAY = 150;
+
+/**
+ * 频率标签
+ * @param {number} freq - Hz
+ * @returns {string} 如 '62'、'1k'、'16k'
+ */
+const formatFreq = (freq) => (freq >= 1000 ? `${freq / 1000}k` : String(freq));
+
+/**
+ * 均衡器面板
+ * @param {Object} props
+ * @param {Function} props.onChange - 状态变化（用于控制栏按钮高亮）
+ */
+function EqualizerPanel({ onChange }) {
+  const [state, setState] = useState(null);  // { bands, minGain, maxGain, enabled, gains, presets, activeId }
+  const [saving, setSaving] = useState(false);  // 是否正在输入新预设名称
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const applyTimerRef = useRef(null);
+
+  useEffect(() => {
+    window.api.getEqualizer().then(setState);
+    return () => clearTimeout(applyTimerRef.current);
+  }, []);
+
+  /** 更新状态并通知父组件 */
+  const update = (next) => {
+    setState(next);
+    onChange(next);
+  };
+
+  /** 启用 / 旁通 */
+  const toggleEnabled = async () => {
+    update(await window.api.setEqualizer({ enabled: !state.enabled }));
+  };
+
+  /** 应用预设 */
+  const applyPreset = async (id) => {
+    update(await window.api.applyEqPreset(id));
+  };
+
+  /** 拖动某一段的滑块：界面立即更新，稍后再应用到 MPV */
+  const changeGain = (index, value) => {
+    const gains = state.gains.map((g, i) => (i === index ? value : g));
+    setState(prev => ({ ...prev, gains, activeId: undefined }));
+    clearTimeout(applyTimerRef.current);
+    applyTimerRef.current = setTimeout(async () => {
+      update(await window.api.setEqualizer({ gains, enabled: true }));
+    }, APPLY_DELAY);
+  };
+
+  /** 保存当前增益为新预设 */
+  const save = async () => {
+    const result = await window.api.saveEqPreset(name);
+    setState(result);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setSaving(false);
+    setName('');
+    setError('');
+  };
+
+  /** 删除自定义预设 */
+  const remove = async (e, id) => {
+    e.stopPropagation();
+    setState(await window.api.removeEqPreset(id));
+  };
+
+  if (!state) return null;
+
+  return (
+    <div className="side-panel visible">
+      <div className="side-panel-header">
+        <span className="side-panel-title">
+          <SlidersHorizontal size={14} />
+          <span className="side-panel-title-text">均衡器</span>
+        </span>
+        <div className="side-panel-actions">
+          <label className="eq-toggle" title="关闭时旁通，不处理音频">
+            <input type="checkbox" checked={state.enabled} onChange={toggleEnabled} />
+            启用
+          </label>
+        </div>
+      </div>
+
+      {/* 预设 */}
+      <div className="eq-presets">
+        {state.presets.map(preset => (
+          <button
+            key={preset.id}
+            className={preset.id === state.activeId ? 'active' : ''}
+            onClick={() => applyPreset(preset.id)}
+          >
+            {preset.name}
+            {!preset.builtin && (
+              <Trash2 size={10} className="eq-preset-remove" onClick={(e) => remove(e, preset.id)} />
+            )}
+          </button>
+        ))}
+        {state.activeId === null && <button className="active" disabled>自定义</button>}
+      </div>
+
+      {/* 增益滑块 */}
+      <div className={`eq-bands ${state.enabled ? '' : 'bypassed'}`}>
+        {state.bands.map((freq, i) => (
+          <div key={freq} className="eq-band">
+            <span className="eq-gain">{state.gains[i] > 0 ? `+${state.gains[i]}` : state.gains[i]}</span>
+            <div className="eq-slider">
+              <input
+                type="range"
+                min={state.minGain}
+                max={state.maxGain}
+                step={1}
+                value={state.gains[i]}
+                onChange={(e) => changeGain(i, Number(e.target.value))}
+                onDoubleClick={() => changeGain(i, 0)}
+              />
+            </div>
+            <span className="eq-freq">{formatFreq(freq)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="side-panel-list">
+        {saving ? (
+          <div className="quality-save">
+            <input
+              autoFocus
+              value={name}
+              placeholder="预设名称"
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') save();
+                if (e.key === 'Escape') setSaving(false);
+              }}
+            />
+            {error && <div className="quality-save-error">{error}</div>}
+          </div>
+        ) : (
+          <div className="popup-menu-item" onClick={() => setSaving(true)}>
+            <span className="popup-menu-item-left">
+              <Plus size={12} /> 保存当前增益为预设
+            </span>
+          </div>
+        )}
+        <div className="sub-style-hint">
+          单位 dB，双击滑块归零；有提升时会整体降低音量避免失真。音频直通（S/PDIF）时均衡器不起作用
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EqualizerPanel;
@@ -0,0 +1,50 @@
+/**
+ * S-Player - 播放错误对话框
+ *
+ * 显示主进程整理好的错误（见 electron/playback-error.js）：
+ * - 标题和说明给用户看
+ * - 详细信息（原始错误、MPV 输出）默认收起，可以复制下来反馈问题
+ */
+
+import { useState } from 'react';
+
+/**
+ * 错误对话框
+ * @param {Object} props
+ * @param {Object} props.error - { type, title, message, file, detail }
+ * @param {Function} props.onClose - 关闭对话框
+ */
+function ErrorDialog({ error, onClose }) {
+  const [showDetail, setShowDetail] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const copyDetail = () => {
+    window.api.copyText(error.detail).then(() => setCopied(true));
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={onClose}>
+      <div className="confirm-dialog error-dialog" onClick={e => e.stopPropagation()}>
+        <div className="confirm-title">{error.title}</div>
+        <div className="confirm-message">
+          {error.message}
+          {error.file && <div className="error-file">{error.file}</div>}
+        </div>
+        {showDetail && <pre className="error-detail">{error.detail}</pre>}
+        <div className="confirm-buttons">
+          <button className="confirm-btn cancel" onClick={() => setShowDetail(!showDetail)}>
+            {showDetail ? '收起详细信息' : '详细信息'}
+          </button>
+          <button className="confirm-btn cancel" onClick={copyDetail}>
+            {copied ? '已复制' : '复制详细信息'}
+          </button>
+          <button className="confirm-btn confirm" onClick={onClose}>
+            关闭
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ErrorDialog;
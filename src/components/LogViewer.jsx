@@ -0,0 +1,134 @@
+/**
+ * S-Player - MPV 日志查看（从设置页打开）
+ *
+ * - 日志由主进程写入 userData/logs/mpv.log（见 electron/mpv-log.js），打开时读取最近的几千行
+ * - 按级别（显示这一级及更严重的）、模块、关键字过滤
+ * - 连接 IPC 之前的终端输出没有级别（term），任何级别下都显示
+ * - 导出诊断信息：日志、启动参数、设置、版本和轨道列表打包成 zip
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { ScrollText, RefreshCw, FolderOpen, Download, X } from 'lucide-react';
+
+/** 日志级别（从严重到详细） */
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'status', 'v', 'debug', 'trace'];
+
+/** 级别筛选的选项 */
+const LEVEL_FILTERS = [
+  { value: 'error', label: '错误' },
+  { value: 'warn', label: '警告及以上' },
+  { value: 'info', label: '信息及以上' },
+  { value: 'debug', label: '全部' }
+];
+
+/** 最多显示的行数（过滤之后） */
+const MAX_ROWS = 2000;
+
+/**
+ * 日志查看
+ * @param {Object} props
+ * @param {Function} props.onClose - 关闭回调
+ */
+function LogViewer({ onClose }) {
+  const [entries, setEntries] = useState([]);     // [{ time, level, module, text }]
+  const [level, setLevel] = useState('debug');    // 显示这一级及更严重的
+  const [module, setModule] = useState('');       // 空为全部模块
+  const [keyword, setKeyword] = useState('');
+  const [exportStatus, setExportStatus] = useState(null);  // 导出结果提示
+  const bodyRef = useRef(null);
+
+  const load = () => window.api.getMpvLog().then(setEntries);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Esc 只关闭日志（捕获阶段处理，不让设置页也关闭）
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onClose]);
+
+  const modules = useMemo(() => [...new Set(entries.map(e => e.module))].sort(), [entries]);
+
+  const visible = useMemo(() => {
+    const maxRank = LEVELS.indexOf(level);
+    const text = keyword.trim().toLowerCase();
+    return entries
+      .filter(e => e.level === 'term' || LEVELS.indexOf(e.level) <= maxRank)
+      .filter(e => !module || e.module === module)
+      .filter(e => !text || e.text.toLowerCase().includes(text))
+      .slice(-MAX_ROWS);
+  }, [entries, level, module, keyword]);
+
+  // 内容变化时滚动到最新
+  useEffect(() => {
+    if (bodyRef.current) bodyRef.current.scrollTop = bodyRef.current.scrollHeight;
+  }, [visible]);
+
+  const exportDiagnostics = async () => {
+    setExportStatus('正在导出...');
+    const result = await window.api.exportDiagnostics();
+    if (result.canceled) setExportStatus(null);
+    else if (result.error) setExportStatus(`导出失败：${result.error}`);
+    else setExportStatus(`已导出到 ${result.path}`);
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={(e) => { e.stopPropagation(); onClose(); }}>
+      <div className="settings-dialog log-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <ScrollText size={16} /> MPV 日志
+          <button className="icon-btn small" onClick={onClose}><X size={16} /></button>
+        </div>
+
+        <div className="log-toolbar settings-input">
+          <select value={level} onChange={(e) => setLevel(e.target.value)}>
+            {LEVEL_FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+          <select value={module} onChange={(e) => setModule(e.target.value)}>
+            <option value="">全部模块</option>
+            {modules.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <input
+            type="text"
+            placeholder="搜索"
+            value={keyword}
+            onChange={(e) => setKeyword(e.target.value)}
+          />
+          <button className="icon-btn small" title="刷新" onClick={load}><RefreshCw size={14} /></button>
+          <button className="icon-btn small" title="打开日志文件夹" onClick={() => window.api.revealMpvLog()}>
+            <FolderOpen size={14} />
+          </button>
+        </div>
+
+        <div className="log-body" ref={bodyRef}>
+          {visible.length === 0 && <div className="log-empty">没有日志</div>}
+          {visible.map((e, i) => (
+            <div key={i} className={`log-line ${e.level}`}>
+              <span className="log-time">{e.time.slice(11, 23)}</span>
+              <span className="log-module">[{e.module}]</span>
+              {e.text}
+            </div>
+          ))}
+        </div>
+
+        {exportStatus && <div className="settings-notice">{exportStatus}</div>}
+
+        <div className="confirm-buttons">
+          <button className="confirm-btn cancel" onClick={exportDiagnostics}>
+            <Download size={14} /> 导出诊断信息
+          </button>
+          <button className="confirm-btn confirm" onClick={onClose}>关闭</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LogViewer;
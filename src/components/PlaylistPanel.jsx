@@ -0,0 +1,133 @@
+/**
+ * S-Player - 播放列表面板
+ *
+ * 显示在右侧的播放队列，支持：
+ * - 点击播放、删除、上移/下移调整顺序
+ * - 循环模式切换（不循环 → 列表循环 → 单个循环）
+ * - 随机播放、添加文件、清空
+ * - 打开文件夹时作为剧集列表：显示集数和已看标记（点击标记可切换）
+ *
+ * 播放列表状态保存在主进程（electron/playlist.js），
+ * 这里的操作都通过 window.api 发给主进程，主进程再推送 playlist-update 回来
+ */
+
+import {
+  Plus, Trash2, X, ChevronUp, ChevronDown,
+  Repeat, Repeat1, Shuffle, ListVideo, CheckCircle2, Circle
+} from 'lucide-react';
+
+/** 循环模式切换顺序 */
+const NEXT_REPEAT = { off: 'all', all: 'one', one: 'off' };
+
+/** 循环模式说明 */
+const REPEAT_LABEL = { off: '不循环', all: '列表循环', one: '单个循环' };
+
+/**
+ * 播放列表面板
+ * @param {Object} props
+ * @param {Object} props.playlist - { name, items, currentIndex, repeat, shuffle }
+ */
+function PlaylistPanel({ playlist }) {
+  const { name, items, currentIndex, repeat, shuffle } = playlist;
+  
+  // 有集数信息时按剧集列表显示
+  const isSeason = items.some(item => item.episode);
+
+  /** 选择文件并添加到列表 */
+  const handleAdd = async () => {
+    const paths = await window.api.openFiles();
+    if (paths.length > 0) window.api.playlistAdd(paths);
+  };
+
+  return (
+    <div className="side-panel visible">
+      {/* 标题栏：名称 + 操作按钮 */}
+      <div className="side-panel-header">
+        <span className="side-panel-title" title={name}>
+          <ListVideo size={14} />
+          <span className="side-panel-title-text">{name || (isSeason ? '剧集' : '播放列表')}</span>
+          {items.length > 0 && `(${items.length})`}
+        </span>
+        <div className="side-panel-actions">
+          <button
+            className={`icon-btn small ${repeat !== 'off' ? 'active' : ''}`}
+            title={REPEAT_LABEL[repeat]}
+            onClick={() => window.api.playlistSetRepeat(NEXT_REPEAT[repeat])}
+          >
+            {repeat === 'one' ? <Repeat1 size={14} /> : <Repeat size={14} />}
+          </button>
+          <button
+            className={`icon-btn small ${shuffle ? 'active' : ''}`}
+            title="随机播放"
+            onClick={() => window.api.playlistSetShuffle(!shuffle)}
+          >
+            <Shuffle size={14} />
+          </button>
+          <button className="icon-btn small" title="添加文件" onClick={handleAdd}>
+            <Plus size={14} />
+          </button>
+          <button
+            className={`icon-btn small ${items.length === 0 ? 'disabled' : ''}`}
+            title="清空列表"
+            onClick={() => items.length > 0 && window.api.playlistClear()}
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      {/* 列表 */}
+      <div className="side-panel-list">
+        {items.length === 0 && (
+          <div className="side-panel-empty">列表为空，点击 + 添加文件</div>
+        )}
+        {items.map((item, i) => (
+          <div
+            key={item.id}
+            className={`side-panel-item ${i === currentIndex ? 'active' : ''}`}
+            title={item.path}
+          >
+            {isSeason ? (
+              <button
+                className={`icon-btn tiny watched-toggle ${item.watched ? 'watched' : ''}`}
+                title={item.watched ? '已看完（点击标记为未看）' : '未看（点击标记为已看）'}
+                onClick={() => window.api.markWatched(item.path, !item.watched)}
+              >
+                {item.watched ? <CheckCircle2 size={12} /> : <Circle size={12} />}
+              </button>
+            ) : (
+              <span className="side-panel-item-index">{i + 1}</span>
+            )}
+            {item.episode && (
+              <span className="side-panel-item-episode">{item.episode}</span>
+            )}
+            <span className="side-panel-item-name" onClick={() => window.api.playlistPlay(i)}>
+              {item.title}
+            </span>
+            <span className="side-panel-item-actions">
+              <button
+                className="icon-btn tiny"
+                disabled={i === 0}
+                onClick={() => window.api.playlistMove(i, i - 1)}
+              >
+                <ChevronUp size={12} />
+              </button>
+              <button
+                className="icon-btn tiny"
+                disabled={i === items.length - 1}
+                onClick={() => window.api.playlistMove(i, i + 1)}
+              >
+                <ChevronDown size={12} />
+              </button>
+              <button className="icon-btn tiny" onClick={() => window.api.playlistRemove(item.id)}>
+                <X size={12} />
+              </button>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PlaylistPanel;
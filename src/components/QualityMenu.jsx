@@ -0,0 +1,101 @@
+/**
+ * S-Player - 画质方案菜单（控制栏弹出）
+ *
+ * - 列出内置方案（流畅 / 均衡 / 高画质）和自定义方案，点击立即切换
+ * - 当前设置和任何方案都不一致时显示"自定义"
+ * - 可以把当前设置保存为新方案（在设置页调好后保存）
+ */
+
+import { useState, useEffect } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+/**
+ * 画质方案菜单
+ * @param {Object} props
+ * @param {Object} props.style - 弹出位置
+ */
+function QualityMenu({ style }) {
+  const [state, setState] = useState({ profiles: [], activeId: null });
+  const [saving, setSaving] = useState(false);  // 是否正在输入新方案名称
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  // 每次打开时重新获取（设置页可能改过）
+  useEffect(() => {
+    window.api.getProfiles().then(setState);
+  }, []);
+
+  /** 切换方案 */
+  const apply = async (id) => {
+    setState(await window.api.applyProfile(id));
+  };
+
+  /** 保存当前设置为新方案 */
+  const save = async () => {
+    const result = await window.api.saveProfile(name);
+    setState(result);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setSaving(false);
+    setName('');
+    setError('');
+  };
+
+  /** 删除自定义方案 */
+  const remove = async (e, id) => {
+    e.stopPropagation();
+    setState(await window.api.removeProfile(id));
+  };
+
+  return (
+    <div className="popup-menu visible wide" style={style}>
+      {state.profiles.map(profile => (
+        <div
+          key={profile.id}
+          className={`popup-menu-item ${profile.id === state.activeId ? 'active' : ''}`}
+          title={profile.description}
+          onClick={() => apply(profile.id)}
+        >
+          <span className="popup-menu-item-left">{profile.name}</span>
+          {!profile.builtin && (
+            <button className="icon-btn tiny" onClick={(e) => remove(e, profile.id)}>
+              <Trash2 size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {state.activeId === null && (
+        <div className="popup-menu-item active">
+          <span className="popup-menu-item-left">自定义</span>
+        </div>
+      )}
+
+      {saving ? (
+        <div className="quality-save">
+          <input
+            autoFocus
+            value={name}
+            placeholder="方案名称"
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') save();
+              if (e.key === 'Escape') setSaving(false);
+            }}
+          />
+          {error && <div className="quality-save-error">{error}</div>}
+        </div>
+      ) : (
+        <div className="popup-menu-item" onClick={() => setSaving(true)}>
+          <span className="popup-menu-item-left">
+            <Plus size={12} /> 保存当前设置为方案
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QualityMenu;
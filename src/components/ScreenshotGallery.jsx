@@ -0,0 +1,85 @@
+/**
+ * S-Player - 截图库
+ *
+ * 显示在右侧，列出本次运行期间的截图：
+ * - 缩略图 + 文件名 + 播放位置
+ * - 复制到剪贴板、在文件管理器中显示、删除文件
+ *
+ * 截图记录保存在主进程（electron/screenshot.js）
+ */
+
+import { useState } from 'react';
+import { Images, Copy, FolderOpen, Trash2, Check } from 'lucide-react';
+
+/**
+ * 截图库面板
+ * @param {Object} props
+ * @param {Array} props.screenshots - [{ id, path, title, position, thumbnail }]
+ * @param {Function} props.onChange - 截图列表变化（删除后）
+ * @param {Function} props.formatTime - 格式化播放位置
+ */
+function ScreenshotGallery({ screenshots, onChange, formatTime }) {
+  const [copiedId, setCopiedId] = useState(null);  // 刚复制的截图（显示对勾）
+
+  /** 复制到剪贴板 */
+  const handleCopy = async (id) => {
+    if (await window.api.copyScreenshot(id)) {
+      setCopiedId(id);
+      setTimeout(() => setCopiedId(prev => (prev === id ? null : prev)), 1500);
+    }
+  };
+
+  /** 删除截图文件 */
+  const handleDelete = async (id) => {
+    onChange(await window.api.deleteScreenshot(id));
+  };
+
+  return (
+    <div className="side-panel visible">
+      <div className="side-panel-header">
+        <span className="side-panel-title">
+          <Images size={14} />
+          <span className="side-panel-title-text">本次截图</span>
+          {screenshots.length > 0 && `(${screenshots.length})`}
+        </span>
+      </div>
+
+      <div className="side-panel-list">
+        {screenshots.length === 0 && (
+          <div className="side-panel-empty">还没有截图</div>
+        )}
+        {screenshots.map(shot => (
+          <div key={shot.id} className="gallery-item">
+            {shot.thumbnail ? (
+              <img className="gallery-thumb" src={shot.thumbnail} alt={shot.title} />
+            ) : (
+              <div className="gallery-thumb placeholder"><Images size={24} /></div>
+            )}
+            <div className="gallery-info">
+              <span className="gallery-name" title={shot.path}>{shot.title}</span>
+              <span className="gallery-time">{formatTime(shot.position || 0)}</span>
+            </div>
+            <div className="gallery-actions">
+              <button
+                className="icon-btn tiny"
+                title="复制"
+                disabled={!shot.thumbnail}
+                onClick={() => handleCopy(shot.id)}
+              >
+                {copiedId === shot.id ? <Check size={12} /> : <Copy size={12} />}
+              </button>
+              <button className="icon-btn tiny" title="在文件夹中显示" onClick={() => window.api.revealScreenshot(shot.id)}>
+                <FolderOpen size={12} />
+              </button>
+              <button className="icon-btn tiny" title="删除" onClick={() => handleDelete(shot.id)}>
+                <Trash2 size={12} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ScreenshotGallery;
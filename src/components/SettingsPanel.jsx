@@ -0,0 +1,159 @@
+/**
+ * S-Player - 设置页
+ *
+ * - 设置项定义来自主进程（electron/settings.js），按分组显示
+ * - 开关和下拉框修改后立即保存，数字和文字在失去焦点或回车时保存
+ * - 能实时生效的设置由主进程通过 set_property 应用到正在播放的 MPV，
+ *   其余的提示"下次播放时生效"
+ * - 底部可以打开 MPV 日志（查看、导出诊断信息）
+ */
+
+import { useState, useEffect } from 'react';
+import { Settings, X } from 'lucide-react';
+import LogViewer from './LogViewer';
+
+/**
+ * 设置页
+ * @param {Object} props
+ * @param {Function} props.onClose - 关闭回调
+ */
+function SettingsPanel({ onClose }) {
+  const [schema, setSchema] = useState(null);           // { groups, items }
+  const [values, setValues] = useState({});             // 已保存的设置值
+  const [drafts, setDrafts] = useState({});             // 正在编辑的数字 / 文字
+  const [errors, setErrors] = useState({});             // { key: 错误信息 }
+  const [restartRequired, setRestartRequired] = useState(false);  // 有设置要下次播放才生效
+  const [showLog, setShowLog] = useState(false);        // MPV 日志
+
+  useEffect(() => {
+    window.api.getSettings().then(({ schema, values }) => {
+      setSchema(schema);
+      setValues(values);
+    });
+  }, []);
+
+  // Esc 关闭
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /** 处理主进程返回的结果 */
+  const applyResult = (result, keys) => {
+    setValues(result.values);
+    setErrors(prev => {
+      const next = { ...prev };
+      keys.forEach(key => delete next[key]);
+      return { ...next, ...result.errors };
+    });
+    if (result.restartRequired) setRestartRequired(true);
+  };
+
+  /** 保存一个设置项 */
+  const commit = async (key, value) => {
+    const result = await window.api.setSettings({ [key]: value });
+    applyResult(result, [key]);
+    // 保存成功后清除草稿，显示规范化后的值（如去掉空格）
+    if (!result.errors[key]) {
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    }
+  };
+
+  /** 恢复默认 */
+  const resetAll = async () => {
+    const result = await window.api.resetSettings();
+    setDrafts({});
+    applyResult(result, Object.keys(errors));
+  };
+
+  /** 渲染一个设置项的输入控件 */
+  const renderInput = (item) => {
+    const value = values[item.key];
+
+    if (item.type === 'boolean') {
+      return (
+        <input
+          type="checkbox"
+          checked={!!value}
+          onChange={(e) => commit(item.key, e.target.checked)}
+        />
+      );
+    }
+
+    if (item.type === 'enum') {
+      return (
+        <select value={value} onChange={(e) => commit(item.key, e.target.value)}>
+          {item.options.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+        </select>
+      );
+    }
+
+    // 数字 / 文字：编辑时保存在草稿里
+    const draft = drafts[item.key] ?? String(value ?? '');
+    return (
+      <input
+        type={item.type === 'number' ? 'number' : 'text'}
+        className={item.type === 'number' ? 'settings-number' : 'settings-text'}
+        value={draft}
+        placeholder={item.placeholder}
+        min={item.min}
+        max={item.max}
+        onChange={(e) => setDrafts(prev => ({ ...prev, [item.key]: e.target.value }))}
+        onBlur={() => drafts[item.key] !== undefined && commit(item.key, draft)}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      />
+    );
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={onClose}>
+      <div className="settings-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <Settings size={16} /> 设置
+          <button className="icon-btn small" onClick={onClose}><X size={16} /></button>
+        </div>
+
+        <div className="settings-body">
+          {schema?.groups.map(group => (
+            <div key={group.id} className="settings-group">
+              <div className="settings-group-title">{group.label}</div>
+              {schema.items.filter(item => item.group === group.id).map(item => (
+                <div key={item.key} className="settings-row">
+                  <span className="settings-label">
+                    {item.label}
+                    {!item.live && <span className="settings-tag">下次播放生效</span>}
+                  </span>
+                  <span className="settings-input">
+                    {renderInput(item)}
+                    {errors[item.key] && <span className="settings-error">{errors[item.key]}</span>}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        {restartRequired && (
+          <div className="settings-notice">部分设置将在下次播放时生效</div>
+        )}
+
+        <div className="confirm-buttons">
+          <button className="confirm-btn cancel" onClick={resetAll}>恢复默认</button>
+          <button className="confirm-btn cancel" onClick={() => setShowLog(true)}>日志与诊断</button>
+          <button className="confirm-btn confirm" onClick={onClose}>完成</button>
+        </div>
+      </div>
+
+      {showLog && <LogViewer onClose={() => setShowLog(false)} />}
+    </div>
+  );
+}
+
+export default SettingsPanel;
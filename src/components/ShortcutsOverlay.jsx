@@ -0,0 +1,173 @@
+/**
+ * S-Player - 快捷键帮助 / 自定义
+ *
+ * - 按分组列出所有操作和对应的按键
+ * - 点击按键重新录制，点击 + 添加按键，点击 × 删除按键
+ * - 同一个按键绑定了多个操作时标红，有冲突时不能保存
+ * - 保存后只把和默认值不同的部分写入 userData/keymap.json
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Keyboard, Plus, X } from 'lucide-react';
+import { ACTIONS, DEFAULT_BINDINGS, eventToKey, findConflicts } from '../keymap';
+
+/** 按键显示名称 */
+const KEY_LABELS = {
+  Space: '空格',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc'
+};
+
+/**
+ * 格式化按键用于显示
+ * @param {string} key - 如 'Ctrl+ArrowLeft'
+ */
+const formatKey = (key) => key.split('+').map(k => KEY_LABELS[k] || k).join(' + ');
+
+/** 操作 ID → 名称 */
+const ACTION_LABELS = Object.fromEntries(ACTIONS.map(a => [a.id, a.label]));
+
+/**
+ * 快捷键面板
+ * @param {Object} props
+ * @param {Object} props.bindings - 当前按键表
+ * @param {Function} props.onSave - 保存回调，参数为新的按键表
+ * @param {Function} props.onClose - 关闭回调
+ */
+function ShortcutsOverlay({ bindings, onSave, onClose }) {
+  const [draft, setDraft] = useState(bindings);      // 编辑中的按键表
+  const [recording, setRecording] = useState(null);  // 正在录制 { id, index }，index 为 -1 表示新增
+
+  const conflicts = useMemo(() => findConflicts(draft), [draft]);
+  const hasConflicts = Object.keys(conflicts).length > 0;
+
+  // 按分组整理操作
+  const groups = useMemo(() => {
+    const result = {};
+    for (const action of ACTIONS) {
+      (result[action.group] = result[action.group] || []).push(action);
+    }
+    return result;
+  }, []);
+
+  // 录制按键 / Esc 关闭面板
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (!recording) {
+        if (e.key === 'Escape') onClose();
+        return;
+      }
+      // 录制时 Esc 取消录制
+      if (e.key === 'Escape') {
+        setRecording(null);
+        return;
+      }
+
+      const key = eventToKey(e);
+      if (!key) return;  // 只按了修饰键，继续等待
+
+      setDraft(prev => {
+        const keys = [...(prev[recording.id] || [])];
+        if (recording.index === -1) {
+          if (!keys.includes(key)) keys.push(key);
+        } else {
+          keys[recording.index] = key;
+        }
+        return { ...prev, [recording.id]: keys };
+      });
+      setRecording(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recording, onClose]);
+
+  /** 删除某个操作的一个按键 */
+  const removeKey = (id, index) => {
+    setDraft(prev => ({ ...prev, [id]: prev[id].filter((_, i) => i !== index) }));
+  };
+
+  /** 恢复默认按键 */
+  const resetAll = () => {
+    setDraft({ ...DEFAULT_BINDINGS });
+    setRecording(null);
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={onClose}>
+      <div className="shortcuts-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="shortcuts-header">
+          <Keyboard size={16} /> 快捷键
+          <span className="shortcuts-hint">点击按键修改，Esc 取消</span>
+        </div>
+
+        <div className="shortcuts-body">
+          {Object.entries(groups).map(([group, actions]) => (
+            <div key={group} className="shortcuts-group">
+              <div className="shortcuts-group-title">{group}</div>
+              {actions.map(({ id, label }) => (
+                <div key={id} className="shortcuts-row">
+                  <span className="shortcuts-label">{label}</span>
+                  <span className="shortcuts-keys">
+                    {(draft[id] || []).map((key, i) => {
+                      const isRecording = recording?.id === id && recording.index === i;
+                      return (
+                        <span
+                          key={i}
+                          className={`shortcut-key ${conflicts[key] ? 'conflict' : ''} ${isRecording ? 'recording' : ''}`}
+                          title={conflicts[key] ? `冲突：${conflicts[key].map(a => ACTION_LABELS[a]).join('、')}` : ''}
+                          onClick={() => setRecording({ id, index: i })}
+                        >
+                          {isRecording ? '请按键...' : formatKey(key)}
+                          <X size={10} onClick={(e) => { e.stopPropagation(); removeKey(id, i); }} />
+                        </span>
+                      );
+                    })}
+                    {recording?.id === id && recording.index === -1 ? (
+                      <span className="shortcut-key recording">请按键...</span>
+                    ) : (
+                      <button className="icon-btn tiny" onClick={() => setRecording({ id, index: -1 })}>
+                        <Plus size={12} />
+                      </button>
+                    )}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        {/* 冲突提示 */}
+        {hasConflicts && (
+          <div className="shortcuts-conflicts">
+            {Object.entries(conflicts).map(([key, ids]) => (
+              <div key={key}>
+                按键 {formatKey(key)} 同时绑定了：{ids.map(a => ACTION_LABELS[a]).join('、')}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="confirm-buttons">
+          <button className="confirm-btn cancel" onClick={resetAll}>恢复默认</button>
+          <button className="confirm-btn cancel" onClick={onClose}>取消</button>
+          <button
+            className="confirm-btn confirm"
+            disabled={hasConflicts}
+            onClick={() => onSave(draft)}
+          >
+            保存
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutsOverlay;
@@ -0,0 +1,72 @@
+/**
+ * S-Player - 播放速度菜单（控制栏弹出）
+ *
+ * - 0.25x - 4x，点击立即切换
+ * - 变速时保持音调（MPV audio-pitch-correction，使用 scaletempo2），保存在设置里
+ */
+
+import { useState, useEffect } from 'react';
+
+/** 可选的播放速度 */
+export const SPEEDS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 3, 4];
+
+/**
+ * 格式化播放速度
+ * @param {number} speed - 倍速
+ * @returns {string} 如 '1.5x'
+ */
+export const formatSpeed = (speed) => `${Number((speed || 1).toFixed(2))}x`;
+
+/**
+ * 相邻的播放速度
+ * @param {number} speed - 当前倍速
+ * @param {number} direction - 1 加快，-1 减慢
+ * @returns {number}
+ */
+export const stepSpeed = (speed, direction) => {
+  if (direction > 0) return SPEEDS.find(s => s > speed + 0.001) ?? SPEEDS[SPEEDS.length - 1];
+  return [...SPEEDS].reverse().find(s => s < speed - 0.001) ?? SPEEDS[0];
+};
+
+/**
+ * 播放速度菜单
+ * @param {Object} props
+ * @param {Object} props.style - 弹出位置
+ * @param {number} props.speed - 当前倍速
+ * @param {Function} props.onChange - 切换倍速 (speed)
+ */
+function SpeedMenu({ style, speed, onChange }) {
+  const [pitchCorrection, setPitchCorrection] = useState(true);
+
+  useEffect(() => {
+    window.api.getSettings().then(({ values }) => setPitchCorrection(values.audioPitchCorrection));
+  }, []);
+
+  /** 切换保持音调（实时生效） */
+  const togglePitchCorrection = async () => {
+    const { values } = await window.api.setSettings({ audioPitchCorrection: !pitchCorrection });
+    setPitchCorrection(values.audioPitchCorrection);
+  };
+
+  return (
+    <div className="popup-menu visible" style={style}>
+      {[...SPEEDS].reverse().map(s => (
+        <div
+          key={s}
+          className={`popup-menu-item ${Math.abs(s - speed) < 0.001 ? 'active' : ''}`}
+          onClick={() => onChange(s)}
+        >
+          <span className="popup-menu-item-left">{formatSpeed(s)}</span>
+          {s === 1 && <span className="popup-menu-item-right">正常</span>}
+        </div>
+      ))}
+      <div className="popup-menu-section" />
+      <label className="popup-menu-item">
+        <span className="popup-menu-item-left">保持音调</span>
+        <input type="checkbox" checked={pitchCorrection} onChange={togglePitchCorrection} />
+      </label>
+    </div>
+  );
+}
+
+export default SpeedMenu;
@@ -0,0 +1,195 @@
+/**
+ * S-Player - 字幕样式面板
+ *
+ * 显示在右侧，修改后通过主进程 set_property 实时应用到正在播放的视频，
+ * 面板顶部的预览框用 CSS 近似显示效果（没有字幕时也能看到）
+ *
+ * 第二字幕（双语字幕时的另一条）的位置和 ASS 样式单独设置，列在最后
+ *
+ * 【保存范围】
+ * - 默认：所有文件使用
+ * - 仅此文件：只对当前文件生效，用于个别 PGS / ASS 字幕
+ */
+
+import { useState, useEffect, Fragment } from 'react';
+import { Type, RotateCcw } from 'lucide-react';
+
+/** 样式分组标题（主字幕的项不显示标题） */
+const GROUP_LABELS = { secondary: '第二字幕' };
+
+/** 预览框中的字号比例（MPV 字号以 720p 画面为基准） */
+const PREVIEW_SCALE = 0.35;
+
+/**
+ * 用 CSS 近似 MPV 字幕样式
+ * @param {Object} style - 字幕样式
+ */
+const toPreviewStyle = (style) => {
+  const border = style.borderSize * PREVIEW_SCALE;
+  const shadows = [];
+  if (border > 0) {
+    // 用 8 个方向的阴影模拟描边
+    for (let i = 0; i < 8; i++) {
+      const angle = (Math.PI / 4) * i;
+      shadows.push(`${(Math.cos(angle) * border).toFixed(1)}px ${(Math.sin(angle) * border).toFixed(1)}px 0 ${style.borderColor}`);
+    }
+  }
+  if (style.shadowOffset > 0) {
+    const offset = style.shadowOffset * PREVIEW_SCALE * 2;
+    shadows.push(`${offset}px ${offset}px 0 ${style.shadowColor}`);
+  }
+  const alpha = Math.round(style.backOpacity / 100 * 255).toString(16).padStart(2, '0');
+  return {
+    fontFamily: style.font || 'sans-serif',
+    fontSize: `${style.fontSize * PREVIEW_SCALE}px`,
+    fontWeight: style.bold ? 'bold' : 'normal',
+    color: style.color,
+    textShadow: shadows.join(', ') || 'none',
+    background: style.backBox ? `${style.backColor}${alpha}` : 'transparent'
+  };
+};
+
+/**
+ * 字幕样式面板
+ */
+function SubtitleStylePanel() {
+  const [state, setState] = useState(null);     // { schema, defaults, fileStyle, style, hasFile }
+  const [scope, setScope] = useState('default'); // 'default' | 'file'
+  const [errors, setErrors] = useState({});
+  const [fontDraft, setFontDraft] = useState(null);  // 正在输入的字体名
+
+  useEffect(() => {
+    window.api.getSubStyle().then(result => {
+      setState(result);
+      // 这个文件已有单独的样式时默认编辑文件样式
+      if (result.fileStyle) setScope('file');
+    });
+  }, []);
+
+  // 编辑默认样式时显示默认样式，编辑文件样式时显示实际样式
+  const style = state && (scope === 'file' ? state.style : state.defaults);
+
+  /** 修改一项（实时生效） */
+  const change = async (key, value) => {
+    const result = await window.api.setSubStyle({ [key]: value }, scope);
+    setState(result);
+    setErrors(result.errors);
+  };
+
+  /** 恢复当前范围的样式 */
+  const reset = async () => {
+    setState(await window.api.resetSubStyle(scope));
+    setErrors({});
+    setFontDraft(null);
+  };
+
+  /** 渲染一个样式项的输入控件 */
+  const renderInput = (item) => {
+    const value = style[item.key];
+    switch (item.type) {
+      case 'boolean':
+        return <input type="checkbox" checked={!!value} onChange={(e) => change(item.key, e.target.checked)} />;
+      case 'color':
+        return <input type="color" value={value} onChange={(e) => change(item.key, e.target.value)} />;
+      case 'enum':
+        return (
+          <select value={value} onChange={(e) => change(item.key, e.target.value)}>
+            {item.options.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+          </select>
+        );
+      case 'number':
+        return (
+          <>
+            <input
+              type="range"
+              min={item.min}
+              max={item.max}
+              value={value}
+              onChange={(e) => change(item.key, Number(e.target.value))}
+            />
+            <span className="sub-style-value">{value}</span>
+          </>
+        );
+      default:
+        // 字体名：失去焦点或回车时保存
+        return (
+          <input
+            type="text"
+            value={fontDraft ?? value}
+            placeholder="默认字体"
+            onChange={(e) => setFontDraft(e.target.value)}
+            onBlur={() => {
+              if (fontDraft !== null) change(item.key, fontDraft);
+              setFontDraft(null);
+            }}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+          />
+        );
+    }
+  };
+
+  if (!state) return null;
+
+  return (
+    <div className="side-panel visible">
+      <div className="side-panel-header">
+        <span className="side-panel-title">
+          <Type size={14} />
+          <span className="side-panel-title-text">字幕样式</span>
+        </span>
+        <div className="side-panel-actions">
+          <button className="icon-btn small" title="恢复" onClick={reset}>
+            <RotateCcw size={14} />
+          </button>
+        </div>
+      </div>
+
+      {/* 保存范围 */}
+      <div className="sub-style-scope">
+        <button className={scope === 'default' ? 'active' : ''} onClick={() => setScope('default')}>
+          默认
+        </button>
+        <button
+          className={scope === 'file' ? 'active' : ''}
+          disabled={!state.hasFile}
+          onClick={() => setScope('file')}
+        >
+          仅此文件{state.fileStyle ? ' •' : ''}
+        </button>
+      </div>
+
+      {/* 预览 */}
+      <div className="sub-style-preview">
+        <span
+          style={{
+            ...toPreviewStyle(style),
+            // 垂直位置：100 为底部，0 为顶部
+            marginBottom: `${Math.max(0, 100 - Math.min(style.pos, 100)) * 0.6}px`
+          }}
+        >
+          字幕预览 Subtitle
+        </span>
+      </div>
+
+      <div className="side-panel-list">
+        {state.schema.map((item, i) => (
+          <Fragment key={item.key}>
+            {item.group !== (state.schema[i - 1]?.group ?? 'primary') && (
+              <div className="sub-style-group">{GROUP_LABELS[item.group]}</div>
+            )}
+            <div className="sub-style-row">
+              <span className="sub-style-label">{item.label}</span>
+              <span className="sub-style-input">{renderInput(item)}</span>
+              {errors[item.key] && <span className="settings-error">{errors[item.key]}</span>}
+            </div>
+          </Fragment>
+        ))}
+        <div className="sub-style-hint">
+          图片字幕（PGS / VobSub）只受位置和字号影响；ASS 字幕需要把"覆盖 ASS 样式"设为 force
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SubtitleStylePanel;
@@ -0,0 +1,82 @@
+/**
+ * S-Player - 音画 / 字幕同步菜单（控制栏弹出）
+ *
+ * - 音频延迟、字幕延迟：每次 ±50ms，按住 Shift 点击为 ±10ms
+ * - 字幕同步到现在：让下一句字幕在当前位置显示（MPV sub-step）
+ * - 延迟按文件 + 轨道记住，由主进程保存到观看记录
+ */
+
+import { RotateCcw, Minus, Plus } from 'lucide-react';
+
+/** 每次调整的秒数 */
+const STEP = 0.05;
+const FINE_STEP = 0.01;
+
+/**
+ * 格式化延迟
+ * @param {number} seconds - 延迟（秒）
+ * @returns {string} 如 '+150 ms'、'-1.50 s'
+ */
+export const formatDelay = (seconds) => {
+  const ms = Math.round((seconds || 0) * 1000);
+  const sign = ms > 0 ? '+' : ms < 0 ? '-' : '';
+  const abs = Math.abs(ms);
+  return abs >= 1000 ? `${sign}${(abs / 1000).toFixed(2)} s` : `${sign}${abs} ms`;
+};
+
+/**
+ * 同步菜单
+ * @param {Object} props
+ * @param {Object} props.style - 弹出位置
+ * @param {number} props.audioDelay - 当前音频延迟（秒）
+ * @param {number} props.subDelay - 当前字幕延迟（秒）
+ * @param {boolean} props.hasSub - 是否有字幕
+ * @param {Function} props.onChange - 调整延迟 (kind, action, value)
+ */
+function SyncMenu({ style, audioDelay, subDelay, hasSub, onChange }) {
+  /** 一行延迟调整 */
+  const renderRow = (kind, label, delay, disabled = false) => (
+    <div className={`sync-row ${disabled ? 'disabled' : ''}`}>
+      <span className="sync-label">{label}</span>
+      <button
+        className="icon-btn tiny"
+        disabled={disabled}
+        onClick={(e) => onChange(kind, 'add', -(e.shiftKey ? FINE_STEP : STEP))}
+      >
+        <Minus size={12} />
+      </button>
+      <span className={`sync-value ${delay ? 'changed' : ''}`}>{formatDelay(delay)}</span>
+      <button
+        className="icon-btn tiny"
+        disabled={disabled}
+        onClick={(e) => onChange(kind, 'add', e.shiftKey ? FINE_STEP : STEP)}
+      >
+        <Plus size={12} />
+      </button>
+      <button
+        className="icon-btn tiny"
+        title="归零"
+        disabled={disabled || !delay}
+        onClick={() => onChange(kind, 'reset')}
+      >
+        <RotateCcw size={12} />
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="popup-menu visible wide" style={style}>
+      {renderRow('audio', '音频', audioDelay)}
+      {renderRow('sub', '字幕', subDelay, !hasSub)}
+      <div
+        className={`popup-menu-item ${hasSub ? '' : 'disabled'}`}
+        onClick={() => hasSub && onChange('sub', 'sub-step')}
+      >
+        <span className="popup-menu-item-left">字幕同步到现在</span>
+      </div>
+      <div className="sync-hint">正数表示延后；Shift + 点击微调 10ms</div>
+    </div>
+  );
+}
+
+export default SyncMenu;
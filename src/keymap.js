@@ -0,0 +1,203 @@
+/**
+ * S-Player - 快捷键表
+ *
+ * 【结构】
+ * - ACTIONS: 所有可绑定的操作（id 对应 App.jsx 里的处理函数）
+ * - DEFAULT_BINDINGS: 默认按键
+ * - 用户自定义的按键（overrides）保存在主进程的 userData/keymap.json，
+ *   只记录和默认值不同的操作，与默认表合并后使用
+ *
+ * 【按键格式】
+ * 'Ctrl+Shift+A'、'Space'、'ArrowLeft'、'?'
+ * - 字母统一大写，Shift 作为修饰键写出来
+ * - 符号按输入的字符记录（'?' 而不是 'Shift+/'），因为不同键盘布局位置不同
+ */
+
+/**
+ * 可绑定的操作（按分组显示在快捷键帮助里）
+ * 增删操作时同时修改 electron/keymap.js 的 ACTION_IDS（主进程保存前按它检查，test/keymap.test.js 会检查两边一致）
+ */
+export const ACTIONS = [
+  { id: 'togglePlay',     label: '播放 / 暂停',     group: '播放' },
+  { id: 'seekBack',       label: '快退 10 秒',      group: '播放' },
+  { id: 'seekForward',    label: '快进 10 秒',      group: '播放' },
+  { id: 'stop',           label: '停止',            group: '播放' },
+  { id: 'chapterPrev',    label: '上一章节',        group: '播放' },
+  { id: 'chapterNext',    label: '下一章节',        group: '播放' },
+  { id: 'playlistPrev',   label: '上一个文件',      group: '播放' },
+  { id: 'playlistNext',   label: '下一个文件',      group: '播放' },
+  { id: 'speedDown',      label: '减慢播放速度',    group: '播放' },
+  { id: 'speedUp',        label: '加快播放速度',    group: '播放' },
+  { id: 'speedReset',     label: '恢复正常速度',    group: '播放' },
+  { id: 'abLoop',         label: 'A-B 循环',        group: '播放' },
+  { id: 'volumeUp',       label: '音量 +5',         group: '音频' },
+  { id: 'volumeDown',     label: '音量 -5',         group: '音频' },
+  { id: 'toggleMute',     label: '静音',            group: '音频' },
+  { id: 'cycleAudio',     label: '切换音轨',        group: '音频' },
+  { id: 'audioDelayDown', label: '音频延迟 -50ms',  group: '音频' },
+  { id: 'audioDelayUp',   label: '音频延迟 +50ms',  group: '音频' },
+  { id: 'popupEqualizer', label: '均衡器',          group: '音频' },
+  { id: 'cycleSub',       label: '切换字幕',        group: '字幕' },
+  { id: 'popupSubStyle',  label: '字幕样式',        group: '字幕' },
+  { id: 'subDelayDown',   label: '字幕延迟 -50ms',  group: '字幕' },
+  { id: 'subDelayUp',     label: '字幕延迟 +50ms',  group: '字幕' },
+  { id: 'subSyncNow',     label: '字幕同步到现在',  group: '字幕' },
+  { id: 'popupSync',      label: '同步菜单',        group: '字幕' },
+  { id: 'screenshot',     label: '截图',            group: '截图' },
+  { id: 'popupGallery',   label: '本次截图',        group: '截图' },
+  { id: 'fullscreen',     label: '全屏',            group: '窗口' },
+  { id: 'exitFullscreen', label: '退出全屏',        group: '窗口' },
+  { id: 'openFile',       label: '打开文件',        group: '窗口' },
+  { id: 'popupAudio',     label: '音轨菜单',        group: '菜单' },
+  { id: 'popupSub',       label: '字幕菜单',        group: '菜单' },
+  { id: 'popupChapter',   label: '章节菜单',        group: '菜单' },
+  { id: 'popupTitle',     label: '标题菜单',        group: '菜单' },
+  { id: 'popupPlaylist',  label: '播放列表',        group: '菜单' },
+  { id: 'popupQuality',   label: '画质方案',        group: '菜单' },
+  { id: 'toggleInfo',     label: '影片信息',        group: '菜单' },
+  { id: 'showShortcuts',  label: '快捷键帮助',      group: '菜单' },
+  { id: 'openSettings',   label: '设置',            group: '菜单' }
+];
+
+/** 默认按键（一个操作可以有多个按键） */
+export const DEFAULT_BINDINGS = {
+  togglePlay:     ['Space'],
+  seekBack:       ['ArrowLeft'],
+  seekForward:    ['ArrowRight'],
+  stop:           ['Shift+S'],
+  chapterPrev:    ['PageUp'],
+  chapterNext:    ['PageDown'],
+  playlistPrev:   ['P'],
+  playlistNext:   ['N'],
+  speedDown:      ['['],
+  speedUp:        [']'],
+  speedReset:     ['Backspace'],
+  abLoop:         ['B'],
+  volumeUp:       ['ArrowUp'],
+  volumeDown:     ['ArrowDown'],
+  toggleMute:     ['M'],
+  cycleAudio:     ['A'],
+  audioDelayDown: ['Ctrl+-'],
+  audioDelayUp:   ['Ctrl+='],
+  popupEqualizer: ['E'],
+  cycleSub:       ['J'],
+  popupSubStyle:  ['Y'],
+  subDelayDown:   ['Z'],
+  subDelayUp:     ['X'],
+  subSyncNow:     ['Shift+X'],
+  popupSync:      ['D'],
+  screenshot:     ['S'],
+  popupGallery:   ['G'],
+  fullscreen:     ['F', 'Enter'],
+  exitFullscreen: ['Escape'],
+  openFile:       ['Ctrl+O'],
+  popupAudio:     ['Shift+A'],
+  popupSub:       ['Shift+J'],
+  popupChapter:   ['C'],
+  popupTitle:     ['T'],
+  popupPlaylist:  ['L'],
+  popupQuality:   ['Q'],
+  toggleInfo:     ['I'],
+  showShortcuts:  ['?', 'F1'],
+  openSettings:   ['Ctrl+,']
+};
+
+/** 单独按下时不算按键的修饰键 */
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+/**
+ * 把键盘事件转换成按键字符串
+ *
+ * @param {KeyboardEvent} e - keydown 事件
+ * @returns {string|null} 如 'Ctrl+O'；只按了修饰键时返回 null
+ *
+ * @example
+ * eventToKey({ key: 'o', ctrlKey: true })  // 'Ctrl+O'
+ * eventToKey({ key: '?', shiftKey: true }) // '?'
+ */
+export const eventToKey = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+
+  let key = e.key;
+  let useShift = e.shiftKey;
+
+  if (key === ' ') {
+    key = 'Space';
+  } else if (key.length === 1) {
+    if (/[a-z]/i.test(key)) {
+      key = key.toUpperCase();
+    } else {
+      // 符号和数字：Shift 已经体现在字符里了
+      useShift = false;
+    }
+  }
+
+  const parts = [];
+  if (e.ctrlKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (useShift) parts.push('Shift');
+  if (e.metaKey) parts.push('Meta');
+  parts.push(key);
+  return parts.join('+');
+};
+
+/**
+ * 合并默认按键和用户自定义按键
+ * @param {Object} overrides - { actionId: ['Key', ...] }
+ * @returns {Object} 完整的按键表
+ */
+export const resolveBindings = (overrides = {}) => {
+  const bindings = {};
+  for (const { id } of ACTIONS) {
+    bindings[id] = Array.isArray(overrides[id]) ? overrides[id] : DEFAULT_BINDINGS[id] || [];
+  }
+  return bindings;
+};
+
+/**
+ * 生成 按键 → 操作 的查找表
+ * 有冲突时保留 ACTIONS 中靠前的操作
+ * @param {Object} bindings - resolveBindings() 的结果
+ * @returns {Object} { 'Ctrl+O': 'openFile', ... }
+ */
+export const buildKeyLookup = (bindings) => {
+  const lookup = {};
+  for (const { id } of ACTIONS) {
+    for (const key of bindings[id] || []) {
+      if (!(key in lookup)) lookup[key] = id;
+    }
+  }
+  return lookup;
+};
+
+/**
+ * 检测冲突（同一个按键绑定了多个操作）
+ * @param {Object} bindings - resolveBindings() 的结果
+ * @returns {Object} { 'F': ['fullscreen', 'xxx'] }，没有冲突时为空对象
+ */
+export const findConflicts = (bindings) => {
+  const owners = {};
+  for (const { id } of ACTIONS) {
+    for (const key of bindings[id] || []) {
+      (owners[key] = owners[key] || []).push(id);
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(owners).filter(([, ids]) => ids.length > 1)
+  );
+};
+
+/**
+ * 只保留和默认值不同的按键（保存到磁盘的内容）
+ * @param {Object} bindings - 完整的按键表
+ * @returns {Object} overrides
+ */
+export const diffFromDefaults = (bindings) => {
+  const overrides = {};
+  for (const { id } of ACTIONS) {
+    const keys = bindings[id] || [];
+    const defaults = DEFAULT_BINDINGS[id] || [];
+    if (keys.join('|') !== defaults.join('|')) overrides[id] = keys;
+  }
+  return overrides;
+};
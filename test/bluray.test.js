@@ -0,0 +1,70 @@
+/**
+ * bluray.js 的 STN 表解析（手工构造的 STN 表，不需要光盘文件）
+ *
+ * 运行：npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStnTable } = require('../electron/bluray');
+
+/**
+ * 构造一个 stream_entry + stream_attributes
+ * @param {number} type - stream_entry 类型（1-4）
+ * @param {number} pid
+ * @param {number[]} attributes - stream_attributes 内容（不含长度字节）
+ */
+function buildStream(type, pid, attributes) {
+  const pidBytes = [pid >> 8, pid & 0xFF];
+  const fields = {
+    1: [...pidBytes],
+    2: [0x00, 0x00, ...pidBytes],   // SubPath_id、subClip_entry_id
+    3: [0x00, ...pidBytes],         // SubPath_id
+    4: [0x00, 0x00, ...pidBytes]    // SubPath_id、subClip_entry_id
+  }[type];
+  const entry = [type, ...fields];
+  while (entry.length < 9) entry.push(0);
+  return [entry.length, ...entry, attributes.length, ...attributes];
+}
+
+/**
+ * 构造 STN 表
+ * @param {number[][]} video
+ * @param {number[][]} audio
+ * @param {number[][]} subtitles
+ */
+function buildStn(video, audio, subtitles) {
+  const header = new Array(16).fill(0);
+  header[4] = video.length;
+  header[5] = audio.length;
+  header[6] = subtitles.length;
+  return Buffer.from([...header, ...video.flat(), ...audio.flat(), ...subtitles.flat()]);
+}
+
+const ascii = (text) => [...Buffer.from(text, 'ascii')];
+
+test('parseStnTable 按 stream_entry 类型读取 PID', () => {
+  const buf = buildStn(
+    [buildStream(1, 0x1011, [0x1B, 0x61])],
+    [
+      buildStream(2, 0x1100, [0x81, 0x61, ...ascii('eng')]),
+      buildStream(3, 0x1101, [0x83, 0x31, ...ascii('chi')])
+    ],
+    [buildStream(4, 0x1200, [0x90, ...ascii('jpn')])]
+  );
+
+  const { video, audio, subtitles } = parseStnTable(buf, 0);
+
+  assert.deepStrictEqual(video, [{ pid: 0x1011, codingType: 0x1B, codec: 'H.264', lang: '' }]);
+  assert.deepStrictEqual(audio, [
+    { pid: 0x1100, codingType: 0x81, codec: 'AC3', lang: 'eng', channels: '多声道' },
+    { pid: 0x1101, codingType: 0x83, codec: 'TrueHD', lang: 'chi', channels: '2.0' }
+  ]);
+  assert.deepStrictEqual(subtitles, [{ pid: 0x1200, codingType: 0x90, codec: 'PGS', lang: 'jpn' }]);
+});
+
+test('parseStnTable 跳过未知类型的 PID', () => {
+  const buf = buildStn([], [], [buildStream(1, 0x1200, [0x90, ...ascii('eng')])]);
+  buf[16 + 1] = 5;
+  assert.strictEqual(parseStnTable(buf, 0).subtitles[0].pid, null);
+});
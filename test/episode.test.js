@@ -0,0 +1,84 @@
+/**
+ * electron/episode.js 的剧集文件名解析与排序
+ *
+ * 运行：npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseNumber, parseEpisode, parseSeason, compareEpisodes, formatEpisode } = require('../electron/episode');
+
+test('parseNumber 支持阿拉伯数字、全角数字和中文数字', () => {
+  assert.strictEqual(parseNumber('12'), 12);
+  assert.strictEqual(parseNumber('０７'), 7);
+  assert.strictEqual(parseNumber('十'), 10);
+  assert.strictEqual(parseNumber('十二'), 12);
+  assert.strictEqual(parseNumber('二十'), 20);
+  assert.strictEqual(parseNumber('二十三'), 23);
+  assert.strictEqual(parseNumber('两百'), 200);
+  assert.strictEqual(parseNumber('一百零五'), 105);
+  assert.strictEqual(parseNumber(''), null);
+  assert.strictEqual(parseNumber('十a'), null);
+});
+
+test('parseEpisode 解析 SxxEyy / 1x02 格式', () => {
+  assert.deepStrictEqual(parseEpisode('Show.S01E02.1080p.mkv'), { season: 1, episode: 2 });
+  assert.deepStrictEqual(parseEpisode('show.s2e10.mkv'), { season: 2, episode: 10 });
+  assert.deepStrictEqual(parseEpisode('Show.S01.E03.mkv'), { season: 1, episode: 3 });
+  assert.deepStrictEqual(parseEpisode('Show.1x02.mkv'), { season: 1, episode: 2 });
+  // 分辨率中的 x 不是季和集
+  assert.deepStrictEqual(parseEpisode('Movie.1920x1080.mkv'), { season: null, episode: null });
+});
+
+test('parseEpisode 解析中文、EP 和字幕组格式', () => {
+  assert.deepStrictEqual(parseEpisode('剧名.第2集.mp4'), { season: null, episode: 2 });
+  assert.deepStrictEqual(parseEpisode('剧名 第十二集.mkv'), { season: null, episode: 12 });
+  assert.deepStrictEqual(parseEpisode('剧名 第二季 第二十三话.mkv'), { season: 2, episode: 23 });
+  assert.deepStrictEqual(parseEpisode('Show.EP05.mkv'), { season: null, episode: 5 });
+  assert.deepStrictEqual(parseEpisode('Show Episode 7.mkv'), { season: null, episode: 7 });
+  assert.deepStrictEqual(parseEpisode('[字幕组] 动画名 [02v2][1080p].mkv'), { season: null, episode: 2 });
+});
+
+test('parseEpisode 文件名没有季数时从文件夹名取', () => {
+  assert.deepStrictEqual(parseEpisode('Show.E04.mkv', 'Show Season 3'), { season: 3, episode: 4 });
+  assert.deepStrictEqual(parseEpisode('第4集.mkv', '剧名 第二季'), { season: 2, episode: 4 });
+  assert.deepStrictEqual(parseEpisode('Show.S01E04.mkv', 'Season 3'), { season: 1, episode: 4 });
+});
+
+test('parseSeason 解析 Season 2 / S02 / 第二季', () => {
+  assert.strictEqual(parseSeason('Show Season 2'), 2);
+  assert.strictEqual(parseSeason('Show.S02'), 2);
+  assert.strictEqual(parseSeason('剧名 第十季'), 10);
+  assert.strictEqual(parseSeason('Show.S02E01'), null);
+  assert.strictEqual(parseSeason('Show'), null);
+});
+
+test('compareEpisodes 按 (季, 集) 自然排序，解析不出集数的排在后面', () => {
+  const files = [
+    '/tv/Show.S01E10.mkv',
+    '/tv/extras 10.mkv',
+    '/tv/Show.S02E01.mkv',
+    '/tv/Show.S01E02.mkv',
+    '/tv/extras 2.mkv',
+    '/tv/Show.S01E01.mkv'
+  ];
+  assert.deepStrictEqual(files.sort(compareEpisodes), [
+    '/tv/Show.S01E01.mkv',
+    '/tv/Show.S01E02.mkv',
+    '/tv/Show.S01E10.mkv',
+    '/tv/Show.S02E01.mkv',
+    '/tv/extras 2.mkv',
+    '/tv/extras 10.mkv'
+  ]);
+});
+
+test('compareEpisodes 中文集数按数值排序', () => {
+  const files = ['第十集.mkv', '第二集.mkv', '第一集.mkv', '第十二集.mkv'];
+  assert.deepStrictEqual(files.sort(compareEpisodes), ['第一集.mkv', '第二集.mkv', '第十集.mkv', '第十二集.mkv']);
+});
+
+test('formatEpisode 生成集数标签', () => {
+  assert.strictEqual(formatEpisode({ season: 1, episode: 2 }), 'S01E02');
+  assert.strictEqual(formatEpisode({ season: null, episode: 12 }), 'E12');
+  assert.strictEqual(formatEpisode({ season: 1, episode: null }), '');
+});
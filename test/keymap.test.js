@@ -0,0 +1,31 @@
+/**
+ * electron/keymap.js 的保存前检查
+ *
+ * 运行：npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ACTION_IDS, sanitizeOverrides } = require('../electron/keymap');
+
+/** 加载界面的快捷键表（ES 模块，没有 import，可以直接作为 data URL 导入） */
+const loadUiKeymap = () => {
+  const source = fs.readFileSync(path.join(__dirname, '../src/keymap.js'), 'utf8');
+  return import(`data:text/javascript,${encodeURIComponent(source)}`);
+};
+
+test('ACTION_IDS 和 src/keymap.js 的 ACTIONS 一致', async () => {
+  const { ACTIONS } = await loadUiKeymap();
+  assert.deepStrictEqual(ACTION_IDS, ACTIONS.map(action => action.id));
+});
+
+test('sanitizeOverrides 只保留已知操作的字符串数组', () => {
+  assert.deepStrictEqual(
+    sanitizeOverrides({ fullscreen: ['F', 'Ctrl+F'], stop: [], unknown: ['X'], toggleMute: 'M', screenshot: ['S', 1] }),
+    { fullscreen: ['F', 'Ctrl+F'], stop: [] }
+  );
+  assert.deepStrictEqual(sanitizeOverrides(null), {});
+  assert.deepStrictEqual(sanitizeOverrides('F'), {});
+});
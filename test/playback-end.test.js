@@ -0,0 +1,42 @@
+/**
+ * electron/playback-end.js 的播放结束检测
+ *
+ * 运行：npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEndTracker } = require('../electron/playback-end');
+
+const EOF_REACHED = { event: 'property-change', name: 'eof-reached', data: true };
+const EOF_LEFT = { event: 'property-change', name: 'eof-reached', data: false };
+const END_FILE = { event: 'end-file', reason: 'eof' };
+
+test('同一次结束只处理一次', () => {
+  const end = createEndTracker();
+  assert.deepStrictEqual(end.handleEvent(EOF_REACHED), { markWatched: true });
+  assert.strictEqual(end.isFinished(), true);
+  assert.strictEqual(end.handleEvent(END_FILE), null);
+  assert.strictEqual(end.handleEvent({ event: 'end-file', reason: 'stop' }), null);
+});
+
+test('往回拖离开末尾后继续保存进度，再次结束时重新切换，但不重复标记看完', () => {
+  const end = createEndTracker();
+  end.handleEvent(EOF_REACHED);
+
+  assert.strictEqual(end.handleEvent(EOF_LEFT), null);
+  assert.strictEqual(end.isFinished(), false);
+  assert.deepStrictEqual(end.handleEvent(EOF_REACHED), { markWatched: false });
+
+  end.handleEvent({ event: 'seek' });
+  assert.strictEqual(end.isFinished(), false);
+  assert.deepStrictEqual(end.handleEvent(END_FILE), { markWatched: false });
+});
+
+test('reset 之后的新文件重新标记看完', () => {
+  const end = createEndTracker();
+  end.handleEvent(END_FILE);
+  end.reset();
+  assert.strictEqual(end.isFinished(), false);
+  assert.deepStrictEqual(end.handleEvent(END_FILE), { markWatched: true });
+});
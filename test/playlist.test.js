@@ -0,0 +1,128 @@
+/**
+ * electron/playlist.js 的队列操作和循环 / 随机模式
+ *
+ * 运行：npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const playlist = require('../electron/playlist');
+
+const FILES = ['/tv/a.mkv', '/tv/b.mkv', '/tv/c.mkv', '/tv/d.mkv'];
+
+/** 列表是模块状态，每个测试重新开始 */
+function reset(startIndex = 0) {
+  playlist.setRepeat('off');
+  playlist.setShuffle(false);
+  playlist.replace(FILES, startIndex);
+}
+
+const currentPath = () => playlist.current()?.path ?? null;
+const paths = () => playlist.getState().items.map(item => item.path);
+
+test('add 追加到末尾，不重复添加', () => {
+  reset();
+  const added = playlist.add(['/tv/b.mkv', '/tv/e.mkv']);
+  assert.deepStrictEqual(added.map(item => item.path), ['/tv/e.mkv']);
+  assert.deepStrictEqual(paths(), [...FILES, '/tv/e.mkv']);
+  assert.strictEqual(currentPath(), '/tv/a.mkv');
+});
+
+test('删除或移动当前项之前的项，当前项不变', () => {
+  reset(2);
+  const { items } = playlist.getState();
+
+  assert.strictEqual(playlist.remove(items[0].id), false);
+  assert.strictEqual(currentPath(), '/tv/c.mkv');
+  assert.strictEqual(playlist.getState().currentIndex, 1);
+
+  playlist.move(0, 2);  // b 移到 c 后面
+  assert.deepStrictEqual(paths(), ['/tv/c.mkv', '/tv/d.mkv', '/tv/b.mkv']);
+  assert.strictEqual(currentPath(), '/tv/c.mkv');
+  assert.strictEqual(playlist.getState().currentIndex, 0);
+  assert.strictEqual(playlist.next().path, '/tv/d.mkv');
+});
+
+test('move 把越界的位置限制在列表范围内', () => {
+  reset();
+  playlist.move(0, 99);
+  assert.deepStrictEqual(paths(), ['/tv/b.mkv', '/tv/c.mkv', '/tv/d.mkv', '/tv/a.mkv']);
+  playlist.move(3, -5);
+  assert.deepStrictEqual(paths(), FILES);
+  playlist.move(10, 0);
+  assert.deepStrictEqual(paths(), FILES);
+});
+
+test('删除当前项后，下一个 / 上一个从原来的位置继续', () => {
+  reset(1);
+  assert.strictEqual(playlist.remove(playlist.current().id), true);
+  assert.strictEqual(playlist.current(), null);
+  assert.strictEqual(playlist.next({ auto: true }).path, '/tv/c.mkv');
+
+  reset(1);
+  playlist.remove(playlist.current().id);
+  assert.strictEqual(playlist.previous().path, '/tv/a.mkv');
+
+  // 删除的是最后一项：自动切换时列表结束
+  reset(3);
+  playlist.remove(playlist.current().id);
+  assert.strictEqual(playlist.next({ auto: true }), null);
+});
+
+test('不循环：自动切换到末尾时结束，手动下一个回到开头', () => {
+  reset(3);
+  assert.strictEqual(playlist.next({ auto: true }), null);
+  assert.strictEqual(currentPath(), '/tv/d.mkv');
+  assert.strictEqual(playlist.next().path, '/tv/a.mkv');
+});
+
+test('上一个在开头时回到末尾', () => {
+  reset(1);
+  assert.strictEqual(playlist.previous().path, '/tv/a.mkv');
+  assert.strictEqual(playlist.previous().path, '/tv/d.mkv');
+});
+
+test('单个循环：自动切换重复当前项，手动下一个照常前进', () => {
+  reset(1);
+  playlist.setRepeat('one');
+  assert.strictEqual(playlist.next({ auto: true }).path, '/tv/b.mkv');
+  assert.strictEqual(playlist.next().path, '/tv/c.mkv');
+});
+
+test('列表循环：末尾自动回到开头', () => {
+  reset(3);
+  playlist.setRepeat('all');
+  assert.strictEqual(playlist.next({ auto: true }).path, '/tv/a.mkv');
+});
+
+test('随机播放：从当前项开始，每项播放一次后结束', () => {
+  reset(2);
+  playlist.setShuffle(true);
+  const played = [currentPath()];
+  let item;
+  while ((item = playlist.next({ auto: true }))) played.push(item.path);
+
+  assert.strictEqual(played[0], '/tv/c.mkv');
+  assert.deepStrictEqual([...played].sort(), FILES);
+});
+
+test('随机播放 + 列表循环：一轮结束后重新洗牌继续播放全部', () => {
+  reset();
+  playlist.setShuffle(true);
+  playlist.setRepeat('all');
+  for (let i = 0; i < FILES.length - 1; i++) playlist.next({ auto: true });
+
+  const round = [];
+  for (let i = 0; i < FILES.length; i++) round.push(playlist.next({ auto: true }).path);
+  assert.deepStrictEqual(round.sort(), FILES);
+});
+
+test('随机播放时新增的项也会播放到', () => {
+  reset();
+  playlist.setShuffle(true);
+  playlist.add(['/tv/e.mkv']);
+  const played = [currentPath()];
+  let item;
+  while ((item = playlist.next({ auto: true }))) played.push(item.path);
+  assert.deepStrictEqual(played.sort(), [...FILES, '/tv/e.mkv']);
+});
@@ -0,0 +1,86 @@
+/**
+ * electron/settings.js 的版本迁移、校验和 MPV 参数
+ *
+ * 运行：npm test
+ * settings.js 加载时读取 userData/settings.json，这里把 Electron 的 app.getPath 指向临时目录
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 's-player-settings-'));
+require.cache[require.resolve('electron')] = {
+  id: 'electron',
+  loaded: true,
+  exports: { app: { getPath: () => userData } }
+};
+
+// 第 0 版：没有 version 字段，直接保存设置值
+const settingsFile = path.join(userData, 'settings.json');
+fs.writeFileSync(settingsFile, JSON.stringify({ hwdec: 'no', debandIterations: 4, scale: 'nearest', unknownKey: 1 }));
+
+const settings = require('../electron/settings');
+
+test.after(() => fs.rmSync(userData, { recursive: true, force: true }));
+
+test('第 0 版的设置文件迁移到当前版本，丢弃无效和未知的项', () => {
+  const values = settings.getAll();
+  assert.strictEqual(values.hwdec, 'no');
+  assert.strictEqual(values.debandIterations, 4);
+  assert.strictEqual(values.scale, settings.SCHEMA.scale.default);
+  assert.ok(!('unknownKey' in values));
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(settingsFile, 'utf8')), {
+    version: 1,
+    values: { hwdec: 'no', debandIterations: 4 }
+  });
+});
+
+test('checkValue 拒绝无效的值', () => {
+  const { SCHEMA, checkValue, validate } = settings;
+  assert.deepStrictEqual(checkValue(SCHEMA.deband, 'yes'), { error: '必须是开或关' });
+  assert.deepStrictEqual(checkValue(SCHEMA.debandIterations, 'abc'), { error: '必须是数字' });
+  assert.deepStrictEqual(checkValue(SCHEMA.debandIterations, 99), { error: '范围 1 ~ 16' });
+  assert.ok('error' in checkValue(SCHEMA.scale, 'nearest'));
+  assert.ok('error' in checkValue(SCHEMA.alang, 'chi;eng'));
+  assert.ok('error' in checkValue(SCHEMA.screenshotTemplate, 'a/b'));
+  assert.deepStrictEqual(checkValue(SCHEMA.mpvPath, 'mpv'), { error: '必须是完整路径' });
+  assert.deepStrictEqual(checkValue(SCHEMA.mpvPath, path.join(userData, 'missing')), { error: '文件不存在' });
+  assert.deepStrictEqual(checkValue(SCHEMA.mpvPath, userData), { error: '不是文件' });
+  assert.deepStrictEqual(validate('unknownKey', 1), { error: '未知的设置项' });
+});
+
+test('checkValue 转换有效的值', () => {
+  const { SCHEMA, checkValue } = settings;
+  assert.deepStrictEqual(checkValue(SCHEMA.debandIterations, ' 8 '), { value: 8 });
+  assert.deepStrictEqual(checkValue(SCHEMA.alang, ' jpn,eng '), { value: 'jpn,eng' });
+  assert.deepStrictEqual(checkValue(SCHEMA.mpvPath, ''), { value: '' });
+  assert.deepStrictEqual(checkValue(SCHEMA.mpvPath, settingsFile), { value: settingsFile });
+});
+
+test('update 不保存无效的值', () => {
+  const result = settings.update({ hwdec: 'auto', debandRange: 0 });
+  assert.deepStrictEqual(result.changed, ['hwdec']);
+  assert.deepStrictEqual(Object.keys(result.errors), ['debandRange']);
+  assert.strictEqual(settings.getAll().debandRange, settings.SCHEMA.debandRange.default);
+});
+
+test('buildMpvArgs 生成有 MPV 选项的设置项的参数', () => {
+  const values = { ...settings.getAll(), deband: false, demuxerMaxBytes: 300, audioSpdif: 'ac3,dts' };
+  const args = settings.buildMpvArgs(values);
+
+  assert.ok(args.includes('--deband=no'));
+  assert.ok(args.includes('--interpolation=yes'));
+  assert.ok(args.includes('--demuxer-max-bytes=300M'));
+  assert.ok(args.includes('--audio-spdif=ac3,dts'));
+  assert.ok(args.includes('--deband-iterations=4'));
+
+  // 只在程序内部使用的设置项不生成参数
+  const mpvKeys = Object.values(settings.SCHEMA).filter(def => def.mpv);
+  assert.strictEqual(args.length, mpvKeys.length);
+  assert.ok(!args.some(arg => /mpvPath|cacheAuto|screenshot|logLevel/.test(arg)));
+  assert.ok(args.every(arg => /^--[a-z-]+=/.test(arg)));
+});